@@ -0,0 +1,247 @@
+/**
+ * js/agenda.js
+ * Funciones compartidas para ordenar, clasificar y buscar citas en las vistas de agenda.
+ */
+
+import { escapeHTML } from './utils.js';
+import { obtenerRecursos } from './scheduling.js';
+import { ESTADOS_CITA } from './appointmentStatus.js';
+
+/** @typedef {import('./models.js').Cita} Cita */
+/** @typedef {import('./clinicSettings.js').AjustesClinica} AjustesClinica */
+
+/**
+ * Ordena citas por fecha y hora ascendente
+ * @param {Array<Cita>} citas - Array de citas
+ * @returns {Array<Cita>} Citas ordenadas
+ */
+export function ordenarCitas(citas) {
+    // Se utiliza el clon de array para pureza.
+    return [...citas].sort((a, b) => {
+        const dateA = a.fechaHora;
+        const dateB = b.fechaHora;
+        // Se añade una comprobación de seguridad para NaN, aunque no debería ocurrir.
+        if (isNaN(dateA.getTime())) return 1;
+        if (isNaN(dateB.getTime())) return -1;
+        
+        return dateA.getTime() - dateB.getTime();
+    });
+}
+
+/**
+ * Filtra citas futuras vs. pasadas
+ * @param {Array<Cita>} citas - Array de citas
+ * @returns {Object} {futuras, pasadas}
+ */
+export function separarCitasPorEstado(citas) {
+    const ahora = new Date();
+    
+    // Mejorar la lógica para comparar solo hasta el minuto (ignorar segundos/milisegundos)
+    const horaActualMili = ahora.getTime() - (ahora.getSeconds() * 1000) - ahora.getMilliseconds();
+    
+    return citas.reduce((acc, cita) => {
+        // Asegurar que la fecha sea válida.
+        const fechaCita = cita.fechaHora;
+        
+        // Si la fecha es inválida, se considera pasada por seguridad.
+        if (isNaN(fechaCita.getTime())) {
+             acc.pasadas.push(cita);
+             return acc;
+        }
+
+        if (fechaCita.getTime() >= horaActualMili) {
+            acc.futuras.push(cita);
+        } else {
+            acc.pasadas.push(cita);
+        }
+        return acc;
+    }, { futuras: [], pasadas: [] });
+}
+
+// --- Búsqueda y filtros ---
+
+/**
+ * @typedef {Object} FiltrosAgenda
+ * @property {string} texto - Búsqueda libre (sin distinguir tildes ni mayúsculas).
+ * @property {string} recurso - ID del recurso ('' = todos).
+ * @property {string} estado - Estado de la cita ('' = todos).
+ * @property {string} desde - Primer día 'YYYY-MM-DD' ('' = sin límite).
+ * @property {string} hasta - Último día 'YYYY-MM-DD' ('' = sin límite).
+ * @property {Array<number>} dias - Días de la semana (0 = domingo); vacío = todos.
+ * @property {string} franja - Clave de FRANJAS_DIA ('' = todo el día).
+ * @property {boolean} agrupar - Agrupar la lista por recurso.
+ */
+
+// Partes del día por las que se puede filtrar; la hora que las separa sale del horario (ver franjasDia)
+export const FRANJAS_DIA = {
+    manana: 'Mañana',
+    tarde: 'Tarde'
+};
+// Separación entre mañana y tarde si ningún día del horario cierra a mediodía
+const MEDIODIA_POR_DEFECTO = '14:00';
+
+/**
+ * Hora que separa la mañana de la tarde: el cierre de mediodía más habitual del horario,
+ * es decir, el fin del primer tramo en los días que abren en más de un tramo.
+ * @param {AjustesClinica} ajustes
+ * @returns {string} 'HH:MM'.
+ */
+export function horaMediodia(ajustes) {
+    const cierres = Object.values(ajustes.horario ?? {})
+        .filter(tramos => tramos.length > 1)
+        .map(tramos => tramos[0].fin);
+    if (cierres.length === 0) return MEDIODIA_POR_DEFECTO;
+    const veces = (hora) => cierres.filter(h => h === hora).length;
+    return cierres.reduce((masHabitual, hora) => (veces(hora) > veces(masHabitual) ? hora : masHabitual));
+}
+
+/**
+ * Límites de cada parte del día según el horario de la clínica (la hora de fin no se incluye).
+ * @param {AjustesClinica} ajustes
+ * @returns {Object<string, {nombre: string, desde: string, hasta: string}>} Por clave de FRANJAS_DIA.
+ */
+export function franjasDia(ajustes) {
+    const mediodia = horaMediodia(ajustes);
+    return {
+        manana: { nombre: `${FRANJAS_DIA.manana} (antes de las ${mediodia})`, desde: '00:00', hasta: mediodia },
+        tarde: { nombre: `${FRANJAS_DIA.tarde} (desde las ${mediodia})`, desde: mediodia, hasta: '24:00' }
+    };
+}
+
+/** @returns {FiltrosAgenda} Filtros sin ninguna restricción. */
+export function filtrosVacios() {
+    return { texto: '', recurso: '', estado: '', desde: '', hasta: '', dias: [], franja: '', agrupar: false };
+}
+
+/**
+ * Pasa un texto a minúsculas y sin tildes ni diéresis para comparar ("García" → "garcia").
+ * @param {string} texto
+ * @returns {string}
+ */
+export function normalizarTexto(texto) {
+    return String(texto ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Palabras de la búsqueda, normalizadas. Una cita coincide si contiene todas.
+ * @param {string} consulta
+ * @returns {Array<string>}
+ */
+function terminosBusqueda(consulta) {
+    return normalizarTexto(consulta).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Texto en el que se busca: datos del paciente, ID y observaciones. El teléfono
+ * se añade también sin espacios para encontrar "612345678" en "612 345 678".
+ * @param {Cita} cita
+ * @returns {string}
+ */
+function textoBuscable(cita) {
+    const { paciente } = cita;
+    return normalizarTexto([
+        paciente.nombre, paciente.apellidos, paciente.dni, paciente.telefono,
+        paciente.telefono.replace(/\s+/g, ''), cita.id, cita.observaciones
+    ].join(' '));
+}
+
+/**
+ * Indica si una cita cumple todos los filtros.
+ * @param {Cita} cita
+ * @param {FiltrosAgenda} filtros
+ * @param {AjustesClinica} ajustes - Horario con el que se separan la mañana y la tarde.
+ * @returns {boolean}
+ */
+export function cumpleFiltros(cita, filtros, ajustes) {
+    if (filtros.recurso && cita.recurso_id !== filtros.recurso) return false;
+    if (filtros.estado && cita.estado !== filtros.estado) return false;
+    if (filtros.desde && cita.fecha_reserva < filtros.desde) return false;
+    if (filtros.hasta && cita.fecha_reserva > filtros.hasta) return false;
+    if (filtros.dias.length > 0 && !filtros.dias.includes(new Date(`${cita.fecha_reserva}T00:00:00`).getDay())) return false;
+    const franja = filtros.franja && franjasDia(ajustes)[filtros.franja];
+    if (franja && (cita.hora_reserva < franja.desde || cita.hora_reserva >= franja.hasta)) return false;
+
+    const texto = textoBuscable(cita);
+    return terminosBusqueda(filtros.texto).every(termino => texto.includes(termino));
+}
+
+/**
+ * Escapa un texto para HTML marcando con <mark> las palabras de la búsqueda,
+ * sin distinguir tildes ni mayúsculas ("garcia" resalta "García").
+ * @param {string} texto
+ * @param {string} consulta
+ * @returns {string} HTML seguro.
+ */
+export function resaltarCoincidencias(texto, consulta) {
+    const original = String(texto ?? '');
+    const terminos = terminosBusqueda(consulta);
+    if (terminos.length === 0 || !original) return escapeHTML(original);
+
+    // Texto normalizado carácter a carácter, recordando de qué posición original viene cada uno
+    let normalizado = '';
+    const origen = [];
+    for (let i = 0; i < original.length; i++) {
+        const trozo = normalizarTexto(original[i]);
+        normalizado += trozo;
+        for (let k = 0; k < trozo.length; k++) origen.push(i);
+    }
+
+    const marcado = new Array(original.length).fill(false);
+    terminos.forEach(termino => {
+        for (let i = normalizado.indexOf(termino); i !== -1; i = normalizado.indexOf(termino, i + 1)) {
+            const inicio = origen[i];
+            const fin = i + termino.length < origen.length ? origen[i + termino.length] : original.length;
+            for (let j = inicio; j < fin; j++) marcado[j] = true;
+        }
+    });
+
+    let html = '';
+    let i = 0;
+    while (i < original.length) {
+        let j = i;
+        while (j < original.length && marcado[j] === marcado[i]) j++;
+        const tramo = escapeHTML(original.slice(i, j));
+        html += marcado[i] ? `<mark>${tramo}</mark>` : tramo;
+        i = j;
+    }
+    return html;
+}
+
+/**
+ * Convierte los filtros en parámetros de URL (solo los que tienen valor).
+ * @param {FiltrosAgenda} filtros
+ * @returns {URLSearchParams}
+ */
+export function filtrosAParametros(filtros) {
+    const params = new URLSearchParams();
+    if (filtros.texto.trim()) params.set('q', filtros.texto.trim());
+    ['recurso', 'estado', 'desde', 'hasta', 'franja'].forEach(clave => {
+        if (filtros[clave]) params.set(clave, filtros[clave]);
+    });
+    if (filtros.dias.length > 0) params.set('dias', [...filtros.dias].sort().join(','));
+    if (filtros.agrupar) params.set('agrupar', '1');
+    return params;
+}
+
+/**
+ * Lee los filtros de los parámetros de URL; los valores con formato incorrecto
+ * o que no están entre las opciones (recursos, estados, franjas) se ignoran.
+ * @param {URLSearchParams} params
+ * @returns {FiltrosAgenda}
+ */
+export function filtrosDesdeParametros(params) {
+    const filtros = filtrosVacios();
+    const fecha = (valor) => (/^\d{4}-\d{2}-\d{2}$/.test(valor ?? '') ? valor : '');
+    filtros.texto = params.get('q') ?? '';
+    const recurso = params.get('recurso') ?? '';
+    filtros.recurso = obtenerRecursos().some(r => r.id === recurso) ? recurso : '';
+    const estado = params.get('estado') ?? '';
+    filtros.estado = Object.hasOwn(ESTADOS_CITA, estado) ? estado : '';
+    filtros.desde = fecha(params.get('desde'));
+    filtros.hasta = fecha(params.get('hasta'));
+    const franja = params.get('franja') ?? '';
+    filtros.franja = Object.hasOwn(FRANJAS_DIA, franja) ? franja : '';
+    filtros.dias = [...new Set((params.get('dias') ?? '').split(',').filter(d => /^[0-6]$/.test(d)).map(Number))];
+    filtros.agrupar = params.get('agrupar') === '1';
+    return filtros;
+}
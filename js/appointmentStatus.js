@@ -0,0 +1,111 @@
+/**
+ * js/appointmentStatus.js
+ * Ciclo de vida de una cita: estados, transiciones permitidas e historial de cambios.
+ * Sustituye a la clasificación "futura/pasada" por reloj cuando recepción necesita
+ * saber si el paciente vino, no vino o canceló.
+ */
+
+import { fechaISO, formatearFecha } from './utils.js';
+
+/** @typedef {{estado: string, fecha: string}} CambioEstado - `fecha` en ISO 8601. */
+
+export const ESTADOS_CITA = {
+    pendiente: 'Pendiente',
+    confirmada: 'Confirmada',
+    llegada: 'En clínica',
+    completada: 'Completada',
+    no_presentada: 'No presentada',
+    cancelada: 'Cancelada'
+};
+
+export const ESTADO_INICIAL = 'pendiente';
+
+// Texto del botón que lleva a cada estado
+export const ACCIONES_ESTADO = {
+    pendiente: 'Reactivar',
+    confirmada: 'Confirmar',
+    llegada: 'Ha llegado',
+    completada: 'Completar',
+    no_presentada: 'No se presentó',
+    cancelada: 'Cancelar'
+};
+
+// Estados a los que se puede pasar desde cada uno. Completada es definitivo;
+// una cita cancelada se puede reactivar si su hueco sigue libre.
+const TRANSICIONES = {
+    pendiente: ['confirmada', 'llegada', 'no_presentada', 'cancelada'],
+    confirmada: ['llegada', 'no_presentada', 'cancelada'],
+    llegada: ['completada'],
+    no_presentada: ['llegada'],
+    cancelada: ['pendiente'],
+    completada: []
+};
+
+// Estados que solo tienen sentido a partir del día de la cita
+const ESTADOS_DEL_DIA = ['llegada', 'no_presentada', 'completada'];
+
+// Estados en los que la cita todavía se puede cambiar de hora o de recurso
+const ESTADOS_MOVIBLES = ['pendiente', 'confirmada'];
+
+/**
+ * Indica si la cita ocupa su hueco en la agenda (las canceladas lo liberan).
+ * @param {{estado: string}} cita
+ * @returns {boolean}
+ */
+export function ocupaHueco(cita) {
+    return cita.estado !== 'cancelada';
+}
+
+/**
+ * Indica si la cita se puede mover a otra hora, día o recurso.
+ * @param {{estado: string}} cita
+ * @returns {boolean}
+ */
+export function esMovible(cita) {
+    return ESTADOS_MOVIBLES.includes(cita.estado);
+}
+
+/**
+ * Motivo por el que una cita no puede pasar a un estado.
+ * @param {{estado: string, fecha_reserva: string}} cita
+ * @param {string} nuevo - Estado de destino.
+ * @param {Date} [ahora=new Date()]
+ * @returns {string|null} Null si la transición está permitida.
+ */
+export function motivoTransicionNoPermitida(cita, nuevo, ahora = new Date()) {
+    if (!Object.hasOwn(ESTADOS_CITA, nuevo)) return `El estado "${nuevo}" no existe.`;
+    if (!(TRANSICIONES[cita.estado] ?? []).includes(nuevo)) {
+        return `Una cita "${ESTADOS_CITA[cita.estado] ?? cita.estado}" no puede pasar a "${ESTADOS_CITA[nuevo]}".`;
+    }
+    if (ESTADOS_DEL_DIA.includes(nuevo) && cita.fecha_reserva > fechaISO(ahora)) {
+        return `La cita es el ${formatearFecha(cita.fecha_reserva)}: no se puede marcar como "${ESTADOS_CITA[nuevo]}" antes de ese día.`;
+    }
+    return null;
+}
+
+/**
+ * Estados a los que puede pasar la cita ahora mismo.
+ * @param {{estado: string, fecha_reserva: string}} cita
+ * @param {Date} [ahora=new Date()]
+ * @returns {Array<string>}
+ */
+export function transicionesPermitidas(cita, ahora = new Date()) {
+    return (TRANSICIONES[cita.estado] ?? []).filter(estado => !motivoTransicionNoPermitida(cita, estado, ahora));
+}
+
+/**
+ * Calcula el cambio de estado de una cita, con su anotación en el historial.
+ * @param {{estado: string, fecha_reserva: string, historial_estados: Array<CambioEstado>}} cita
+ * @param {string} nuevo - Estado de destino.
+ * @param {Date} [ahora=new Date()]
+ * @returns {{estado: string, historial_estados: Array<CambioEstado>}} Campos a actualizar en la cita.
+ * @throws {Error} Si la transición no está permitida.
+ */
+export function cambiarEstado(cita, nuevo, ahora = new Date()) {
+    const motivo = motivoTransicionNoPermitida(cita, nuevo, ahora);
+    if (motivo) throw new Error(motivo);
+    return {
+        estado: nuevo,
+        historial_estados: [...cita.historial_estados, { estado: nuevo, fecha: ahora.toISOString() }]
+    };
+}
@@ -0,0 +1,189 @@
+/**
+ * js/auditLog.js
+ * Registro de auditoría de las citas: qué cambió, cuándo y quién estaba en recepción.
+ * Las entradas se calculan comparando la agenda antes y después de cada escritura,
+ * de modo que ningún camino de guardado (formulario, calendario, importación...) se queda fuera.
+ * Cuando una cita se elimina definitivamente, su historial conserva qué se hizo y cuándo,
+ * pero no los datos personales del paciente (ver suprimirDatosPersonales).
+ */
+
+import { escapeHTML } from './utils.js';
+import { generarCSV } from './importExport.js';
+import { usuarioActivo } from './users.js';
+
+/**
+ * @typedef {Object} CambioCampo
+ * @property {string} campo - Nombre del campo de la cita.
+ * @property {any} antes - Valor anterior (null si la cita no existía).
+ * @property {any} despues - Valor nuevo (null si la cita ha dejado de existir).
+ */
+
+/**
+ * @typedef {Object} EntradaAuditoria
+ * @property {string} fecha - Momento del cambio (ISO 8601).
+ * @property {string} accion - Clave de ACCIONES_AUDITORIA.
+ * @property {string} cita_id
+ * @property {string} recepcionista - Nombre de quien estaba en recepción ('' si no se sabe).
+ * @property {Array<CambioCampo>} cambios
+ */
+
+export const ACCIONES_AUDITORIA = {
+    crear: 'Creada',
+    editar: 'Modificada',
+    borrar: 'Movida a la papelera',
+    restaurar: 'Restaurada',
+    importar: 'Importada',
+    purgar: 'Eliminada definitivamente'
+};
+
+// Nombre de cada campo en el historial, en el orden en que se muestran
+export const CAMPOS_AUDITORIA = {
+    fecha_reserva: 'Fecha',
+    hora_reserva: 'Hora',
+    recurso_id: 'Dentista / Sillón',
+    tratamiento: 'Tratamiento',
+    duracion: 'Duración',
+    estado: 'Estado',
+    serie_id: 'Serie',
+    nombre: 'Nombre',
+    apellidos: 'Apellidos',
+    dni: 'DNI',
+    telefono: 'Teléfono',
+    fecha_nacimiento: 'Fecha de nacimiento',
+    observaciones: 'Observaciones'
+};
+
+// Campos con datos personales del paciente, que se suprimen al eliminar la cita definitivamente
+const CAMPOS_PERSONALES = ['nombre', 'apellidos', 'dni', 'telefono', 'fecha_nacimiento', 'observaciones'];
+// Texto que sustituye a un dato personal suprimido
+export const DATO_SUPRIMIDO = '[suprimido]';
+
+/**
+ * Nombre del perfil identificado en esta pestaña ('' si la clínica no usa perfiles).
+ * @returns {string}
+ */
+export function recepcionistaActivo() {
+    return usuarioActivo()?.nombre ?? '';
+}
+
+/**
+ * Campos que difieren entre dos versiones de una cita (representación plana).
+ * El historial de estados no se compara: el cambio ya aparece en el campo estado.
+ * @param {Object|null} antes
+ * @param {Object|null} despues
+ * @returns {Array<CambioCampo>}
+ */
+export function calcularCambios(antes, despues) {
+    return Object.keys(CAMPOS_AUDITORIA)
+        .filter(campo => (antes?.[campo] ?? '') !== (despues?.[campo] ?? ''))
+        .map(campo => ({
+            campo,
+            antes: antes ? antes[campo] ?? '' : null,
+            despues: despues ? despues[campo] ?? '' : null
+        }));
+}
+
+/**
+ * Compara la agenda antes y después de una escritura y genera las entradas del registro.
+ * @param {Array<Object>} anteriores - Citas en representación plana (toJSON).
+ * @param {Array<Object>} actuales
+ * @param {Object} [opciones]
+ * @param {string} [opciones.alAnadir='crear'] - Acción para las citas que aparecen.
+ * @param {string} [opciones.alQuitar='borrar'] - Acción para las citas que desaparecen.
+ * @param {Date} [opciones.fecha=new Date()]
+ * @returns {Array<EntradaAuditoria>}
+ */
+export function entradasDeAuditoria(anteriores, actuales, { alAnadir = 'crear', alQuitar = 'borrar', fecha = new Date() } = {}) {
+    const antes = new Map(anteriores.map(c => [c.id, c]));
+    const despues = new Map(actuales.map(c => [c.id, c]));
+    const base = { fecha: fecha.toISOString(), recepcionista: recepcionistaActivo() };
+    const entradas = [];
+
+    despues.forEach((json, id) => {
+        const previo = antes.get(id) ?? null;
+        const cambios = calcularCambios(previo, json);
+        if (cambios.length > 0) entradas.push({ ...base, accion: previo ? 'editar' : alAnadir, cita_id: id, cambios });
+    });
+    antes.forEach((json, id) => {
+        if (!despues.has(id)) entradas.push({ ...base, accion: alQuitar, cita_id: id, cambios: calcularCambios(json, null) });
+    });
+    return entradas;
+}
+
+/**
+ * Suprime los datos personales de las citas eliminadas definitivamente: en cada cita con una
+ * entrada 'purgar', las entradas hasta esa fecha (incluida la propia purga) pierden los valores
+ * de CAMPOS_PERSONALES. Se aplica sobre todo el registro, así que una supresión que no llegara
+ * a guardarse se completa en la siguiente anotación.
+ * @param {Array<EntradaAuditoria>} entradas
+ * @returns {Array<EntradaAuditoria>} Registro con los datos suprimidos (las demás entradas, sin tocar).
+ */
+export function suprimirDatosPersonales(entradas) {
+    const purgadas = new Map();
+    entradas.filter(e => e.accion === 'purgar').forEach(e => {
+        const anterior = purgadas.get(e.cita_id);
+        if (!anterior || e.fecha > anterior) purgadas.set(e.cita_id, e.fecha);
+    });
+    if (purgadas.size === 0) return entradas;
+
+    const suprimir = (valor) => (valor === null || valor === '' ? valor : DATO_SUPRIMIDO);
+    return entradas.map(e => {
+        if (!purgadas.has(e.cita_id) || e.fecha > purgadas.get(e.cita_id)) return e;
+        return {
+            ...e,
+            cambios: e.cambios.map(c => (CAMPOS_PERSONALES.includes(c.campo)
+                ? { ...c, antes: suprimir(c.antes), despues: suprimir(c.despues) }
+                : c))
+        };
+    });
+}
+
+/**
+ * Genera el HTML del historial de cambios de una cita, del más reciente al más antiguo.
+ * @param {Array<EntradaAuditoria>} entradas
+ * @param {Function} [formatear] - (campo, valor) => texto legible de un valor no vacío.
+ * @returns {string} HTML.
+ */
+export function historialAuditoriaHTML(entradas, formatear = (campo, valor) => String(valor)) {
+    if (entradas.length === 0) return '<p class="form-note">No hay cambios registrados para esta cita.</p>';
+    const texto = (campo, valor) => {
+        if (valor === null || valor === '') return '—';
+        return valor === DATO_SUPRIMIDO ? valor : formatear(campo, valor);
+    };
+    return `
+        <ol class="audit-list">
+            ${[...entradas].reverse().map(e => `
+                <li class="audit-entry">
+                    <strong>${escapeHTML(ACCIONES_AUDITORIA[e.accion] ?? e.accion)}</strong>
+                    · ${escapeHTML(new Date(e.fecha).toLocaleString('es-ES'))}
+                    · ${escapeHTML(e.recepcionista || 'Recepción sin identificar')}
+                    ${e.cambios.length > 0 ? `
+                        <table class="audit-table">
+                            <thead><tr><th scope="col">Campo</th><th scope="col">Antes</th><th scope="col">Después</th></tr></thead>
+                            <tbody>
+                                ${e.cambios.map(c => `
+                                    <tr>
+                                        <th scope="row">${escapeHTML(CAMPOS_AUDITORIA[c.campo] ?? c.campo)}</th>
+                                        <td>${escapeHTML(texto(c.campo, c.antes))}</td>
+                                        <td>${escapeHTML(texto(c.campo, c.despues))}</td>
+                                    </tr>`).join('')}
+                            </tbody>
+                        </table>` : ''}
+                </li>`).join('')}
+        </ol>`;
+}
+
+/**
+ * Exporta el registro a CSV: una fila por campo cambiado (UTF-8 con BOM, separado por punto y coma).
+ * @param {Array<EntradaAuditoria>} entradas
+ * @returns {string}
+ */
+export function exportarAuditoriaCSV(entradas) {
+    const filas = entradas.flatMap(e => {
+        const comunes = [e.fecha, e.cita_id, ACCIONES_AUDITORIA[e.accion] ?? e.accion, e.recepcionista];
+        return e.cambios.length > 0
+            ? e.cambios.map(c => [...comunes, c.campo, c.antes, c.despues])
+            : [[...comunes, '', '', '']];
+    });
+    return generarCSV(['fecha', 'cita_id', 'accion', 'recepcionista', 'campo', 'antes', 'despues'], filas);
+}
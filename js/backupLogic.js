@@ -0,0 +1,203 @@
+/**
+ * js/backupLogic.js
+ * Lógica de la página de copia de seguridad (backup.html): exportación de la
+ * agenda a JSON o CSV e importación con simulación previa.
+ */
+
+import { obtenerCitas, importarCitas, obtenerAuditoria, alCambiarDatos } from './storage.js';
+import { exigirDesbloqueo } from './lockScreen.js';
+import { obtenerAjustes } from './clinicSettings.js';
+import { exportarJSON, exportarCSV, leerArchivo, analizarImportacion } from './importExport.js';
+import { exportarICS } from './icalendar.js';
+import { escapeHTML, formatearFecha, fechaISO, descargarArchivo } from './utils.js';
+import { exportarAuditoriaCSV } from './auditLog.js';
+
+// Apartados del informe de importación, en el orden en que se muestran
+const APARTADOS_INFORME = {
+    nuevas: 'Se importarán',
+    duplicadas: 'Duplicadas (mismo ID, se omiten)',
+    conflictos: 'Con conflicto de horario (se omiten)',
+    invalidas: 'No válidas (se omiten)'
+};
+
+/**
+ * Describe una entrada del informe para la lista de detalles.
+ * @param {{fila: number, cita?: import('./models.js').Cita, motivo?: string}} entrada
+ * @returns {string} HTML.
+ */
+function entradaInformeHTML({ fila, cita, motivo }) {
+    const descripcion = cita
+        ? `${formatearFecha(cita.fecha_reserva)} ${cita.hora_reserva} · ${cita.nombreCompleto}`
+        : '';
+    return `
+        <li>
+            <strong>Fila ${fila}</strong>${descripcion ? ` · ${escapeHTML(descripcion)}` : ''}
+            ${motivo ? `<br><span class="import-report-motivo">${escapeHTML(motivo)}</span>` : ''}
+        </li>`;
+}
+
+/**
+ * @param {import('./importExport.js').InformeImportacion} informe
+ * @returns {string} HTML del informe de la simulación.
+ */
+function informeHTML(informe) {
+    const total = Object.values(informe).reduce((suma, lista) => suma + lista.length, 0);
+    return `
+        <p class="form-note">Simulación: ${total} registro(s) leídos. Todavía no se ha guardado nada.</p>
+        ${Object.entries(APARTADOS_INFORME).map(([clave, titulo]) => `
+            <details class="past-appointments-details import-report-section import-report-section--${clave}"${clave !== 'nuevas' && informe[clave].length > 0 ? ' open' : ''}>
+                <summary class="past-appointments-summary">${titulo}: ${informe[clave].length}</summary>
+                <ul class="import-report-list">
+                    ${informe[clave].map(entradaInformeHTML).join('')}
+                </ul>
+            </details>`).join('')}`;
+}
+
+function setupBackupPageLogic() {
+    const form = document.getElementById('importForm');
+    if (!form) return;
+
+    const errorMsg = document.getElementById('backupError');
+    const statusMsg = form.querySelector('.status-message');
+    const resumenExportacion = document.getElementById('resumenExportacion');
+    const archivoInput = document.getElementById('archivoImportacion');
+    const modoSelect = document.getElementById('modoImportacion');
+    const informeContainer = document.getElementById('informeImportacion');
+    const confirmarBtn = document.getElementById('confirmarImportacion');
+
+    // Registros leídos del archivo y resultado de la última simulación
+    let registros = null;
+    let informe = null;
+
+    const displayError = (message) => {
+        errorMsg.textContent = message;
+        errorMsg.style.display = 'block';
+    };
+
+    const actualizarResumen = async () => {
+        const citas = await obtenerCitas();
+        resumenExportacion.textContent = `${citas.length} cita(s) guardadas en este navegador.`;
+    };
+
+    // --- Exportación ---
+    const exportar = async (formato) => {
+        errorMsg.style.display = 'none';
+        try {
+            const citas = await obtenerCitas();
+            const nombre = `davantedental-citas-${fechaISO(new Date())}`;
+            if (formato === 'csv') {
+                descargarArchivo(exportarCSV(citas), `${nombre}.csv`, 'text/csv;charset=utf-8');
+            } else if (formato === 'ics') {
+                // Copia completa: a diferencia de la agenda, lleva los datos personales para poder restaurarla
+                descargarArchivo(exportarICS(citas, 'DavanteDental', { completo: true }), `${nombre}.ics`, 'text/calendar;charset=utf-8');
+            } else {
+                descargarArchivo(exportarJSON(citas), `${nombre}.json`, 'application/json;charset=utf-8');
+            }
+        } catch (error) {
+            displayError(`Error al exportar las citas: ${error.message}`);
+        }
+    };
+
+    const exportarAuditoria = async (formato) => {
+        errorMsg.style.display = 'none';
+        try {
+            const entradas = await obtenerAuditoria();
+            const nombre = `davantedental-registro-cambios-${fechaISO(new Date())}`;
+            if (formato === 'csv') {
+                descargarArchivo(exportarAuditoriaCSV(entradas), `${nombre}.csv`, 'text/csv;charset=utf-8');
+            } else {
+                descargarArchivo(JSON.stringify(entradas, null, 2), `${nombre}.json`, 'application/json;charset=utf-8');
+            }
+        } catch (error) {
+            displayError(`Error al exportar el registro de cambios: ${error.message}`);
+        }
+    };
+
+    document.getElementById('exportarJSON')?.addEventListener('click', () => exportar('json'));
+    document.getElementById('exportarCSV')?.addEventListener('click', () => exportar('csv'));
+    document.getElementById('exportarICS')?.addEventListener('click', () => exportar('ics'));
+    document.getElementById('exportarAuditoriaJSON')?.addEventListener('click', () => exportarAuditoria('json'));
+    document.getElementById('exportarAuditoriaCSV')?.addEventListener('click', () => exportarAuditoria('csv'));
+
+    // --- Importación: simulación ---
+    const simular = async () => {
+        informe = null;
+        confirmarBtn.disabled = true;
+        if (!registros) {
+            informeContainer.innerHTML = '';
+            return;
+        }
+        const [citas, ajustes] = await Promise.all([obtenerCitas(), obtenerAjustes()]);
+        informe = analizarImportacion(registros, citas, ajustes, { reemplazar: modoSelect.value === 'reemplazar' });
+        informeContainer.innerHTML = informeHTML(informe);
+        confirmarBtn.disabled = informe.nuevas.length === 0;
+    };
+
+    archivoInput.addEventListener('change', async () => {
+        errorMsg.style.display = 'none';
+        statusMsg.textContent = '';
+        registros = null;
+        const archivo = archivoInput.files?.[0];
+        try {
+            if (archivo) registros = leerArchivo(await archivo.text(), archivo.name);
+            await simular();
+        } catch (error) {
+            informeContainer.innerHTML = '';
+            displayError(`No se puede importar el archivo: ${error.message}`);
+        }
+    });
+
+    modoSelect.addEventListener('change', () => {
+        simular().catch(error => displayError(`Error al analizar el archivo: ${error.message}`));
+    });
+
+    // --- Importación: confirmación ---
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        errorMsg.style.display = 'none';
+        // Se repite la simulación por si la agenda ha cambiado desde que se cargó el archivo
+        try {
+            await simular();
+        } catch (error) {
+            displayError(`Error al analizar el archivo: ${error.message}`);
+            return;
+        }
+        if (!informe || informe.nuevas.length === 0) return;
+
+        const reemplazar = modoSelect.value === 'reemplazar';
+        const cantidad = informe.nuevas.length;
+        const omitidas = informe.duplicadas.length + informe.conflictos.length + informe.invalidas.length;
+        const aviso = reemplazar
+            ? `Se BORRARÁN todas las citas actuales y se guardarán ${cantidad} cita(s) del archivo.`
+            : `Se añadirán ${cantidad} cita(s) a la agenda.`;
+        if (!confirm(`${aviso}${omitidas > 0 ? ` ${omitidas} registro(s) se omitirán.` : ''}\n\n¿Continuar?`)) return;
+
+        let importadas;
+        try {
+            importadas = await importarCitas(informe.nuevas.map(n => n.cita), { reemplazar });
+        } catch (error) {
+            displayError(`Error al importar las citas: ${error.message}`);
+            return;
+        }
+        form.reset();
+        registros = null;
+        statusMsg.textContent = `Importación completada: ${importadas} cita(s) guardadas.`;
+        // Las citas ya están guardadas: un fallo al refrescar la página no es un fallo de la importación
+        Promise.all([simular(), actualizarResumen()])
+            .catch(error => displayError(`Error al actualizar las citas: ${error.message}`));
+    });
+
+    actualizarResumen().catch(error => displayError(`Error al cargar las citas: ${error.message}`));
+    // Si la agenda cambia en otra pestaña, la simulación pendiente deja de ser válida
+    alCambiarDatos(() => {
+        Promise.all([actualizarResumen(), simular()])
+            .catch(error => displayError(`Error al actualizar las citas: ${error.message}`));
+    });
+}
+
+// Con los datos cifrados, nada se lee hasta introducir la frase de la clínica
+document.addEventListener('DOMContentLoaded', () => {
+    exigirDesbloqueo()
+        .then(setupBackupPageLogic)
+        .catch(e => alert(`Error: No se pueden abrir los datos. ${e.message}`));
+});
@@ -0,0 +1,372 @@
+/**
+ * js/calendarView.js
+ * Vistas de calendario de la agenda (día, semana y mes).
+ * Genera el HTML de las rejillas a partir de las citas ya filtradas; la página
+ * (checkLogic.js) se encarga de la navegación y de los eventos.
+ *
+ * Las citas llevan `data-cita-id` y son arrastrables; las casillas llevan el destino
+ * de un posible movimiento en `data-fecha`, `data-hora` y `data-recurso`.
+ * Las citas canceladas no se dibujan: su hueco queda libre para reservar.
+ */
+
+import { escapeHTML, formatearFecha, fechaISO, sumarDias } from './utils.js';
+import { ordenarCitas } from './agenda.js';
+import { estadoDia, generarFranjas, horaAMinutos, nombreRecurso, nombreTratamiento, DIAS_SEMANA } from './scheduling.js';
+import { ESTADOS_CITA, ocupaHueco, esMovible } from './appointmentStatus.js';
+
+/** @typedef {import('./models.js').Cita} Cita */
+/** @typedef {import('./scheduling.js').Recurso} Recurso */
+/** @typedef {import('./clinicSettings.js').AjustesClinica} AjustesClinica */
+
+export const VISTAS_AGENDA = {
+    lista: 'Lista',
+    dia: 'Día',
+    semana: 'Semana',
+    mes: 'Mes'
+};
+
+const MESES = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+// Número máximo de citas que se listan en cada casilla de la vista mensual
+const MAX_CITAS_DIA_MES = 3;
+
+// --- Fechas ---
+
+/**
+ * Lunes de la semana de una fecha.
+ * @param {string} fecha - 'YYYY-MM-DD'.
+ * @returns {string}
+ */
+export function inicioSemana(fecha) {
+    const dia = new Date(`${fecha}T00:00:00`).getDay();
+    return sumarDias(fecha, dia === 0 ? -6 : 1 - dia);
+}
+
+/**
+ * Fecha de referencia del periodo anterior o siguiente.
+ * @param {string} vista - 'dia', 'semana' o 'mes'.
+ * @param {string} fecha - Fecha de referencia actual.
+ * @param {number} sentido - -1 (anterior) o 1 (siguiente).
+ * @returns {string}
+ */
+export function desplazarPeriodo(vista, fecha, sentido) {
+    if (vista === 'dia') return sumarDias(fecha, sentido);
+    if (vista === 'semana') return sumarDias(fecha, 7 * sentido);
+
+    const d = new Date(`${fecha}T00:00:00`);
+    d.setDate(1);
+    d.setMonth(d.getMonth() + sentido);
+    return fechaISO(d);
+}
+
+/**
+ * Título visible del periodo mostrado.
+ * @param {string} vista
+ * @param {string} fecha
+ * @returns {string}
+ */
+export function tituloPeriodo(vista, fecha) {
+    const d = new Date(`${fecha}T00:00:00`);
+    if (vista === 'dia') return `${DIAS_SEMANA[d.getDay()]} ${formatearFecha(fecha)}`;
+    if (vista === 'semana') {
+        const lunes = inicioSemana(fecha);
+        return `Semana del ${formatearFecha(lunes)} al ${formatearFecha(sumarDias(lunes, 6))}`;
+    }
+    return `${MESES[d.getMonth()].replace(/^./, c => c.toUpperCase())} de ${d.getFullYear()}`;
+}
+
+// --- Piezas comunes ---
+
+/**
+ * Indica si el inicio de una franja ya ha pasado.
+ * @param {string} fecha
+ * @param {string} hora
+ * @returns {boolean}
+ */
+function franjaPasada(fecha, hora) {
+    return new Date(`${fecha}T${hora}`) <= new Date();
+}
+
+/**
+ * Filas de una rejilla: franjas del horario más las horas de inicio de citas fuera de franja.
+ * @param {Array<string>} franjas
+ * @param {Array<Cita>} citas
+ * @returns {Array<string>} Horas 'HH:MM' ordenadas.
+ */
+function filasHorarias(franjas, citas) {
+    return [...new Set([...franjas, ...citas.map(c => c.hora_reserva)])].sort();
+}
+
+/**
+ * Citas que empiezan dentro de la fila [hora, siguiente).
+ * @param {Array<Cita>} citas
+ * @param {string} hora
+ * @param {string} [siguiente]
+ * @returns {Array<Cita>}
+ */
+function citasQueEmpiezan(citas, hora, siguiente) {
+    return citas.filter(c => c.hora_reserva >= hora && (!siguiente || c.hora_reserva < siguiente));
+}
+
+/**
+ * Indica si alguna cita que empezó antes sigue en curso al inicio de la fila.
+ * @param {Array<Cita>} citas
+ * @param {string} hora
+ * @returns {boolean}
+ */
+function hayCitaEnCurso(citas, hora) {
+    const minutos = horaAMinutos(hora);
+    return citas.some(c => {
+        const inicio = horaAMinutos(c.hora_reserva);
+        return inicio < minutos && minutos < inicio + (Number(c.duracion) || 0);
+    });
+}
+
+/**
+ * Atributos de una casilla que puede recibir una cita arrastrada.
+ * Los datos que no se indican se conservan de la cita al moverla.
+ * @param {string} fecha
+ * @param {string} [hora]
+ * @param {string} [recursoId]
+ * @returns {string}
+ */
+function destinoHTML(fecha, hora = '', recursoId = '') {
+    return [
+        `data-fecha="${fecha}"`,
+        hora ? `data-hora="${hora}"` : '',
+        recursoId ? `data-recurso="${escapeHTML(recursoId)}"` : ''
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * Bloque de una cita dentro de la rejilla (enlaza a su edición y, si aún no ha pasado
+ * por recepción, se puede arrastrar).
+ * @param {Cita} cita
+ * @param {boolean} mostrarRecurso - Añade el nombre del recurso (vistas con varios recursos por columna).
+ * @returns {string}
+ */
+function bloqueCitaHTML(cita, mostrarRecurso) {
+    const detalles = [
+        cita.tratamiento ? nombreTratamiento(cita.tratamiento) : '',
+        mostrarRecurso ? nombreRecurso(cita.recurso_id) : ''
+    ].filter(Boolean).join(' · ');
+
+    const estado = ESTADOS_CITA[cita.estado] ?? cita.estado;
+
+    return `
+        <a class="calendar-event calendar-event--${escapeHTML(cita.estado)}" href="index.html?edit=${encodeURIComponent(cita.id)}"
+           draggable="${esMovible(cita)}" data-cita-id="${escapeHTML(cita.id)}" aria-describedby="calendarMoveHelp"
+           title="${escapeHTML(`${cita.hora_reserva}–${cita.horaFin} ${cita.nombreCompleto} (${estado})`)}">
+            <span class="calendar-event-time">${escapeHTML(`${cita.hora_reserva}–${cita.horaFin}`)}</span>
+            <span class="calendar-event-name">${escapeHTML(cita.nombreCompleto)}</span>
+            ${detalles ? `<span class="calendar-event-detail">${escapeHTML(detalles)}</span>` : ''}
+        </a>`;
+}
+
+/**
+ * Enlace para reservar una franja libre.
+ * @param {string} fecha
+ * @param {string} hora
+ * @param {string} [recursoId] - Si se indica, el formulario lo deja elegido.
+ * @returns {string}
+ */
+function franjaLibreHTML(fecha, hora, recursoId = '') {
+    const params = new URLSearchParams({ fecha, hora });
+    if (recursoId) params.set('recurso', recursoId);
+    const destino = recursoId ? ` con ${nombreRecurso(recursoId)}` : '';
+    return `<a class="calendar-slot" href="index.html?${params}" aria-label="${escapeHTML(`Reservar el ${formatearFecha(fecha)} a las ${hora}${destino}`)}">+</a>`;
+}
+
+/**
+ * Agrupa las citas por fecha.
+ * @param {Array<Cita>} citas
+ * @returns {Map<string, Array<Cita>>}
+ */
+function citasPorFecha(citas) {
+    const mapa = new Map();
+    ordenarCitas(citas).forEach(cita => {
+        if (!mapa.has(cita.fecha_reserva)) mapa.set(cita.fecha_reserva, []);
+        mapa.get(cita.fecha_reserva).push(cita);
+    });
+    return mapa;
+}
+
+// --- Vistas ---
+
+/**
+ * Vista de un día: una columna por recurso y una fila por franja.
+ * @param {string} fecha
+ * @param {Array<Cita>} citas
+ * @param {AjustesClinica} ajustes
+ * @param {Array<Recurso>} recursos - Columnas a mostrar.
+ * @returns {string}
+ */
+function vistaDiaHTML(fecha, citas, ajustes, recursos) {
+    const delDia = citasPorFecha(citas).get(fecha) ?? [];
+    const estado = estadoDia(ajustes, fecha);
+    const filas = filasHorarias(generarFranjas(ajustes, fecha), delDia);
+
+    if (filas.length === 0) {
+        return `<p class="status-message">Clínica cerrada: ${escapeHTML(estado.motivo)}.</p>`;
+    }
+
+    const cabecera = recursos.map(r => `<th scope="col">${escapeHTML(r.nombre)}</th>`).join('');
+    const cuerpo = filas.map((hora, i) => {
+        const siguiente = filas[i + 1];
+        const celdas = recursos.map(r => {
+            const destino = destinoHTML(fecha, hora, r.id);
+            const delRecurso = delDia.filter(c => c.recurso_id === r.id);
+            const empiezan = citasQueEmpiezan(delRecurso, hora, siguiente);
+            if (empiezan.length > 0) {
+                return `<td class="calendar-cell calendar-cell--busy" ${destino}>${empiezan.map(c => bloqueCitaHTML(c, false)).join('')}</td>`;
+            }
+            if (hayCitaEnCurso(delRecurso, hora)) {
+                return `<td class="calendar-cell calendar-cell--continued" ${destino} aria-label="Ocupado"></td>`;
+            }
+            const reservable = estado.abierto && !franjaPasada(fecha, hora);
+            return `<td class="calendar-cell" ${destino}>${reservable ? franjaLibreHTML(fecha, hora, r.id) : ''}</td>`;
+        }).join('');
+        return `<tr><th scope="row" class="calendar-hour">${hora}</th>${celdas}</tr>`;
+    }).join('');
+
+    const aviso = estado.abierto ? '' : `<p class="status-message">Clínica cerrada: ${escapeHTML(estado.motivo)}.</p>`;
+    return `
+        ${aviso}
+        <div class="calendar-scroll">
+            <table class="calendar-grid calendar-grid--day">
+                <thead><tr><th scope="col">Hora</th>${cabecera}</tr></thead>
+                <tbody>${cuerpo}</tbody>
+            </table>
+        </div>`;
+}
+
+/**
+ * Vista de una semana (lunes a domingo): una columna por día y una fila por franja.
+ * @param {string} fecha - Cualquier día de la semana.
+ * @param {Array<Cita>} citas
+ * @param {AjustesClinica} ajustes
+ * @param {Array<Recurso>} recursos - Recursos visibles (con uno solo, las franjas libres lo preseleccionan).
+ * @returns {string}
+ */
+function vistaSemanaHTML(fecha, citas, ajustes, recursos) {
+    const lunes = inicioSemana(fecha);
+    const dias = Array.from({ length: 7 }, (_, i) => sumarDias(lunes, i));
+    const porFecha = citasPorFecha(citas);
+    const hoy = fechaISO(new Date());
+
+    const franjasPorDia = dias.map(dia => generarFranjas(ajustes, dia));
+    const filas = filasHorarias(franjasPorDia.flat(), dias.flatMap(dia => porFecha.get(dia) ?? []));
+    if (filas.length === 0) {
+        return '<p class="status-message">La clínica no abre esta semana.</p>';
+    }
+
+    const recursoUnico = recursos.length === 1 ? recursos[0].id : '';
+    const cabecera = dias.map(dia => {
+        const d = new Date(`${dia}T00:00:00`);
+        const estado = estadoDia(ajustes, dia);
+        return `
+            <th scope="col" class="${dia === hoy ? 'calendar-today' : ''}">
+                <button type="button" class="calendar-day-link" data-ir-dia="${dia}">
+                    ${DIAS_SEMANA[d.getDay()].slice(0, 3)} ${d.getDate()}
+                </button>
+                ${estado.abierto ? '' : `<span class="calendar-closed-label">${escapeHTML(estado.motivo)}</span>`}
+            </th>`;
+    }).join('');
+
+    const cuerpo = filas.map((hora, i) => {
+        const siguiente = filas[i + 1];
+        const celdas = dias.map((dia, d) => {
+            const destino = destinoHTML(dia, hora);
+            const delDia = porFecha.get(dia) ?? [];
+            const empiezan = citasQueEmpiezan(delDia, hora, siguiente);
+            if (empiezan.length > 0) {
+                return `<td class="calendar-cell calendar-cell--busy" ${destino}>${empiezan.map(c => bloqueCitaHTML(c, !recursoUnico)).join('')}</td>`;
+            }
+            if (!franjasPorDia[d].includes(hora)) {
+                return `<td class="calendar-cell calendar-cell--closed" ${destino}></td>`;
+            }
+            // La franja es reservable si algún recurso visible está libre en ella
+            const libre = recursos.some(r => !hayCitaEnCurso(delDia.filter(c => c.recurso_id === r.id), hora));
+            if (!libre) return `<td class="calendar-cell calendar-cell--continued" ${destino} aria-label="Ocupado"></td>`;
+            return `<td class="calendar-cell" ${destino}>${franjaPasada(dia, hora) ? '' : franjaLibreHTML(dia, hora, recursoUnico)}</td>`;
+        }).join('');
+        return `<tr><th scope="row" class="calendar-hour">${hora}</th>${celdas}</tr>`;
+    }).join('');
+
+    return `
+        <div class="calendar-scroll">
+            <table class="calendar-grid calendar-grid--week">
+                <thead><tr><th scope="col">Hora</th>${cabecera}</tr></thead>
+                <tbody>${cuerpo}</tbody>
+            </table>
+        </div>`;
+}
+
+/**
+ * Vista de un mes: semanas de lunes a domingo con un resumen de las citas de cada día.
+ * @param {string} fecha - Cualquier día del mes.
+ * @param {Array<Cita>} citas
+ * @param {AjustesClinica} ajustes
+ * @returns {string}
+ */
+function vistaMesHTML(fecha, citas, ajustes) {
+    const mes = fecha.slice(0, 7);
+    const primero = `${mes}-01`;
+    const porFecha = citasPorFecha(citas);
+    const hoy = fechaISO(new Date());
+
+    const cabecera = [1, 2, 3, 4, 5, 6, 0].map(d => `<th scope="col">${DIAS_SEMANA[d].slice(0, 3)}</th>`).join('');
+    const semanas = [];
+    for (let lunes = inicioSemana(primero); lunes.slice(0, 7) <= mes; lunes = sumarDias(lunes, 7)) {
+        const celdas = Array.from({ length: 7 }, (_, i) => {
+            const dia = sumarDias(lunes, i);
+            const delDia = porFecha.get(dia) ?? [];
+            const clases = ['calendar-cell', 'calendar-month-day'];
+            if (!dia.startsWith(mes)) clases.push('calendar-cell--outside');
+            if (!estadoDia(ajustes, dia).abierto) clases.push('calendar-cell--closed');
+            if (dia === hoy) clases.push('calendar-today');
+
+            const lista = delDia.slice(0, MAX_CITAS_DIA_MES).map(c => `
+                <li><a href="index.html?edit=${encodeURIComponent(c.id)}" draggable="${esMovible(c)}"
+                    class="calendar-event--${escapeHTML(c.estado)}" data-cita-id="${escapeHTML(c.id)}"
+                    aria-describedby="calendarMoveHelp">${escapeHTML(`${c.hora_reserva} ${c.nombreCompleto}`)}</a></li>`
+            ).join('');
+            const resto = delDia.length - MAX_CITAS_DIA_MES;
+
+            return `
+                <td class="${clases.join(' ')}" ${destinoHTML(dia)}>
+                    <button type="button" class="calendar-day-link" data-ir-dia="${dia}"
+                        aria-label="${escapeHTML(`Ver el día ${formatearFecha(dia)} (${delDia.length} citas)`)}">
+                        ${Number(dia.slice(8))}
+                    </button>
+                    ${lista ? `<ul class="calendar-month-list">${lista}</ul>` : ''}
+                    ${resto > 0 ? `<span class="calendar-more">+${resto} más</span>` : ''}
+                </td>`;
+        }).join('');
+        semanas.push(`<tr>${celdas}</tr>`);
+    }
+
+    return `
+        <div class="calendar-scroll">
+            <table class="calendar-grid calendar-grid--month">
+                <thead><tr>${cabecera}</tr></thead>
+                <tbody>${semanas.join('')}</tbody>
+            </table>
+        </div>`;
+}
+
+/**
+ * Genera la vista de calendario pedida.
+ * @param {'dia'|'semana'|'mes'} vista
+ * @param {string} fecha - Fecha de referencia 'YYYY-MM-DD'.
+ * @param {Array<Cita>} citas - Citas ya filtradas.
+ * @param {Object} opciones
+ * @param {AjustesClinica} opciones.ajustes - Horario de la clínica (franjas y días cerrados).
+ * @param {Array<Recurso>} opciones.recursos - Recursos visibles.
+ * @returns {string} HTML de la rejilla.
+ */
+export function renderCalendario(vista, fecha, citas, { ajustes, recursos }) {
+    const activas = citas.filter(ocupaHueco);
+    if (vista === 'dia') return vistaDiaHTML(fecha, activas, ajustes, recursos);
+    if (vista === 'semana') return vistaSemanaHTML(fecha, activas, ajustes, recursos);
+    return vistaMesHTML(fecha, activas, ajustes);
+}
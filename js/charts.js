@@ -0,0 +1,52 @@
+/**
+ * js/charts.js
+ * Gráficos SVG sencillos para incrustar en el HTML, sin librerías externas.
+ * Cada gráfico lleva título y descripción accesibles y escala con el ancho de su contenedor.
+ */
+
+import { escapeHTML } from './utils.js';
+
+// Medidas del lienzo (unidades del viewBox)
+const ANCHO = 600;
+const ANCHO_ETIQUETAS = 160;
+const ANCHO_VALORES = 60;
+const ALTO_BARRA = 22;
+const SEPARACION = 6;
+
+/**
+ * Gráfico de barras horizontales: una barra por dato, con su etiqueta y su valor.
+ * @param {Array<{etiqueta: string, valor: number}>} datos
+ * @param {Object} opciones
+ * @param {string} opciones.titulo - Título accesible del gráfico.
+ * @param {string} [opciones.sufijo=''] - Texto tras cada valor (p. ej. '%').
+ * @param {number} [opciones.maximo] - Valor que ocupa todo el ancho (por defecto, el mayor de los datos).
+ * @returns {string} Marcado SVG.
+ */
+export function graficoBarrasSVG(datos, { titulo, sufijo = '', maximo } = {}) {
+    if (datos.length === 0) return `<p class="form-note">${escapeHTML(titulo)}: no hay datos en el periodo.</p>`;
+
+    const tope = maximo ?? Math.max(...datos.map(d => d.valor), 1);
+    const anchoBarras = ANCHO - ANCHO_ETIQUETAS - ANCHO_VALORES;
+    const alto = datos.length * (ALTO_BARRA + SEPARACION) + SEPARACION;
+    const id = `grafico-${Math.random().toString(36).slice(2, 9)}`;
+    const descripcion = datos.map(d => `${d.etiqueta}: ${d.valor}${sufijo}`).join('; ');
+
+    const barras = datos.map((d, i) => {
+        const y = SEPARACION + i * (ALTO_BARRA + SEPARACION);
+        const ancho = tope > 0 ? Math.max(0, Math.min(1, d.valor / tope)) * anchoBarras : 0;
+        const centro = y + ALTO_BARRA / 2;
+        return `
+            <g>
+                <text x="${ANCHO_ETIQUETAS - 8}" y="${centro}" class="chart-label" text-anchor="end" dominant-baseline="middle">${escapeHTML(d.etiqueta)}</text>
+                <rect x="${ANCHO_ETIQUETAS}" y="${y}" width="${ancho.toFixed(1)}" height="${ALTO_BARRA}" rx="3" class="chart-bar"></rect>
+                <text x="${(ANCHO_ETIQUETAS + ancho + 6).toFixed(1)}" y="${centro}" class="chart-value" dominant-baseline="middle">${escapeHTML(`${d.valor}${sufijo}`)}</text>
+            </g>`;
+    }).join('');
+
+    return `
+        <svg class="chart" viewBox="0 0 ${ANCHO} ${alto}" role="img" aria-labelledby="${id}-titulo ${id}-desc" preserveAspectRatio="xMinYMin meet">
+            <title id="${id}-titulo">${escapeHTML(titulo)}</title>
+            <desc id="${id}-desc">${escapeHTML(descripcion)}</desc>
+            ${barras}
+        </svg>`;
+}
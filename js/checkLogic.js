@@ -3,52 +3,106 @@
  * Lógica para la página de agenda (check.html) de visualización y gestión de citas.
  */
 
-import { obtenerCitas, eliminarCita } from './storage.js';
+import {
+    obtenerCitas, guardarCita, eliminarCita, eliminarCitas, obtenerCuarentena, descartarDeCuarentena,
+    obtenerPapelera, restaurarCitas, purgarPapelera, obtenerAuditoria, alCambiarDatos, obtenerListaEspera,
+    quitarDeListaEspera
+} from './storage.js';
+import { exigirDesbloqueo } from './lockScreen.js';
+import { Cita } from './models.js';
 // Importación de funciones del módulo utils
-import { escapeHTML, formatearFecha, trapFocus, handleEscapeKey } from './utils.js'; 
+import {
+    escapeHTML, formatearFecha, fechaISO, sumarDias, trapFocus, handleEscapeKey, elegirOpcion, descargarArchivo,
+    mostrarAviso
+} from './utils.js';
+import {
+    ordenarCitas, separarCitasPorEstado, FRANJAS_DIA, franjasDia, filtrosVacios, cumpleFiltros, resaltarCoincidencias,
+    filtrosAParametros, filtrosDesdeParametros
+} from './agenda.js';
+import {
+    obtenerRecursos, nombreRecurso, nombreTratamiento, opcionesRecursosHTML, comprobarReserva, generarFranjas,
+    buscarConflicto, DIAS_SEMANA
+} from './scheduling.js';
+import { obtenerAjustes } from './clinicSettings.js';
+import { VISTAS_AGENDA, renderCalendario, tituloPeriodo, desplazarPeriodo } from './calendarView.js';
+import { ALCANCES_SERIE, citasDeLaSerie, citasAfectadas } from './recurrence.js';
+import { exportarICS } from './icalendar.js';
+import {
+    ESTADOS_CITA, ACCIONES_ESTADO, transicionesPermitidas, cambiarEstado, esMovible, ocupaHueco
+} from './appointmentStatus.js';
+import { historialAuditoriaHTML } from './auditLog.js';
+import { ofrecerHuecoLiberado, describirPreferencias, esEntradaCaducada } from './waitlist.js';
 
-// Las funciones auxiliares como createCitaCardHTML, ordenarCitas, y separarCitasPorEstado
-// son específicas de esta lógica y pueden permanecer aquí como funciones privadas.
+/** @typedef {import('./models.js').Cita} Cita */
+
+// Las funciones auxiliares como createCitaCardHTML son específicas de esta lógica
+// y pueden permanecer aquí como funciones privadas. ordenarCitas y separarCitasPorEstado
+// se comparten con la ficha de paciente desde agenda.js.
 
 /**
  * Genera el HTML para una tarjeta de cita individual
- * @param {Object} cita - El objeto de la cita
+ * @param {Cita} cita - La cita
+ * @param {string} [busqueda=''] - Texto buscado, que se resalta en los datos de la tarjeta.
  * @returns {string} HTML de la tarjeta
  */
-function createCitaCardHTML(cita) {
-    // Sanitizar todos los datos que provienen de LocalStorage (fuente externa).
+function createCitaCardHTML(cita, busqueda = '') {
+    const { paciente } = cita;
+    // Sanitizar todos los datos que provienen del almacenamiento (fuente externa).
+    // Los textos visibles se resaltan; los atributos (aria-label, data-id) usan la versión sin marcas.
     const idSaneado = escapeHTML(cita.id);
-    const nombreSaneado = escapeHTML(cita.nombre);
-    const apellidosSaneados = escapeHTML(cita.apellidos);
-    const dniSaneado = escapeHTML(cita.dni);
-    const telefonoSaneado = escapeHTML(cita.telefono);
-    const observacionesSaneadas = cita.observaciones ? escapeHTML(cita.observaciones) : '';
+    const nombreSaneado = escapeHTML(paciente.nombre);
+    const resaltar = (texto) => resaltarCoincidencias(texto, busqueda);
+    const observacionesSaneadas = cita.observaciones ? resaltar(cita.observaciones) : '';
 
     // Formatear fechas antes de usar
     const fechaFormateada = formatearFecha(cita.fecha_reserva);
-    const fechaNacFormateada = formatearFecha(cita.fecha_nacimiento);
-    const horaSaneada = escapeHTML(cita.hora_reserva);
+    const fechaNacFormateada = formatearFecha(paciente.fecha_nacimiento);
+    const edad = paciente.edad;
+    const horaSaneada = escapeHTML(`${cita.hora_reserva} – ${cita.horaFin}`);
+    const tratamientoHtml = cita.tratamiento ?
+        `<p><strong>Tratamiento:</strong> ${escapeHTML(nombreTratamiento(cita.tratamiento))} (${escapeHTML(String(cita.duracion))} min)</p>` :
+        `<p><strong>Duración:</strong> ${escapeHTML(String(cita.duracion))} min</p>`;
+
+    const estadoSaneado = escapeHTML(ESTADOS_CITA[cita.estado] ?? cita.estado);
+    // Fecha del último cambio de estado; el historial completo queda en el título
+    const ultimoCambio = cita.historial_estados.at(-1);
+    const historial = cita.historial_estados
+        .map(c => `${ESTADOS_CITA[c.estado] ?? c.estado}: ${new Date(c.fecha).toLocaleString('es-ES')}`)
+        .join('\n');
+    const desdeHtml = ultimoCambio
+        ? ` <span class="cita-estado-fecha" title="${escapeHTML(historial)}">desde ${escapeHTML(new Date(ultimoCambio.fecha).toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' }))}</span>`
+        : '';
+    const botonesEstado = transicionesPermitidas(cita).map(estado => `
+                <button class="cita-button cita-button--estado" data-id="${idSaneado}" data-estado="${estado}" aria-label="${escapeHTML(`${ACCIONES_ESTADO[estado]}: cita de ${paciente.nombre}`)}">
+                    ${ACCIONES_ESTADO[estado]}
+                </button>`).join('');
 
     const obsHtml = observacionesSaneadas ?
         `<div class="cita-footer"><p>Obs: ${observacionesSaneadas}</p></div>` :
         '';
 
     return `
-        <article class="cita-card" data-cita-id="${idSaneado}">
+        <article class="cita-card cita-card--${escapeHTML(cita.estado)}" data-cita-id="${idSaneado}">
             <div class="cita-header">
                 <div>
                     <span class="cita-fecha">${fechaFormateada}</span>
                     <span class="cita-hora">${horaSaneada}</span>
+                    ${cita.serie_id ? '<span class="cita-serie" title="Cita periódica">🔁 Serie</span>' : ''}
+                    <span class="cita-estado cita-estado--${escapeHTML(cita.estado)}">${estadoSaneado}</span>
                 </div>
-                <span class="cita-id">ID: ${idSaneado}</span>
+                <span class="cita-id">ID: ${resaltar(cita.id)}</span>
             </div>
             <div class="cita-body">
-                <p><strong>Paciente:</strong> ${nombreSaneado} ${apellidosSaneados}</p>
-                <p><strong>DNI:</strong> ${dniSaneado}</p>
-                <p><strong>Teléfono:</strong> ${telefonoSaneado}</p>
-                <p><strong>Fecha Nacimiento:</strong> ${fechaNacFormateada}</p>
+                <p><strong>Paciente:</strong> <a href="patient.html?dni=${encodeURIComponent(paciente.dni)}" class="cita-paciente-link">${resaltar(paciente.nombre)} ${resaltar(paciente.apellidos)}</a></p>
+                <p><strong>Dentista / Sillón:</strong> ${escapeHTML(nombreRecurso(cita.recurso_id))}</p>
+                ${tratamientoHtml}
+                <p><strong>Estado:</strong> ${estadoSaneado}${desdeHtml}</p>
+                <p><strong>DNI:</strong> ${resaltar(paciente.dni)}</p>
+                <p><strong>Teléfono:</strong> ${resaltar(paciente.telefono)}</p>
+                <p><strong>Fecha Nacimiento:</strong> ${fechaNacFormateada}${edad !== null ? ` (${edad} años)` : ''}</p>
             </div>
             ${obsHtml}
+            ${botonesEstado ? `<div class="cita-actions cita-actions--estado" role="group" aria-label="Cambiar estado">${botonesEstado}</div>` : ''}
             <div class="cita-actions">
                 <button class="cita-button cita-button--edit" data-id="${idSaneado}" aria-label="Editar cita de ${nombreSaneado}">
                     ✏️ Editar
@@ -56,61 +110,120 @@ function createCitaCardHTML(cita) {
                 <button class="cita-button cita-button--delete" data-id="${idSaneado}" aria-label="Borrar cita de ${nombreSaneado}">
                     🗑️ Borrar
                 </button>
+                <button class="cita-button cita-button--ics" data-id="${idSaneado}" aria-label="Descargar cita de ${nombreSaneado} para el calendario (.ics)">
+                    📅 .ics
+                </button>
+                <button class="cita-button cita-button--historial" data-id="${idSaneado}" aria-expanded="false" aria-controls="historial-${idSaneado}" aria-label="Historial de cambios de la cita de ${nombreSaneado}">
+                    🕘 Historial
+                </button>
             </div>
+            <div class="audit-panel" id="historial-${idSaneado}" hidden></div>
         </article>`;
 }
 
 /**
- * Ordena citas por fecha y hora ascendente
- * @param {Array<Object>} citas - Array de citas
- * @returns {Array<Object>} Citas ordenadas
+ * Genera el HTML de una entrada de la cuarentena
+ * @param {Object} entrada - {id, fecha, motivo, registro}
+ * @returns {string} HTML de la entrada
  */
-function ordenarCitas(citas) {
-    // Se utiliza el constructor de Date y el clon de array para pureza.
-    return [...citas].sort((a, b) => {
-        // Concatenar fecha y hora para asegurar una comparación correcta
-        const dateA = new Date(`${a.fecha_reserva}T${a.hora_reserva}`);
-        const dateB = new Date(`${b.fecha_reserva}T${b.hora_reserva}`);
-        // Se añade una comprobación de seguridad para NaN, aunque no debería ocurrir.
-        if (isNaN(dateA.getTime())) return 1;
-        if (isNaN(dateB.getTime())) return -1;
-        
-        return dateA.getTime() - dateB.getTime();
-    });
+function createCuarentenaItemHTML(entrada) {
+    const idSaneado = escapeHTML(entrada.id);
+    const contenido = typeof entrada.registro === 'string'
+        ? entrada.registro
+        : JSON.stringify(entrada.registro, null, 2);
+    const fechaDeteccion = new Date(entrada.fecha).toLocaleString('es-ES');
+
+    return `
+        <article class="cita-card cita-card--quarantine" data-cuarentena-id="${idSaneado}">
+            <div class="cita-header">
+                <span class="cita-fecha">${escapeHTML(entrada.motivo)}</span>
+                <span class="cita-id">${escapeHTML(fechaDeteccion)}</span>
+            </div>
+            <div class="cita-body">
+                <pre class="quarantine-raw">${escapeHTML(contenido ?? '')}</pre>
+            </div>
+            <div class="cita-actions">
+                <button class="cita-button cita-button--delete" data-cuarentena-id="${idSaneado}" aria-label="Descartar registro en cuarentena">
+                    🗑️ Descartar
+                </button>
+            </div>
+        </article>`;
 }
 
 /**
- * Filtra citas futuras vs. pasadas
- * @param {Array<Object>} citas - Array de citas
- * @returns {Object} {futuras, pasadas}
+ * Genera el HTML de una cita de la papelera
+ * @param {import('./storage.js').EntradaPapelera} entrada
+ * @returns {string} HTML de la entrada
  */
-function separarCitasPorEstado(citas) {
-    const ahora = new Date();
-    
-    // Mejorar la lógica para comparar solo hasta el minuto (ignorar segundos/milisegundos)
-    const horaActualMili = ahora.getTime() - (ahora.getSeconds() * 1000) - ahora.getMilliseconds();
-    
-    return citas.reduce((acc, cita) => {
-        // Asegurar que la fecha sea válida.
-        const fechaCita = new Date(`${cita.fecha_reserva}T${cita.hora_reserva}`);
-        
-        // Si la fecha es inválida, se considera pasada por seguridad.
-        if (isNaN(fechaCita.getTime())) {
-             acc.pasadas.push(cita);
-             return acc;
-        }
+function createPapeleraItemHTML({ cita, fecha_borrado }) {
+    const idSaneado = escapeHTML(cita.id);
+    const nombreSaneado = escapeHTML(cita.nombreCompleto);
+    const fechaBorrado = new Date(fecha_borrado).toLocaleString('es-ES');
 
-        if (fechaCita.getTime() >= horaActualMili) {
-            acc.futuras.push(cita);
-        } else {
-            acc.pasadas.push(cita);
-        }
-        return acc;
-    }, { futuras: [], pasadas: [] });
+    return `
+        <article class="cita-card cita-card--trash" data-papelera-id="${idSaneado}">
+            <div class="cita-header">
+                <div>
+                    <span class="cita-fecha">${formatearFecha(cita.fecha_reserva)}</span>
+                    <span class="cita-hora">${escapeHTML(`${cita.hora_reserva} – ${cita.horaFin}`)}</span>
+                </div>
+                <span class="cita-id">ID: ${idSaneado}</span>
+            </div>
+            <div class="cita-body">
+                <p><strong>Paciente:</strong> ${nombreSaneado} (${escapeHTML(cita.paciente.dni)})</p>
+                <p><strong>Dentista / Sillón:</strong> ${escapeHTML(nombreRecurso(cita.recurso_id))}</p>
+                <p><strong>Borrada el:</strong> ${escapeHTML(fechaBorrado)}</p>
+            </div>
+            <div class="cita-actions">
+                <button class="cita-button cita-button--restore" data-restaurar-id="${idSaneado}" aria-label="Restaurar cita de ${nombreSaneado}">
+                    ♻️ Restaurar
+                </button>
+                <button class="cita-button cita-button--delete" data-purgar-id="${idSaneado}" aria-label="Eliminar definitivamente la cita de ${nombreSaneado}">
+                    🗑️ Eliminar definitivamente
+                </button>
+            </div>
+        </article>`;
+}
+
+/**
+ * Genera el HTML de un paciente en lista de espera
+ * @param {import('./waitlist.js').EntradaEspera} entrada
+ * @param {string} hoy - 'YYYY-MM-DD', para marcar las entradas caducadas.
+ * @returns {string} HTML de la entrada
+ */
+function createEsperaItemHTML(entrada, hoy) {
+    const idSaneado = escapeHTML(entrada.id);
+    const nombreSaneado = escapeHTML(`${entrada.nombre} ${entrada.apellidos}`);
+    const caducada = esEntradaCaducada(entrada, hoy);
+
+    return `
+        <article class="cita-card cita-card--espera${caducada ? ' cita-card--caducada' : ''}" data-espera-id="${idSaneado}">
+            <div class="cita-header">
+                <div>
+                    <span class="cita-fecha">${nombreSaneado}</span>
+                    ${caducada ? '<span class="cita-estado cita-estado--cancelada">Caducada</span>' : ''}
+                </div>
+                <span class="cita-id">Desde el ${escapeHTML(new Date(entrada.fecha_alta).toLocaleDateString('es-ES'))}</span>
+            </div>
+            <div class="cita-body">
+                <p><strong>DNI:</strong> ${escapeHTML(entrada.dni)} · <strong>Teléfono:</strong> ${escapeHTML(entrada.telefono)}</p>
+                <p><strong>Tratamiento:</strong> ${escapeHTML(nombreTratamiento(entrada.tratamiento) || 'Sin especificar')} (${escapeHTML(String(entrada.duracion))} min)</p>
+                <p><strong>Le viene bien:</strong> ${escapeHTML(describirPreferencias(entrada))}</p>
+                ${entrada.observaciones ? `<p><strong>Observaciones:</strong> ${escapeHTML(entrada.observaciones)}</p>` : ''}
+            </div>
+            <div class="cita-actions">
+                <button class="cita-button cita-button--delete" data-quitar-espera-id="${idSaneado}" aria-label="Quitar a ${nombreSaneado} de la lista de espera">
+                    ✖ Quitar de la lista
+                </button>
+            </div>
+        </article>`;
 }
 
 function setupCheckPageLogic() {
     const container = document.getElementById('agenda-container');
+    const quarantineContainer = document.getElementById('quarantine-container');
+    const trashContainer = document.getElementById('trash-container');
+    const waitlistContainer = document.getElementById('waitlist-container');
     let idParaBorrar = null;
     let cleanupFunctions = []; // Almacena funciones para eliminar listeners
 
@@ -157,16 +270,17 @@ function setupCheckPageLogic() {
         if (e.target === deleteModal) closeDelModal();
     });
 
-    confirmDelBtn?.addEventListener('click', () => {
+    confirmDelBtn?.addEventListener('click', async () => {
         if (idParaBorrar) {
-            // Se puede mejorar la UX con un mensaje de estado
+            const id = idParaBorrar;
             try {
-                const isRemoved = eliminarCita(idParaBorrar);
+                const borrada = (await obtenerCitas()).find(c => c.id === id);
+                const isRemoved = await eliminarCita(id);
                 if (isRemoved) {
                     closeDelModal();
                     renderCitas();
-                    // Opcional: Mostrar un mensaje temporal de éxito
-                    // showStatusMessage(`Cita con ID ${idParaBorrar} eliminada correctamente.`);
+                    avisarBorrado([id]);
+                    if (borrada && ocupaHueco(borrada)) await ofrecerHuecos([borrada]);
                 } else {
                     alert('Error: No se encontró la cita o falló la eliminación en el almacenamiento local.');
                     closeDelModal();
@@ -178,9 +292,389 @@ function setupCheckPageLogic() {
         }
     });
 
+    /**
+     * Borra una cita. Si pertenece a una serie se pregunta qué citas borrar;
+     * si no, se usa el modal de confirmación habitual.
+     * @param {string} id
+     */
+    const borrarCita = async (id) => {
+        const citas = await obtenerCitas();
+        const cita = citas.find(c => c.id === id);
+        if (!cita || citasDeLaSerie(citas, cita).length < 2) {
+            openDelModal(id);
+            return;
+        }
+
+        const alcance = await elegirOpcion({
+            titulo: 'Borrar cita de una serie',
+            mensaje: `La cita de ${cita.nombreCompleto} del ${formatearFecha(cita.fecha_reserva)} forma parte de una serie de ${citasDeLaSerie(citas, cita).length} citas. ¿Qué citas quiere borrar?`,
+            opciones: Object.entries(ALCANCES_SERIE).map(([valor, texto]) => ({ valor, texto }))
+        });
+        if (!alcance) return;
+
+        const afectadas = citasAfectadas(citas, cita, alcance);
+        const ids = afectadas.map(c => c.id);
+        const eliminadas = await eliminarCitas(ids);
+        if (eliminadas === 0) alert('Error: No se encontró la cita o falló la eliminación en el almacenamiento local.');
+        renderCitas();
+        if (eliminadas > 0) {
+            avisarBorrado(ids);
+            await ofrecerHuecos(afectadas.filter(ocupaHueco));
+        }
+    };
+
+    // --- LISTA DE ESPERA ---
+    /**
+     * Ofrece a la lista de espera los huecos que han quedado libres, uno a uno,
+     * y vuelve a pintar la agenda si se reserva alguno.
+     * @param {Array<Cita>} liberadas - Citas que ya no ocupan su hueco.
+     */
+    const ofrecerHuecos = async (liberadas) => {
+        let reservadas = 0;
+        for (const hueco of liberadas) {
+            try {
+                const reservada = await ofrecerHuecoLiberado(hueco);
+                if (!reservada) continue;
+                reservadas++;
+                mostrarAviso(`Hueco del ${formatearFecha(reservada.fecha_reserva)} a las ${reservada.hora_reserva} reservado para ${reservada.nombreCompleto}.`);
+            } catch (error) {
+                alert(`No se pudo reservar el hueco para la lista de espera: ${error.message}`);
+            }
+        }
+        if (reservadas > 0) await Promise.all([renderCitas(), renderListaEspera()]);
+    };
+
+    const renderListaEspera = async () => {
+        if (!waitlistContainer) return;
+        const entradas = await obtenerListaEspera();
+
+        if (entradas.length === 0) {
+            waitlistContainer.hidden = true;
+            waitlistContainer.innerHTML = '';
+            return;
+        }
+
+        const abierta = waitlistContainer.querySelector('details')?.open ?? false;
+        const hoy = fechaISO(new Date());
+        waitlistContainer.hidden = false;
+        waitlistContainer.innerHTML = `
+            <details class="past-appointments-details"${abierta ? ' open' : ''}>
+                <summary class="past-appointments-summary">
+                    ⏳ Lista de espera (${entradas.length})
+                </summary>
+                <div>
+                    ${entradas.map(e => createEsperaItemHTML(e, hoy)).join('')}
+                </div>
+            </details>
+        `;
+    };
+
+    waitlistContainer?.addEventListener('click', async (e) => {
+        const quitarBtn = e.target.closest('[data-quitar-espera-id]');
+        if (!quitarBtn) return;
+        if (!confirm('¿Quitar a este paciente de la lista de espera?')) return;
+        try {
+            await quitarDeListaEspera(quitarBtn.dataset.quitarEsperaId);
+            await renderListaEspera();
+        } catch (err) {
+            alert(`Error: No se pudo actualizar la lista de espera. ${err.message}`);
+        }
+    });
+
+    // --- HISTORIAL DE CAMBIOS ---
+    /**
+     * Texto legible de un valor del historial (nombres en lugar de claves internas).
+     * @param {string} campo
+     * @param {any} valor
+     * @returns {string}
+     */
+    const formatearValorAuditoria = (campo, valor) => {
+        switch (campo) {
+            case 'recurso_id': return nombreRecurso(valor);
+            case 'tratamiento': return nombreTratamiento(valor);
+            case 'estado': return ESTADOS_CITA[valor] ?? valor;
+            case 'duracion': return `${valor} min`;
+            case 'fecha_reserva':
+            case 'fecha_nacimiento': return formatearFecha(valor);
+            default: return String(valor);
+        }
+    };
+
+    /**
+     * Muestra u oculta el historial de cambios bajo la tarjeta de una cita.
+     * @param {HTMLButtonElement} button
+     */
+    const alternarHistorial = async (button) => {
+        const panel = document.getElementById(button.getAttribute('aria-controls'));
+        if (!panel) return;
+        if (!panel.hidden) {
+            panel.hidden = true;
+            button.setAttribute('aria-expanded', 'false');
+            return;
+        }
+        const entradas = await obtenerAuditoria(button.dataset.id);
+        panel.innerHTML = historialAuditoriaHTML(entradas, formatearValorAuditoria);
+        panel.hidden = false;
+        button.setAttribute('aria-expanded', 'true');
+    };
+
+    // --- PAPELERA ---
+    /**
+     * Anuncia un borrado con la opción de deshacerlo y actualiza la papelera.
+     * @param {Array<string>} ids - IDs de las citas borradas.
+     */
+    const avisarBorrado = (ids) => {
+        mostrarAviso(ids.length === 1 ? 'Cita movida a la papelera.' : `${ids.length} citas movidas a la papelera.`, {
+            accion: 'Deshacer',
+            alPulsar: () => restaurar(ids).catch(error => alert(`Error: No se pudo deshacer el borrado. ${error.message}`))
+        });
+        renderPapelera().catch(e => console.error("No se pudo cargar la papelera.", e));
+    };
+
+    /**
+     * Devuelve citas de la papelera a la agenda si su hueco sigue libre.
+     * Se restauran todas o ninguna (una serie no se restaura a medias).
+     * @param {Array<string>} ids
+     */
+    const restaurar = async (ids) => {
+        const [citas, papelera] = await Promise.all([obtenerCitas(), obtenerPapelera()]);
+        const aRestaurar = papelera.filter(e => ids.includes(e.cita.id)).map(e => e.cita);
+        if (aRestaurar.length === 0) {
+            alert('Error: La cita ya no está en la papelera.');
+            return;
+        }
+
+        // El hueco puede haberse reservado para otro paciente desde el borrado
+        const ocupadas = aRestaurar
+            .map(cita => ({ cita, conflicto: buscarConflicto(citas, cita) }))
+            .filter(r => r.conflicto);
+        if (ocupadas.length > 0) {
+            const lista = ocupadas.map(({ cita, conflicto }) =>
+                `- ${formatearFecha(cita.fecha_reserva)} ${cita.hora_reserva}, ${cita.nombreCompleto}: ocupado por la cita de ${conflicto.nombreCompleto} (${conflicto.hora_reserva}–${conflicto.horaFin})`);
+            alert(`No se puede restaurar porque el hueco ya está ocupado:\n${lista.join('\n')}`);
+            return;
+        }
+
+        const restauradas = await restaurarCitas(aRestaurar.map(c => c.id));
+        await Promise.all([renderCitas(), renderPapelera()]);
+        mostrarAviso(restauradas.length === 1 ? 'Cita restaurada.' : `${restauradas.length} citas restauradas.`);
+    };
+
+    const renderPapelera = async () => {
+        if (!trashContainer) return;
+        const entradas = await obtenerPapelera();
+
+        if (entradas.length === 0) {
+            trashContainer.hidden = true;
+            trashContainer.innerHTML = '';
+            return;
+        }
+
+        // Se conserva el desplegable abierto al volver a pintarlo tras restaurar o eliminar
+        const abierta = trashContainer.querySelector('details')?.open ?? false;
+        trashContainer.hidden = false;
+        trashContainer.innerHTML = `
+            <details class="past-appointments-details"${abierta ? ' open' : ''}>
+                <summary class="past-appointments-summary">
+                    🗑️ Papelera (${entradas.length})
+                </summary>
+                <div>
+                    <div class="filter-bar">
+                        <button type="button" class="cita-button cita-button--delete" data-vaciar-papelera>
+                            Vaciar papelera
+                        </button>
+                    </div>
+                    ${entradas.map(createPapeleraItemHTML).join('')}
+                </div>
+            </details>
+        `;
+    };
+
+    trashContainer?.addEventListener('click', async (e) => {
+        const restaurarBtn = e.target.closest('[data-restaurar-id]');
+        const purgarBtn = e.target.closest('[data-purgar-id]');
+        const vaciarBtn = e.target.closest('[data-vaciar-papelera]');
+
+        try {
+            if (restaurarBtn) {
+                await restaurar([restaurarBtn.dataset.restaurarId]);
+            } else if (purgarBtn) {
+                if (!confirm('¿Eliminar definitivamente esta cita? Esta acción no se puede deshacer.')) return;
+                await purgarPapelera([purgarBtn.dataset.purgarId]);
+                await renderPapelera();
+            } else if (vaciarBtn) {
+                if (!confirm('¿Eliminar definitivamente todas las citas de la papelera? Esta acción no se puede deshacer.')) return;
+                await purgarPapelera();
+                await renderPapelera();
+            }
+        } catch (err) {
+            alert(`Error: No se pudo completar la operación en la papelera. ${err.message}`);
+        }
+    });
+
+    /**
+     * Descarga citas en formato iCalendar: una cita, las de un día o toda la agenda.
+     * Salvo para una cita concreta, se respeta el filtro de recurso para que cada
+     * dentista pueda descargar solo su agenda.
+     * @param {Object} [opciones]
+     * @param {string} [opciones.id] - ID de la cita.
+     * @param {string} [opciones.fecha] - Día 'YYYY-MM-DD'.
+     */
+    const descargarICS = async ({ id, fecha } = {}) => {
+        const citas = (await obtenerCitas()).filter(c => id
+            ? c.id === id
+            : (!filtros.recurso || c.recurso_id === filtros.recurso) && (!fecha || c.fecha_reserva === fecha));
+        if (citas.length === 0) {
+            alert('No hay citas que exportar.');
+            return;
+        }
+
+        const recurso = !id && filtros.recurso ? filtros.recurso : '';
+        const nombreCalendario = recurso ? `DavanteDental - ${nombreRecurso(recurso)}` : 'DavanteDental';
+        const nombreArchivo = ['davantedental', id ?? fecha ?? 'agenda', recurso].filter(Boolean).join('-');
+        descargarArchivo(exportarICS(citas, nombreCalendario), `${nombreArchivo}.ics`, 'text/calendar;charset=utf-8');
+    };
+
+    /**
+     * Cambia el estado de una cita (confirmar, registrar la llegada, cancelar...).
+     * Al reactivar una cancelada se comprueba que su hueco siga libre.
+     * @param {string} id
+     * @param {string} nuevo - Estado de destino.
+     */
+    const actualizarEstado = async (id, nuevo) => {
+        const citas = await obtenerCitas();
+        const cita = citas.find(c => c.id === id);
+        if (!cita) {
+            alert('Error: No se encontró la cita.');
+            return;
+        }
+
+        let actualizada;
+        try {
+            actualizada = new Cita({ ...cita.toJSON(), ...cambiarEstado(cita, nuevo) });
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        const conflicto = cita.estado === 'cancelada' && buscarConflicto(citas, actualizada);
+        if (conflicto) {
+            alert(`No se puede reactivar la cita de ${cita.nombreCompleto}: su hueco está ocupado por la cita de ${conflicto.nombreCompleto} (${conflicto.hora_reserva}–${conflicto.horaFin}).`);
+            return;
+        }
+        if (nuevo === 'cancelada' &&
+            !confirm(`¿Cancelar la cita de ${cita.nombreCompleto} del ${formatearFecha(cita.fecha_reserva)} a las ${cita.hora_reserva}? Su hueco quedará libre para otras reservas.`)) {
+            return;
+        }
+
+        await guardarCita(actualizada);
+        await renderCitas();
+        if (nuevo === 'cancelada') await ofrecerHuecos([cita]);
+    };
+
     // --- RENDERIZADO Y LÓGICA DE FILTRADO ---
-    const renderCitas = (filtro = '') => {
-        const citas = obtenerCitas();
+    let ultimoRender = 0; // Evita que una lectura lenta pise el resultado de una búsqueda posterior
+    // La búsqueda, los filtros y la vista se leen de la URL para poder guardar o recargar una vista filtrada
+    const parametros = new URLSearchParams(window.location.search);
+    const filtros = filtrosDesdeParametros(parametros);
+    // Vista activa ('lista' o una de calendario) y fecha de referencia del periodo mostrado
+    const calendario = {
+        vista: Object.hasOwn(VISTAS_AGENDA, parametros.get('vista') ?? '') ? parametros.get('vista') : 'lista',
+        fecha: /^\d{4}-\d{2}-\d{2}$/.test(parametros.get('fecha') ?? '') ? parametros.get('fecha') : fechaISO(new Date())
+    };
+
+    /** Refleja la búsqueda, los filtros y la vista actuales en la URL (sin añadir entradas al historial). */
+    const actualizarURL = () => {
+        const params = filtrosAParametros(filtros);
+        if (calendario.vista !== 'lista') {
+            params.set('vista', calendario.vista);
+            params.set('fecha', calendario.fecha);
+        }
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    };
+    const ajustesListos = obtenerAjustes();
+    let avisoCalendario = ''; // Resultado del último movimiento, se anuncia una sola vez
+
+    /**
+     * Recursos que se muestran como columnas: el filtrado o todos los configurados,
+     * más los retirados que aún tengan citas.
+     * @param {Array<Cita>} citasArr
+     * @returns {Array<{id: string, nombre: string}>}
+     */
+    const recursosVisibles = (citasArr) => {
+        if (filtros.recurso) return [{ id: filtros.recurso, nombre: nombreRecurso(filtros.recurso) }];
+        const recursos = [...obtenerRecursos()];
+        citasArr.forEach(c => {
+            if (!recursos.some(r => r.id === c.recurso_id)) recursos.push({ id: c.recurso_id, nombre: nombreRecurso(c.recurso_id) });
+        });
+        return recursos;
+    };
+
+    /** @returns {string} Barra de navegación entre periodos del calendario. */
+    const renderNavegacion = () => `
+        <div class="calendar-nav">
+            <button type="button" class="button button-agenda" data-navegar="-1" aria-label="Periodo anterior">◀</button>
+            <button type="button" class="button button-agenda" data-navegar="0">Hoy</button>
+            <button type="button" class="button button-agenda" data-navegar="1" aria-label="Periodo siguiente">▶</button>
+            <h2 class="calendar-title">${escapeHTML(tituloPeriodo(calendario.vista, calendario.fecha))}</h2>
+        </div>
+        <p id="calendarMoveHelp" class="form-note">
+            Arrastre una cita a otra casilla para moverla. Con el teclado: Alt + flechas sobre la cita.
+        </p>
+        <p class="status-message" role="status">${escapeHTML(avisoCalendario)}</p>`;
+
+    /**
+     * Genera el HTML de una lista de citas, agrupada por recurso si está activado.
+     * @param {Array<Cita>} citasArr
+     * @returns {string}
+     */
+    const renderLista = (citasArr) => {
+        const tarjeta = (cita) => createCitaCardHTML(cita, filtros.texto);
+        if (!filtros.agrupar) return citasArr.map(tarjeta).join('');
+
+        // Recursos configurados en su orden y, al final, los retirados que aún tengan citas
+        const ids = obtenerRecursos().map(r => r.id);
+        citasArr.forEach(c => { if (!ids.includes(c.recurso_id)) ids.push(c.recurso_id); });
+
+        return ids.map(id => {
+            const delRecurso = citasArr.filter(c => c.recurso_id === id);
+            if (delRecurso.length === 0) return '';
+            return `
+                <h3 class="resource-group-title">${escapeHTML(nombreRecurso(id))} (${delRecurso.length})</h3>
+                ${delRecurso.map(tarjeta).join('')}`;
+        }).join('');
+    };
+
+    const renderCitas = async () => {
+        const turno = ++ultimoRender;
+        actualizarURL();
+        let citas;
+        let ajustes;
+        try {
+            [citas, ajustes] = await Promise.all([obtenerCitas(), ajustesListos]);
+        } catch (e) {
+            container.innerHTML = `<p class="status-message">Error al cargar las citas: ${escapeHTML(e.message)}</p>`;
+            return;
+        }
+        if (turno !== ultimoRender) return;
+
+        const filterCitas = (citasArr) => citasArr.filter(cita => cumpleFiltros(cita, filtros, ajustes));
+
+        // Vistas de calendario: se muestran también las franjas libres, aunque no haya citas
+        if (calendario.vista !== 'lista') {
+            // El día que se exporta a .ics sigue al periodo mostrado
+            const icsFecha = document.getElementById('icsFecha');
+            if (icsFecha) icsFecha.value = calendario.fecha;
+            container.innerHTML = renderNavegacion() + renderCalendario(
+                calendario.vista,
+                calendario.fecha,
+                filterCitas(citas),
+                { ajustes, recursos: recursosVisibles(citas) }
+            );
+            avisoCalendario = '';
+            return;
+        }
 
         if (citas.length === 0) {
             container.innerHTML = '<p class="status-message">No hay citas programadas.</p>';
@@ -189,52 +683,80 @@ function setupCheckPageLogic() {
 
         const citasOrdenadas = ordenarCitas(citas);
         const { futuras, pasadas } = separarCitasPorEstado(citasOrdenadas);
-        
-        const query = filtro.toLowerCase().trim();
 
         let html = '';
-        let futurasRendered = 0;
-        let pasadasRendered = 0;
-        
-        const filterAndMapCitas = (citasArr) => {
-            return citasArr.filter(cita => {
-                const fullText = (cita.nombre + ' ' + cita.apellidos + ' ' + cita.dni + ' ' + cita.id).toLowerCase();
-                return fullText.includes(query);
-            }).map(createCitaCardHTML).join('');
-        }
 
         // Renderizar citas futuras
-        const futurasHtml = filterAndMapCitas(futuras);
-        futurasRendered = futurasHtml.length > 0;
+        const futurasVisibles = filterCitas(futuras);
+        const futurasRendered = futurasVisibles.length > 0;
         if (futurasRendered) {
             html += '<h2 style="color: var(--color-primary); margin-top: 20px;">📅 Próximas Citas</h2>';
-            html += futurasHtml;
+            html += renderLista(futurasVisibles);
         }
 
         // Renderizar citas pasadas (colapsadas por defecto)
-        const pasadasHtml = filterAndMapCitas(pasadas);
-        pasadasRendered = pasadasHtml.length > 0;
+        const pasadasVisibles = filterCitas(pasadas);
+        const pasadasRendered = pasadasVisibles.length > 0;
 	        if (pasadasRendered) {
 	            // Uso de clases CSS para Clean Code (separación de preocupaciones)
 	            html += `
 	                <details class="past-appointments-details">
 	                    <summary class="past-appointments-summary">
-	                        📋 Citas Pasadas (${pasadas.length} total, ${pasadasHtml.length} visible)
+	                        📋 Citas Pasadas (${pasadas.length} total, ${pasadasVisibles.length} visible)
 	                    </summary>
 	                    <div class="past-appointments-content">
-	                        ${pasadasHtml}
+	                        ${renderLista(pasadasVisibles)}
 	                    </div>
 	                </details>
 	            `;
 	        }
 
         if (!futurasRendered && !pasadasRendered) {
-             container.innerHTML = `<p class="status-message">No se encontraron citas para el criterio de búsqueda: **${escapeHTML(filtro)}**</p>`;
+             container.innerHTML = filtros.texto
+                 ? `<p class="status-message">No se encontraron citas para el criterio de búsqueda: **${escapeHTML(filtros.texto)}**</p>`
+                 : '<p class="status-message">No se encontraron citas con los filtros seleccionados.</p>';
         } else {
              container.innerHTML = html;
         }
     };
     
+    // --- CUARENTENA ---
+    const renderCuarentena = async () => {
+        if (!quarantineContainer) return;
+        const entradas = await obtenerCuarentena();
+
+        if (entradas.length === 0) {
+            quarantineContainer.hidden = true;
+            quarantineContainer.innerHTML = '';
+            return;
+        }
+
+        quarantineContainer.hidden = false;
+        quarantineContainer.innerHTML = `
+            <details class="past-appointments-details">
+                <summary class="past-appointments-summary">
+                    ⚠ Registros en cuarentena (${entradas.length}): revise y corrija estas citas antes de descartarlas
+                </summary>
+                <div>
+                    ${entradas.map(createCuarentenaItemHTML).join('')}
+                </div>
+            </details>
+        `;
+    };
+
+    quarantineContainer?.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-cuarentena-id]');
+        if (!button) return;
+
+        if (!confirm('¿Descartar definitivamente este registro? Esta acción no se puede deshacer.')) return;
+        try {
+            await descartarDeCuarentena(button.dataset.cuarentenaId);
+            await renderCuarentena();
+        } catch (err) {
+            alert(`Error: No se pudo descartar el registro. ${err.message}`);
+        }
+    });
+
     // --- BÚSQUEDA/FILTRADO ---
     const agregarBuscador = () => {
         // Usamos una etiqueta semántica y mejor ubicación para el buscador (antes de la lista)
@@ -245,9 +767,54 @@ function setupCheckPageLogic() {
 	                <input 
 	                    type="search" 
 	                    id="${searchInputId}" 
-	                    placeholder="🔍 Buscar por nombre, DNI o ID..."
+	                    placeholder="🔍 Buscar por nombre, DNI, teléfono, ID u observaciones..."
 	                    aria-label="Buscar citas en la agenda"
+	                    value="${escapeHTML(filtros.texto)}"
 	                >
+	                <div class="filter-bar">
+	                    <label for="filtroRecurso">Recurso:</label>
+	                    <select id="filtroRecurso">
+	                        <option value="">Todos los recursos</option>
+	                        ${opcionesRecursosHTML()}
+	                    </select>
+	                    <label for="filtroEstado">Estado:</label>
+	                    <select id="filtroEstado">
+	                        <option value="">Todos los estados</option>
+	                        ${Object.entries(ESTADOS_CITA).map(([valor, texto]) => `<option value="${valor}">${texto}</option>`).join('')}
+	                    </select>
+	                    <label>
+	                        <input type="checkbox" id="agruparRecurso"${filtros.agrupar ? ' checked' : ''}> Agrupar por recurso
+	                    </label>
+	                </div>
+	                <div class="filter-bar filtros-avanzados">
+	                    <label for="filtroDesde">Desde:</label>
+	                    <input type="date" id="filtroDesde" value="${filtros.desde}">
+	                    <label for="filtroHasta">Hasta:</label>
+	                    <input type="date" id="filtroHasta" value="${filtros.hasta}">
+	                    <label for="filtroFranja">Franja:</label>
+	                    <select id="filtroFranja">
+	                        <option value="">Todo el día</option>
+	                        ${Object.entries(FRANJAS_DIA).map(([valor, nombre]) => `<option value="${valor}">${nombre}</option>`).join('')}
+	                    </select>
+	                    <fieldset class="filtro-dias">
+	                        <legend>Días:</legend>
+	                        ${[1, 2, 3, 4, 5, 6, 0].map(dia => `
+	                            <label><input type="checkbox" name="filtroDia" value="${dia}"${filtros.dias.includes(dia) ? ' checked' : ''}> ${DIAS_SEMANA[dia].slice(0, 3)}</label>
+	                        `).join('')}
+	                    </fieldset>
+	                    <button type="button" class="cita-button" id="limpiarFiltros">✖ Limpiar filtros</button>
+	                </div>
+	                <div class="filter-bar ics-export">
+	                    <label for="icsFecha">Exportar a calendario (.ics):</label>
+	                    <input type="date" id="icsFecha" value="${calendario.fecha}">
+	                    <button type="button" class="cita-button" data-exportar-ics="dia">📅 Día</button>
+	                    <button type="button" class="cita-button" data-exportar-ics="todo">📅 Agenda completa</button>
+	                </div>
+	                <div class="filter-bar view-switcher" role="group" aria-label="Vista de la agenda">
+	                    ${Object.entries(VISTAS_AGENDA).map(([vista, etiqueta]) => `
+	                        <button type="button" class="cita-button" data-vista="${vista}" aria-pressed="${vista === calendario.vista}">${etiqueta}</button>
+	                    `).join('')}
+	                </div>
 	            </div>
 	        `;
         
@@ -255,16 +822,253 @@ function setupCheckPageLogic() {
         const logo = document.querySelector('.logo-image');
         if (logo) logo.insertAdjacentHTML('afterend', searchBarHtml);
         
+        document.getElementById('filtroRecurso').value = filtros.recurso;
+        document.getElementById('filtroEstado').value = filtros.estado;
+        document.getElementById('filtroFranja').value = filtros.franja;
+        // Las opciones de franja indican la hora de mediodía según el horario de la clínica
+        ajustesListos
+            .then(ajustes => Object.entries(franjasDia(ajustes)).forEach(([valor, { nombre }]) => {
+                const opcion = document.querySelector(`#filtroFranja option[value="${valor}"]`);
+                if (opcion) opcion.textContent = nombre;
+            }))
+            .catch(e => console.error("No se pudo leer el horario de la clínica.", e));
+
         const searchInput = document.getElementById(searchInputId);
         searchInput?.addEventListener('input', (e) => {
             // El filtrado se hace ahora con el DOM, pero una mejor práctica es re-renderizar
-            renderCitas(e.target.value); 
+            filtros.texto = e.target.value;
+            renderCitas(); 
+        });
+        document.getElementById('filtroRecurso')?.addEventListener('change', (e) => {
+            filtros.recurso = e.target.value;
+            renderCitas();
+        });
+        document.getElementById('filtroEstado')?.addEventListener('change', (e) => {
+            filtros.estado = e.target.value;
+            renderCitas();
+        });
+        document.getElementById('agruparRecurso')?.addEventListener('change', (e) => {
+            filtros.agrupar = e.target.checked;
+            renderCitas();
+        });
+        document.getElementById('filtroDesde')?.addEventListener('change', (e) => {
+            filtros.desde = e.target.value;
+            renderCitas();
+        });
+        document.getElementById('filtroHasta')?.addEventListener('change', (e) => {
+            filtros.hasta = e.target.value;
+            renderCitas();
+        });
+        document.getElementById('filtroFranja')?.addEventListener('change', (e) => {
+            filtros.franja = e.target.value;
+            renderCitas();
+        });
+        document.querySelector('.filtro-dias')?.addEventListener('change', () => {
+            filtros.dias = [...document.querySelectorAll('input[name="filtroDia"]:checked')].map(c => Number(c.value));
+            renderCitas();
+        });
+        document.getElementById('limpiarFiltros')?.addEventListener('click', () => {
+            Object.assign(filtros, filtrosVacios());
+            searchInput.value = '';
+            ['filtroRecurso', 'filtroEstado', 'filtroFranja', 'filtroDesde', 'filtroHasta'].forEach(id => {
+                document.getElementById(id).value = '';
+            });
+            document.querySelectorAll('input[name="filtroDia"], #agruparRecurso').forEach(c => { c.checked = false; });
+            renderCitas();
         });
+        document.querySelector('.ics-export')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-exportar-ics]');
+            if (!button) return;
+            const fecha = button.dataset.exportarIcs === 'dia' ? document.getElementById('icsFecha').value : undefined;
+            if (button.dataset.exportarIcs === 'dia' && !fecha) {
+                alert('Elija el día que quiere exportar.');
+                return;
+            }
+            descargarICS({ fecha }).catch(error => alert(`Error al exportar las citas: ${error.message}`));
+        });
+        document.querySelector('.view-switcher')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-vista]');
+            if (!button) return;
+            cambiarVista(button.dataset.vista);
+        });
+    };
+
+    // --- CALENDARIO ---
+    /**
+     * Cambia de vista (y opcionalmente de fecha) y vuelve a pintar la agenda.
+     * @param {string} vista
+     * @param {string} [fecha]
+     */
+    const cambiarVista = (vista, fecha = calendario.fecha) => {
+        calendario.vista = vista;
+        calendario.fecha = fecha;
+        document.querySelectorAll('.view-switcher button[data-vista]').forEach(b => {
+            b.setAttribute('aria-pressed', String(b.dataset.vista === vista));
+        });
+        return renderCitas();
+    };
+
+    const navegar = async (sentido) => {
+        calendario.fecha = sentido === 0
+            ? fechaISO(new Date())
+            : desplazarPeriodo(calendario.vista, calendario.fecha, sentido);
+        await renderCitas();
+        // El botón se ha vuelto a crear: se le devuelve el foco para navegar con teclado
+        container.querySelector(`[data-navegar="${sentido}"]`)?.focus();
     };
     
+    // --- MOVER CITAS (arrastrar y soltar o teclado) ---
+    /**
+     * Mueve una cita aplicando las mismas comprobaciones que el formulario de reserva.
+     * Si incumple alguna regla, no se guarda y se explica el motivo.
+     * @param {string} id - ID de la cita.
+     * @param {Object} cambios - Campos nuevos (fecha_reserva, hora_reserva, recurso_id).
+     * @returns {Promise<Cita|null>} La cita movida o null si no se ha movido.
+     */
+    const moverCita = async (id, cambios) => {
+        const [citas, ajustes] = await Promise.all([obtenerCitas(), ajustesListos]);
+        const original = citas.find(c => c.id === id);
+        if (!original) {
+            alert('Error: No se encontró la cita.');
+            return null;
+        }
+
+        if (!esMovible(original)) {
+            alert(`No se puede mover la cita de ${original.nombreCompleto}: está en estado "${ESTADOS_CITA[original.estado] ?? original.estado}".`);
+            return null;
+        }
+
+        const movida = new Cita({ ...original.toJSON(), ...cambios });
+        const sinCambios = ['fecha_reserva', 'hora_reserva', 'recurso_id'].every(campo => movida[campo] === original[campo]);
+        if (sinCambios) return null;
+
+        const errores = comprobarReserva(movida, citas, ajustes);
+        if (errores.length > 0) {
+            alert(`No se ha movido la cita de ${original.nombreCompleto}:\n${errores.map(e => e.mensaje).join('\n')}`);
+            return null;
+        }
+
+        try {
+            await guardarCita(movida);
+        } catch (e) {
+            alert(`Error: No se pudo mover la cita. ${e.message}`);
+            return null;
+        }
+        await ofrecerHuecos([original]);
+        avisoCalendario = `Cita de ${movida.nombreCompleto} movida al ${formatearFecha(movida.fecha_reserva)} a las ${movida.hora_reserva} (${nombreRecurso(movida.recurso_id)}).`;
+        return movida;
+    };
+
+    /**
+     * Calcula el destino de una cita al pulsar Alt + flecha.
+     * Arriba/abajo: franja anterior o siguiente (en la vista mensual, semana anterior o siguiente).
+     * Izquierda/derecha: recurso vecino en la vista diaria, día anterior o siguiente en las demás.
+     * @param {Cita} cita
+     * @param {string} tecla
+     * @param {Object} ajustes
+     * @param {Array<{id: string}>} recursos - Columnas de la vista diaria.
+     * @returns {Object|null} Cambios a aplicar o null si no hay a dónde moverla.
+     */
+    const destinoPorTeclado = (cita, tecla, ajustes, recursos) => {
+        const sentido = (tecla === 'ArrowLeft' || tecla === 'ArrowUp') ? -1 : 1;
+        const vertical = tecla === 'ArrowUp' || tecla === 'ArrowDown';
+
+        if (calendario.vista === 'mes') {
+            return { fecha_reserva: sumarDias(cita.fecha_reserva, vertical ? 7 * sentido : sentido) };
+        }
+        if (vertical) {
+            const franjas = generarFranjas(ajustes, cita.fecha_reserva);
+            const hora = sentido > 0
+                ? franjas.find(h => h > cita.hora_reserva)
+                : franjas.filter(h => h < cita.hora_reserva).pop();
+            return hora ? { hora_reserva: hora } : null;
+        }
+        if (calendario.vista === 'semana') {
+            return { fecha_reserva: sumarDias(cita.fecha_reserva, sentido) };
+        }
+        const ids = recursos.map(r => r.id);
+        const recurso = ids[ids.indexOf(cita.recurso_id) + sentido];
+        return recurso ? { recurso_id: recurso } : null;
+    };
+
+    const enfocarCita = (id) => {
+        Array.from(container.querySelectorAll('[data-cita-id]')).find(el => el.dataset.citaId === id)?.focus();
+    };
+
+    const limpiarDestinos = () => {
+        container.querySelectorAll('.calendar-drop-target').forEach(el => el.classList.remove('calendar-drop-target'));
+    };
+
+    container.addEventListener('dragstart', (e) => {
+        const evento = e.target.closest?.('[data-cita-id]');
+        if (!evento) return;
+        e.dataTransfer.setData('text/plain', evento.dataset.citaId);
+        e.dataTransfer.effectAllowed = 'move';
+    });
+
+    container.addEventListener('dragover', (e) => {
+        const casilla = e.target.closest?.('td[data-fecha]');
+        if (!casilla) return;
+        e.preventDefault(); // Permite soltar
+        e.dataTransfer.dropEffect = 'move';
+        if (!casilla.classList.contains('calendar-drop-target')) {
+            limpiarDestinos();
+            casilla.classList.add('calendar-drop-target');
+        }
+    });
+
+    container.addEventListener('dragend', limpiarDestinos);
+
+    container.addEventListener('drop', async (e) => {
+        const casilla = e.target.closest?.('td[data-fecha]');
+        if (!casilla) return;
+        e.preventDefault();
+        limpiarDestinos();
+
+        const id = e.dataTransfer.getData('text/plain');
+        if (!id) return;
+        // Los datos que la casilla no indica (hora en la vista mensual, recurso en la semanal) se conservan
+        const cambios = { fecha_reserva: casilla.dataset.fecha };
+        if (casilla.dataset.hora) cambios.hora_reserva = casilla.dataset.hora;
+        if (casilla.dataset.recurso) cambios.recurso_id = casilla.dataset.recurso;
+
+        if (await moverCita(id, cambios)) await renderCitas();
+    });
+
+    container.addEventListener('keydown', async (e) => {
+        if (!e.altKey || !['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) return;
+        const evento = e.target.closest?.('[data-cita-id]');
+        if (!evento || calendario.vista === 'lista') return;
+        e.preventDefault();
+
+        const id = evento.dataset.citaId;
+        const [citas, ajustes] = await Promise.all([obtenerCitas(), ajustesListos]);
+        const cita = citas.find(c => c.id === id);
+        const cambios = cita && destinoPorTeclado(cita, e.key, ajustes, recursosVisibles(citas));
+        if (!cambios) return;
+
+        const movida = await moverCita(id, cambios);
+        if (!movida) return;
+        // La vista sigue a la cita aunque salga del periodo mostrado
+        calendario.fecha = movida.fecha_reserva;
+        await renderCitas();
+        enfocarCita(id);
+    });
+
     // --- MANEJO DE EVENTOS DELEGADO ---
     container.addEventListener('click', (e) => {
         const target = e.target;
+
+        const navButton = target.closest('[data-navegar]');
+        if (navButton) {
+            navegar(Number(navButton.dataset.navegar));
+            return;
+        }
+        const diaButton = target.closest('[data-ir-dia]');
+        if (diaButton) {
+            cambiarVista('dia', diaButton.dataset.irDia);
+            return;
+        }
         // Uso de closest para encontrar el botón correcto
         const button = target.closest('.cita-button'); 
         
@@ -277,7 +1081,22 @@ function setupCheckPageLogic() {
             // e.preventDefault() ya se hace por defecto en JS en este contexto, 
             // pero es buena práctica para botones no submit.
             e.preventDefault(); 
-            openDelModal(id);
+            borrarCita(id).catch(error => alert(`Error: Fallo al intentar eliminar la cita. ${error.message}`));
+        }
+        
+        if (button.classList.contains('cita-button--estado')) {
+            e.preventDefault();
+            actualizarEstado(id, button.dataset.estado).catch(error => alert(`Error: No se pudo cambiar el estado. ${error.message}`));
+        }
+
+        if (button.classList.contains('cita-button--historial')) {
+            e.preventDefault();
+            alternarHistorial(button).catch(error => alert(`Error al cargar el historial: ${error.message}`));
+        }
+
+        if (button.classList.contains('cita-button--ics')) {
+            e.preventDefault();
+            descargarICS({ id }).catch(error => alert(`Error al exportar la cita: ${error.message}`));
         }
         
         if (button.classList.contains('cita-button--edit')) {
@@ -289,7 +1108,18 @@ function setupCheckPageLogic() {
 
     // --- INICIALIZACIÓN ---
     agregarBuscador();
-    renderCitas();
+    // La lectura de citas es la que aparta los registros dañados: la cuarentena se pinta después
+    const renderTodo = () => renderCitas()
+        .then(() => Promise.all([renderCuarentena(), renderPapelera(), renderListaEspera()]))
+        .catch(e => console.error("No se pudo cargar la cuarentena, la papelera o la lista de espera.", e));
+    renderTodo();
+    // Citas guardadas, movidas o borradas en otra pestaña
+    alCambiarDatos(renderTodo);
 }
 
-document.addEventListener('DOMContentLoaded', setupCheckPageLogic);
\ No newline at end of file
+// Con los datos cifrados, nada se lee hasta introducir la frase de la clínica
+document.addEventListener('DOMContentLoaded', () => {
+    exigirDesbloqueo()
+        .then(setupCheckPageLogic)
+        .catch(e => alert(`Error: No se pueden abrir los datos. ${e.message}`));
+});
\ No newline at end of file
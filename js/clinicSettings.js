@@ -0,0 +1,124 @@
+/**
+ * js/clinicSettings.js
+ * Ajustes de la clínica: horario semanal, días cerrados, festivos, duración de las franjas
+ * y minutos de inactividad tras los que se bloquea la pantalla.
+ * Las consultas sobre el horario (franjas de un día, días abiertos) están en scheduling.js.
+ */
+
+import { obtenerAjustesClinica, guardarAjustesClinica } from './storage.js';
+import { DIAS_SEMANA, horaAMinutos } from './scheduling.js';
+
+/**
+ * @typedef {Object} Tramo
+ * @property {string} inicio - Hora de apertura 'HH:MM'.
+ * @property {string} fin - Hora de cierre 'HH:MM' (la última franja termina a esta hora).
+ */
+
+/**
+ * @typedef {Object} AjustesClinica
+ * @property {number} duracionFranja - Minutos de cada franja reservable.
+ * @property {Object<number, Array<Tramo>>} horario - Tramos por día de la semana (0 = domingo, como Date#getDay). Sin tramos = cerrado.
+ * @property {Array<string>} festivos - Fechas 'YYYY-MM-DD' en las que la clínica no abre.
+ * @property {number} minutosBloqueo - Inactividad tras la que se pide el PIN (0 = nunca). Solo con perfiles de usuario.
+ */
+
+export const DURACIONES_FRANJA = [15, 20, 30, 45, 60];
+export const MINUTOS_BLOQUEO = [0, 1, 2, 5, 10, 15, 30];
+
+const HORARIO_LABORABLE = [
+    { inicio: '09:30', fin: '14:00' },
+    { inicio: '16:30', fin: '20:00' }
+];
+
+/** @type {AjustesClinica} */
+export const AJUSTES_POR_DEFECTO = {
+    duracionFranja: 30,
+    horario: {
+        0: [],
+        1: HORARIO_LABORABLE,
+        2: HORARIO_LABORABLE,
+        3: HORARIO_LABORABLE,
+        4: HORARIO_LABORABLE,
+        5: HORARIO_LABORABLE,
+        6: []
+    },
+    festivos: [],
+    minutosBloqueo: 5
+};
+
+// --- Carga y guardado ---
+
+/**
+ * Comprueba que unos ajustes sean coherentes.
+ * @param {AjustesClinica} ajustes
+ * @returns {Array<string>} Lista de errores (vacía si son válidos).
+ */
+export function validarAjustes(ajustes) {
+    const errores = [];
+    if (!DURACIONES_FRANJA.includes(ajustes.duracionFranja)) {
+        errores.push(`La duración de la franja debe ser una de: ${DURACIONES_FRANJA.join(', ')} minutos.`);
+    }
+
+    DIAS_SEMANA.forEach((nombreDia, dia) => {
+        const tramos = ajustes.horario?.[dia] ?? [];
+        let finAnterior = -1;
+        tramos.forEach(({ inicio, fin }) => {
+            const minInicio = horaAMinutos(inicio);
+            const minFin = horaAMinutos(fin);
+            if (isNaN(minInicio) || isNaN(minFin) || minInicio >= minFin) {
+                errores.push(`${nombreDia}: el tramo ${inicio}-${fin} no es válido.`);
+            } else if (minInicio < finAnterior) {
+                errores.push(`${nombreDia}: los tramos deben estar ordenados y no solaparse.`);
+            } else {
+                finAnterior = minFin;
+            }
+        });
+    });
+
+    if (!MINUTOS_BLOQUEO.includes(ajustes.minutosBloqueo)) {
+        errores.push(`El bloqueo por inactividad debe ser uno de: ${MINUTOS_BLOQUEO.join(', ')} minutos.`);
+    }
+
+    (ajustes.festivos ?? []).forEach(fecha => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(fecha) || isNaN(new Date(`${fecha}T00:00:00`).getTime())) {
+            errores.push(`El festivo "${fecha}" no es una fecha válida (AAAA-MM-DD).`);
+        }
+    });
+    return errores;
+}
+
+/**
+ * Obtiene los ajustes guardados, completados con los valores por defecto.
+ * @returns {Promise<AjustesClinica>}
+ */
+export async function obtenerAjustes() {
+    const guardados = await obtenerAjustesClinica();
+    if (!guardados) return structuredClone(AJUSTES_POR_DEFECTO);
+
+    const ajustes = {
+        duracionFranja: guardados.duracionFranja ?? AJUSTES_POR_DEFECTO.duracionFranja,
+        horario: { ...AJUSTES_POR_DEFECTO.horario, ...guardados.horario },
+        festivos: Array.isArray(guardados.festivos) ? guardados.festivos : [],
+        minutosBloqueo: guardados.minutosBloqueo ?? AJUSTES_POR_DEFECTO.minutosBloqueo
+    };
+    // Unos ajustes dañados no deben dejar la clínica sin agenda: se vuelve a los de fábrica
+    if (validarAjustes(ajustes).length > 0) {
+        console.error("Ajustes de la clínica no válidos, se usan los valores por defecto.");
+        return structuredClone(AJUSTES_POR_DEFECTO);
+    }
+    return ajustes;
+}
+
+/**
+ * Valida y guarda los ajustes.
+ * @param {AjustesClinica} ajustes
+ * @returns {Promise<void>}
+ */
+export async function guardarAjustes(ajustes) {
+    const errores = validarAjustes(ajustes);
+    if (errores.length > 0) {
+        throw new Error(errores.join(' '));
+    }
+    const festivos = [...new Set(ajustes.festivos)].sort();
+    await guardarAjustesClinica({ ...ajustes, festivos });
+}
@@ -0,0 +1,61 @@
+/**
+ * js/config.js
+ * Configuración de la clínica. Cada clínica ajusta estos valores sin tocar la lógica de las páginas.
+ */
+
+export const CONFIG = {
+    /**
+     * Backend de persistencia de las citas.
+     * - 'indexedDB': base de datos del navegador, sin el límite de cuota de LocalStorage (valor por defecto).
+     *   En el primer arranque migra automáticamente los datos existentes en LocalStorage.
+     * - 'localStorage': almacenamiento local del navegador.
+     * - 'cookies': cookies del navegador, repartiendo los datos en varios fragmentos.
+     *   Entre todas las claves (citas, pacientes, papelera, lista de espera...) solo caben
+     *   40 cookies de unos 3,8 KB, unos 150 KB en total: sirve para agendas pequeñas, y al
+     *   llenarse no se pueden guardar más cambios. Con este backend no se lleva el registro
+     *   de auditoría, que solo crece y acabaría ocupando el espacio de las citas.
+     */
+    storageBackend: 'indexedDB',
+
+    /**
+     * Recursos reservables de la clínica: dentistas y sillones de tratamiento.
+     * Cada cita ocupa un recurso; dos citas solo chocan si comparten recurso.
+     * El primero de la lista se asigna a las citas antiguas que no tenían recurso.
+     */
+    recursos: [
+        { id: 'dentista-1', tipo: 'dentista', nombre: 'Dra. Martín' },
+        { id: 'dentista-2', tipo: 'dentista', nombre: 'Dr. Sánchez' },
+        { id: 'dentista-3', tipo: 'dentista', nombre: 'Dra. López' },
+        { id: 'sillon-1', tipo: 'sillon', nombre: 'Sillón 1' },
+        { id: 'sillon-2', tipo: 'sillon', nombre: 'Sillón 2' }
+    ],
+
+    /**
+     * Tipos de tratamiento y su duración por defecto en minutos.
+     * La duración se puede ajustar en cada cita; las citas antiguas sin tratamiento
+     * ocupan la duración por defecto de `duracionCitaPorDefecto`.
+     */
+    tratamientos: [
+        { id: 'revision', nombre: 'Revisión', duracion: 30 },
+        { id: 'limpieza', nombre: 'Limpieza dental', duracion: 45 },
+        { id: 'empaste', nombre: 'Empaste', duracion: 45 },
+        { id: 'extraccion', nombre: 'Extracción', duracion: 60 },
+        { id: 'endodoncia', nombre: 'Endodoncia', duracion: 90 },
+        { id: 'ortodoncia', nombre: 'Revisión de ortodoncia', duracion: 30 },
+        { id: 'implante', nombre: 'Implante', duracion: 120 }
+    ],
+    duracionCitaPorDefecto: 30,
+
+    /**
+     * Datos de contacto de la clínica, los mismos que aparecen al pie de cada página.
+     * Se usan en los recordatorios a los pacientes.
+     * `prefijoTelefono` es el código de país que se añade a los móviles sin prefijo (WhatsApp lo exige).
+     */
+    clinica: {
+        nombre: 'DavanteDental',
+        direccion: 'c/ Sin nombre, 3 - 47001 Valladolid',
+        telefono: '983 123 456',
+        email: 'info@davantedental.com',
+        prefijoTelefono: '34'
+    }
+};
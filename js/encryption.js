@@ -0,0 +1,173 @@
+/**
+ * js/encryption.js
+ * Cifrado de los datos de pacientes con WebCrypto: AES-GCM con una clave derivada
+ * de la frase de la clínica mediante PBKDF2. No guarda nada: storage.js decide qué se cifra.
+ */
+
+// Marca los valores cifrados para distinguirlos de los guardados en claro
+const PREFIJO = 'davanteCifrado:v1:';
+// Recomendación de OWASP para PBKDF2-HMAC-SHA256
+export const ITERACIONES_PBKDF2 = 600000;
+export const LONGITUD_MINIMA_FRASE = 10;
+const BYTES_SAL = 16;
+const BYTES_IV = 12;
+
+// Texto conocido que se cifra con la clave para comprobar la frase sin tocar los datos
+const TEXTO_VERIFICACION = 'davanteDental';
+
+/**
+ * @typedef {Object} ParametrosCifrado
+ * @property {string} id - Identificador de la clave vigente (cambia con cada frase).
+ * @property {string} sal - Sal de PBKDF2 en base64.
+ * @property {number} iteraciones - Iteraciones de PBKDF2.
+ * @property {string} verificador - TEXTO_VERIFICACION cifrado con la clave.
+ */
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} Base64.
+ */
+function aBase64(bytes) {
+    // Por bloques: la agenda cifrada puede ocupar megas y no cabe en los argumentos de una llamada
+    let binario = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binario += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binario);
+}
+
+/**
+ * @param {string} texto - Base64.
+ * @returns {Uint8Array}
+ */
+function desdeBase64(texto) {
+    return Uint8Array.from(atob(texto), c => c.charCodeAt(0));
+}
+
+/**
+ * Genera una sal aleatoria para PBKDF2.
+ * @returns {string} Base64.
+ */
+export function generarSal() {
+    return aBase64(crypto.getRandomValues(new Uint8Array(BYTES_SAL)));
+}
+
+/**
+ * Indica si un valor guardado está cifrado.
+ * @param {string|null} valor
+ * @returns {boolean}
+ */
+export function estaCifrado(valor) {
+    return typeof valor === 'string' && valor.startsWith(PREFIJO);
+}
+
+/**
+ * Comprueba una frase nueva y su repetición.
+ * @param {string} frase
+ * @param {string} repeticion
+ * @returns {string|null} Mensaje de error o null si es válida.
+ */
+export function validarFrase(frase, repeticion) {
+    if (frase.length < LONGITUD_MINIMA_FRASE) {
+        return `La frase debe tener al menos ${LONGITUD_MINIMA_FRASE} caracteres.`;
+    }
+    if (frase !== repeticion) return 'Las dos frases no coinciden.';
+    return null;
+}
+
+/**
+ * Deriva la clave AES-GCM de la frase. No es exportable: solo sirve para cifrar y descifrar
+ * mientras la página está abierta, y nunca se guarda.
+ * @param {string} frase
+ * @param {string} sal - Base64.
+ * @param {number} iteraciones
+ * @returns {Promise<CryptoKey>}
+ */
+export async function derivarClave(frase, sal, iteraciones) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(frase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: desdeBase64(sal), iterations: iteraciones, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Resumen PBKDF2 de un secreto que solo hay que comprobar, nunca descifrar (p. ej. un PIN).
+ * @param {string} secreto
+ * @param {string} sal - Base64.
+ * @param {number} iteraciones
+ * @returns {Promise<string>} Resumen en base64.
+ */
+export async function resumirSecreto(secreto, sal, iteraciones) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secreto), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt: desdeBase64(sal), iterations: iteraciones, hash: 'SHA-256' },
+        material,
+        256
+    );
+    return aBase64(new Uint8Array(bits));
+}
+
+/**
+ * Cifra un texto. Cada llamada usa un vector de inicialización aleatorio.
+ * @param {CryptoKey} clave
+ * @param {string} texto
+ * @returns {Promise<string>} Valor con el prefijo, el IV y los datos en base64.
+ */
+export async function cifrarTexto(clave, texto) {
+    const iv = crypto.getRandomValues(new Uint8Array(BYTES_IV));
+    const datos = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, clave, new TextEncoder().encode(texto));
+    return `${PREFIJO}${aBase64(iv)}:${aBase64(new Uint8Array(datos))}`;
+}
+
+/**
+ * Descifra un valor producido por cifrarTexto.
+ * @param {CryptoKey} clave
+ * @param {string} valor
+ * @returns {Promise<string>}
+ * @throws {Error} Si la clave no es la correcta o el valor está dañado (AES-GCM lo detecta).
+ */
+export async function descifrarTexto(clave, valor) {
+    const [iv, datos] = valor.slice(PREFIJO.length).split(':');
+    try {
+        const texto = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: desdeBase64(iv) }, clave, desdeBase64(datos));
+        return new TextDecoder().decode(texto);
+    } catch (e) {
+        throw new Error('No se pueden descifrar los datos: la frase de la clínica ha cambiado o los datos están dañados.');
+    }
+}
+
+/**
+ * Genera los parámetros y la clave para una frase nueva.
+ * @param {string} frase
+ * @returns {Promise<{parametros: ParametrosCifrado, clave: CryptoKey}>}
+ */
+export async function crearCifrado(frase) {
+    const sal = generarSal();
+    const clave = await derivarClave(frase, sal, ITERACIONES_PBKDF2);
+    const parametros = {
+        id: crypto.randomUUID(),
+        sal,
+        iteraciones: ITERACIONES_PBKDF2,
+        verificador: await cifrarTexto(clave, TEXTO_VERIFICACION)
+    };
+    return { parametros, clave };
+}
+
+/**
+ * Deriva la clave de una frase y comprueba que es la de los parámetros guardados.
+ * @param {string} frase
+ * @param {ParametrosCifrado} parametros
+ * @returns {Promise<CryptoKey|null>} La clave, o null si la frase no es correcta.
+ */
+export async function comprobarFrase(frase, parametros) {
+    const clave = await derivarClave(frase, parametros.sal, parametros.iteraciones);
+    try {
+        return await descifrarTexto(clave, parametros.verificador) === TEXTO_VERIFICACION ? clave : null;
+    } catch (e) {
+        return null;
+    }
+}
@@ -0,0 +1,293 @@
+/**
+ * js/icalendar.js
+ * Exportación e importación de citas en formato iCalendar (RFC 5545, archivos .ics)
+ * para llevar la agenda a las aplicaciones de calendario de los dentistas.
+ *
+ * Cada cita es un VEVENT cuyo UID se deriva de su ID: al volver a exportar, el
+ * calendario actualiza los eventos en lugar de duplicarlos. Los datos que no tienen
+ * propiedad estándar (paciente, recurso, tratamiento) viajan en propiedades X-DAVANTE-*
+ * para que un .ics exportado desde aquí se pueda volver a importar.
+ *
+ * Los calendarios de los dentistas suelen sincronizarse con servicios externos, así que
+ * por defecto solo llevan lo necesario para atender la cita. DNI, teléfono, fecha de
+ * nacimiento y observaciones se incluyen únicamente en la copia completa (copia de seguridad).
+ */
+
+import { nombreRecurso, nombreTratamiento, obtenerRecursos } from './scheduling.js';
+import { fechaISO } from './utils.js';
+
+/** @typedef {import('./models.js').Cita} Cita */
+/** @typedef {import('./importExport.js').RegistroImportado} RegistroImportado */
+
+// Dominio de los UID: identifica los eventos creados por esta aplicación
+const DOMINIO_UID = 'davantedental.com';
+const PRODID = '-//DavanteDental//Agenda de Citas//ES';
+
+// STATUS del evento según el estado de la cita (el resto de estados se publican como CONFIRMED)
+const STATUS_EVENTO = {
+    pendiente: 'TENTATIVE',
+    cancelada: 'CANCELLED'
+};
+
+// Campos de la cita que se guardan en propiedades propias (X-DAVANTE-<NOMBRE>)
+const PROPIEDADES_CITA = {
+    recurso_id: 'X-DAVANTE-RECURSO',
+    tratamiento: 'X-DAVANTE-TRATAMIENTO',
+    serie_id: 'X-DAVANTE-SERIE',
+    estado: 'X-DAVANTE-ESTADO',
+    nombre: 'X-DAVANTE-NOMBRE',
+    apellidos: 'X-DAVANTE-APELLIDOS'
+};
+
+// Datos personales que solo viajan en la copia completa
+const PROPIEDADES_COPIA = {
+    dni: 'X-DAVANTE-DNI',
+    telefono: 'X-DAVANTE-TELEFONO',
+    fecha_nacimiento: 'X-DAVANTE-FECHA-NACIMIENTO',
+    observaciones: 'X-DAVANTE-OBSERVACIONES'
+};
+
+/**
+ * Escapa un texto para un valor TEXT (comas, puntos y coma, barras y saltos de línea).
+ * @param {string} texto
+ * @returns {string}
+ */
+function escaparTexto(texto) {
+    return String(texto ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Deshace el escapado de un valor TEXT.
+ * @param {string} texto
+ * @returns {string}
+ */
+function desescaparTexto(texto) {
+    return texto.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+/**
+ * Parte una línea larga en líneas de 75 octetos como máximo (las siguientes
+ * empiezan por un espacio), sin cortar caracteres multibyte.
+ * @param {string} linea
+ * @returns {string}
+ */
+function plegarLinea(linea) {
+    const codificador = new TextEncoder();
+    const partes = [];
+    let actual = '';
+    let octetos = 0;
+    for (const caracter of linea) {
+        const tamano = codificador.encode(caracter).length;
+        // La primera línea admite 75 octetos; las de continuación, 74 más el espacio inicial
+        if (octetos + tamano > (partes.length === 0 ? 75 : 74)) {
+            partes.push(actual);
+            actual = '';
+            octetos = 0;
+        }
+        actual += caracter;
+        octetos += tamano;
+    }
+    partes.push(actual);
+    return partes.join('\r\n ');
+}
+
+/**
+ * Fecha y hora en UTC con el formato de iCalendar (20300101T090000Z).
+ * @param {Date} fecha
+ * @returns {string}
+ */
+function fechaHoraUTC(fecha) {
+    return fecha.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Crea el VEVENT de una cita.
+ * @param {Cita} cita
+ * @param {string} marcaTiempo - DTSTAMP común a toda la exportación.
+ * @param {boolean} completo - Incluir los datos personales (ver PROPIEDADES_COPIA).
+ * @returns {Array<string>} Líneas sin plegar.
+ */
+function eventoCita(cita, marcaTiempo, completo) {
+    const inicio = cita.fechaHora;
+    const fin = new Date(inicio.getTime() + (Number(cita.duracion) || 0) * 60000);
+    const tratamiento = cita.tratamiento ? nombreTratamiento(cita.tratamiento) : '';
+    const descripcion = [
+        `Paciente: ${cita.nombreCompleto}`,
+        completo && `Teléfono: ${cita.paciente.telefono}`,
+        tratamiento && `Tratamiento: ${tratamiento}`,
+        completo && cita.observaciones && `Observaciones: ${cita.observaciones}`
+    ].filter(Boolean).join('\n');
+    const json = cita.toJSON();
+    const propiedades = completo ? { ...PROPIEDADES_CITA, ...PROPIEDADES_COPIA } : PROPIEDADES_CITA;
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${cita.id}@${DOMINIO_UID}`,
+        `DTSTAMP:${marcaTiempo}`,
+        `DTSTART:${fechaHoraUTC(inicio)}`,
+        `DTEND:${fechaHoraUTC(fin)}`,
+        `STATUS:${STATUS_EVENTO[cita.estado] ?? 'CONFIRMED'}`,
+        `SUMMARY:${escaparTexto(`${tratamiento || 'Cita'}: ${cita.nombreCompleto}`)}`,
+        `LOCATION:${escaparTexto(nombreRecurso(cita.recurso_id))}`,
+        `DESCRIPTION:${escaparTexto(descripcion)}`,
+        ...Object.entries(propiedades)
+            .filter(([campo]) => json[campo])
+            .map(([campo, propiedad]) => `${propiedad}:${escaparTexto(json[campo])}`),
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Exporta citas a un calendario iCalendar.
+ * @param {Array<Cita>} citas - Solo se exportan las que tienen ID (ya guardadas).
+ * @param {string} [nombreCalendario='DavanteDental']
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.completo=false] - Incluir DNI, teléfono, fecha de nacimiento y observaciones
+ *   para poder volver a importar las citas. Solo para copias de seguridad, nunca para compartir calendarios.
+ * @returns {string} Contenido del archivo .ics (líneas CRLF).
+ */
+export function exportarICS(citas, nombreCalendario = 'DavanteDental', { completo = false } = {}) {
+    const marcaTiempo = fechaHoraUTC(new Date());
+    const lineas = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escaparTexto(nombreCalendario)}`,
+        ...citas
+            .filter(c => c.id && !isNaN(c.fechaHora.getTime()))
+            .flatMap(c => eventoCita(c, marcaTiempo, completo)),
+        'END:VCALENDAR'
+    ];
+    return lineas.map(plegarLinea).join('\r\n') + '\r\n';
+}
+
+/**
+ * Divide un .ics en propiedades, deshaciendo el plegado de líneas.
+ * @param {string} texto
+ * @returns {Array<{nombre: string, parametros: Object<string, string>, valor: string}>}
+ */
+function leerPropiedades(texto) {
+    return texto
+        .replace(/\r?\n[ \t]/g, '')
+        .split(/\r?\n/)
+        .filter(linea => linea.trim() !== '')
+        .map(linea => {
+            const separador = linea.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+            const cabecera = separador === -1 ? linea : linea.slice(0, separador);
+            const [nombre, ...parametros] = cabecera.split(';');
+            return {
+                nombre: nombre.toUpperCase(),
+                parametros: Object.fromEntries(parametros.map(p => {
+                    const [clave, valor = ''] = p.split('=');
+                    return [clave.toUpperCase(), valor.replace(/^"|"$/g, '')];
+                })),
+                valor: separador === -1 ? '' : linea.slice(separador + 1)
+            };
+        });
+}
+
+/**
+ * Interpreta un DTSTART o DTEND. Las horas en UTC se pasan a la hora local; las
+ * flotantes o con TZID se toman como hora local de la clínica.
+ * @param {{parametros: Object<string, string>, valor: string}} propiedad
+ * @returns {Date|null} Null si falta o es un evento de día completo.
+ */
+function leerFechaHora(propiedad) {
+    if (!propiedad || propiedad.parametros.VALUE === 'DATE') return null;
+    const partes = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(propiedad.valor.trim());
+    if (!partes) return null;
+    const [, anio, mes, dia, hora, minuto, segundo, utc] = partes;
+    const valores = [Number(anio), Number(mes) - 1, Number(dia), Number(hora), Number(minuto), Number(segundo)];
+    return utc ? new Date(Date.UTC(...valores)) : new Date(...valores);
+}
+
+/**
+ * Convierte una DURATION (p. ej. PT1H30M) a minutos.
+ * @param {string} valor
+ * @returns {number} NaN si no se reconoce.
+ */
+function leerDuracion(valor) {
+    const partes = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(valor.trim());
+    if (!partes) return NaN;
+    const [, semanas, dias, horas, minutos] = partes.map(p => Number(p ?? 0));
+    return ((semanas * 7 + dias) * 24 + horas) * 60 + minutos;
+}
+
+/**
+ * Convierte un VEVENT en un registro de cita.
+ * @param {Array<{nombre: string, parametros: Object<string, string>, valor: string}>} propiedades
+ * @returns {{datos: Object|null, motivo?: string}}
+ */
+function citaDesdeEvento(propiedades) {
+    const propiedad = (nombre) => propiedades.find(p => p.nombre === nombre);
+    const texto = (nombre) => {
+        const p = propiedad(nombre);
+        return p ? desescaparTexto(p.valor) : '';
+    };
+
+    const inicio = leerFechaHora(propiedad('DTSTART'));
+    if (!inicio) return { datos: null, motivo: 'El evento no tiene fecha y hora de inicio (o es de día completo).' };
+
+    const fin = leerFechaHora(propiedad('DTEND'));
+    const duracion = fin
+        ? Math.round((fin - inicio) / 60000)
+        : leerDuracion(texto('DURATION'));
+
+    // Solo los UID creados por esta aplicación conservan el ID de la cita
+    const [, id = ''] = new RegExp(`^(.+)@${DOMINIO_UID.replace(/\./g, '\\.')}$`).exec(texto('UID')) ?? [];
+    // Sin recurso propio, se busca uno con el mismo nombre que el lugar del evento
+    const lugar = texto('LOCATION').trim().toLowerCase();
+    const recursoPorLugar = obtenerRecursos().find(r => r.nombre.toLowerCase() === lugar)?.id ?? '';
+
+    const datos = {
+        id,
+        fecha_reserva: fechaISO(inicio),
+        hora_reserva: `${String(inicio.getHours()).padStart(2, '0')}:${String(inicio.getMinutes()).padStart(2, '0')}`,
+        duracion: Number.isNaN(duracion) ? '' : String(duracion),
+        ...Object.fromEntries(Object.entries({ ...PROPIEDADES_CITA, ...PROPIEDADES_COPIA }).map(([campo, nombre]) => [campo, texto(nombre)]))
+    };
+    if (!datos.recurso_id) datos.recurso_id = recursoPorLugar;
+    // Los eventos cancelados en otro calendario entran como citas canceladas
+    if (!datos.estado && texto('STATUS').toUpperCase() === 'CANCELLED') datos.estado = 'cancelada';
+    return { datos };
+}
+
+/**
+ * Lee los eventos de un archivo .ics como registros de cita para importar.
+ * Los eventos de otras aplicaciones solo serán válidos si traen los datos del paciente.
+ * @param {string} texto
+ * @returns {Array<RegistroImportado>} Un registro por VEVENT (fila = posición del evento).
+ * @throws {Error} Si el archivo no es un calendario iCalendar.
+ */
+export function leerICS(texto) {
+    const propiedades = leerPropiedades(texto);
+    if (propiedades[0]?.nombre !== 'BEGIN' || propiedades[0].valor.toUpperCase() !== 'VCALENDAR') {
+        throw new Error('El archivo no es un calendario iCalendar (.ics).');
+    }
+
+    const registros = [];
+    let evento = null;
+    let anidados = 0; // Componentes dentro del evento (p. ej. VALARM), cuyas propiedades se ignoran
+    propiedades.forEach(p => {
+        const componente = p.valor.trim().toUpperCase();
+        if (p.nombre === 'BEGIN' && componente === 'VEVENT') {
+            evento = [];
+        } else if (p.nombre === 'END' && componente === 'VEVENT' && evento) {
+            registros.push({ fila: registros.length + 1, ...citaDesdeEvento(evento) });
+            evento = null;
+        } else if (evento && p.nombre === 'BEGIN') {
+            anidados++;
+        } else if (evento && p.nombre === 'END') {
+            anidados--;
+        } else if (evento && anidados === 0) {
+            evento.push(p);
+        }
+    });
+    return registros;
+}
@@ -0,0 +1,272 @@
+/**
+ * js/importExport.js
+ * Exportación de la agenda a JSON y CSV, y lectura y análisis de archivos a importar.
+ * Las citas importadas se validan con las mismas reglas que el formulario de reserva.
+ */
+
+import { Cita } from './models.js';
+import { comprobarReserva } from './scheduling.js';
+import { crearSobre, migrarRegistro, VERSION_ACTUAL } from './migrations.js';
+import { leerICS } from './icalendar.js';
+
+/** @typedef {import('./clinicSettings.js').AjustesClinica} AjustesClinica */
+
+// Columnas del CSV, con los mismos nombres que los campos de la cita.
+// El historial de estados solo se conserva en la exportación JSON.
+export const COLUMNAS_CSV = [
+    'id', 'fecha_reserva', 'hora_reserva', 'recurso_id', 'tratamiento', 'duracion', 'serie_id', 'estado',
+    'nombre', 'apellidos', 'dni', 'telefono', 'fecha_nacimiento', 'observaciones'
+];
+
+// Punto y coma: es el separador que espera Excel con la configuración regional española
+const SEPARADOR_CSV = ';';
+// Marca de orden de bytes: sin ella Excel abre el UTF-8 como ANSI y rompe las tildes
+const BOM = '\uFEFF';
+// Caracteres con los que una hoja de cálculo interpreta una celda como fórmula
+const INICIO_FORMULA = /^[=+\-@\t\r]/;
+
+/**
+ * @typedef {Object} RegistroImportado
+ * @property {number} fila - Posición en el archivo (fila del CSV, elemento del JSON o evento del .ics, desde 1).
+ * @property {Object|null} datos - Registro en el formato actual de cita.
+ * @property {string} [motivo] - Si existe, el registro no se ha podido leer.
+ */
+
+/**
+ * @typedef {Object} InformeImportacion
+ * @property {Array<{fila: number, cita: Cita}>} nuevas - Citas que se importarán.
+ * @property {Array<{fila: number, cita: Cita, motivo: string}>} duplicadas - Su ID ya existe.
+ * @property {Array<{fila: number, cita: Cita, motivo: string}>} conflictos - Se solapan con otra cita.
+ * @property {Array<{fila: number, motivo: string}>} invalidas - No cumplen las reglas de validación.
+ */
+
+/**
+ * Exporta las citas a JSON con el mismo sobre versionado que el almacenamiento,
+ * para que una copia antigua pueda migrarse al importarla.
+ * @param {Array<Cita>} citas
+ * @returns {string}
+ */
+export function exportarJSON(citas) {
+    return JSON.stringify(crearSobre(citas.map(c => c.toJSON())), null, 2);
+}
+
+/**
+ * Escapa un valor para el CSV. Los valores que empiezan como una fórmula se
+ * prefijan con un apóstrofo para que la hoja de cálculo no los ejecute.
+ * @param {any} valor
+ * @returns {string}
+ */
+function celdaCSV(valor) {
+    let texto = valor == null ? '' : String(valor);
+    if (INICIO_FORMULA.test(texto)) texto = `'${texto}`;
+    return /[";\n\r,]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Exporta las citas a CSV (UTF-8 con BOM, separado por punto y coma).
+ * @param {Array<Cita>} citas
+ * @returns {string}
+ */
+export function exportarCSV(citas) {
+    return generarCSV(COLUMNAS_CSV, citas.map(cita => {
+        const json = cita.toJSON();
+        return COLUMNAS_CSV.map(columna => json[columna]);
+    }));
+}
+
+/**
+ * Genera un CSV con el formato de las exportaciones de la aplicación
+ * (UTF-8 con BOM, separado por punto y coma, fin de línea Windows).
+ * @param {Array<string>} cabecera
+ * @param {Array<Array<any>>} filas
+ * @returns {string}
+ */
+export function generarCSV(cabecera, filas) {
+    const lineas = [cabecera, ...filas].map(fila => fila.map(celdaCSV).join(SEPARADOR_CSV));
+    return BOM + lineas.join('\r\n') + '\r\n';
+}
+
+/**
+ * Divide un texto CSV en filas y celdas (admite comillas, saltos de línea dentro
+ * de comillas y finales de línea Windows o Unix).
+ * @param {string} texto
+ * @param {string} separador
+ * @returns {Array<Array<string>>}
+ */
+function dividirCSV(texto, separador) {
+    const filas = [];
+    let fila = [];
+    let celda = '';
+    let entreComillas = false;
+
+    for (let i = 0; i < texto.length; i++) {
+        const c = texto[i];
+        if (entreComillas) {
+            if (c === '"' && texto[i + 1] === '"') {
+                celda += '"';
+                i++;
+            } else if (c === '"') {
+                entreComillas = false;
+            } else {
+                celda += c;
+            }
+        } else if (c === '"') {
+            entreComillas = true;
+        } else if (c === separador) {
+            fila.push(celda);
+            celda = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && texto[i + 1] === '\n') i++;
+            fila.push(celda);
+            filas.push(fila);
+            fila = [];
+            celda = '';
+        } else {
+            celda += c;
+        }
+    }
+    if (celda !== '' || fila.length > 0) {
+        fila.push(celda);
+        filas.push(fila);
+    }
+    // Las líneas en blanco no son registros
+    return filas.filter(f => f.some(c => c.trim() !== ''));
+}
+
+/**
+ * Lee un CSV exportado (o editado en una hoja de cálculo).
+ * El separador se deduce de la cabecera: punto y coma o coma.
+ * @param {string} texto
+ * @returns {Array<RegistroImportado>}
+ * @throws {Error} Si falta la cabecera o no tiene ninguna columna conocida.
+ */
+function leerCSV(texto) {
+    const primeraLinea = texto.split(/\r?\n/, 1)[0];
+    const separador = primeraLinea.split(';').length >= primeraLinea.split(',').length ? ';' : ',';
+    const [cabecera, ...filas] = dividirCSV(texto, separador);
+    if (!cabecera) throw new Error('El archivo CSV está vacío.');
+
+    const columnas = cabecera.map(c => c.trim().toLowerCase());
+    if (!columnas.some(c => COLUMNAS_CSV.includes(c))) {
+        throw new Error(`El archivo CSV no tiene la cabecera esperada (${COLUMNAS_CSV.join(SEPARADOR_CSV)}).`);
+    }
+
+    return filas.map((celdas, i) => {
+        const datos = {};
+        columnas.forEach((columna, j) => {
+            if (!COLUMNAS_CSV.includes(columna)) return;
+            // Se deshace el apóstrofo añadido al exportar a las celdas con aspecto de fórmula
+            const valor = celdas[j] ?? '';
+            datos[columna] = valor.startsWith("'") && INICIO_FORMULA.test(valor.slice(1)) ? valor.slice(1) : valor;
+        });
+        return { fila: i + 2, datos };
+    });
+}
+
+/**
+ * Lee un JSON exportado (sobre versionado) o un array de citas sin sobre.
+ * Los registros de versiones anteriores se migran. Un array sin sobre se trata como v1, igual que
+ * en actualizarDatos (las migraciones respetan los campos que ya existen).
+ * @param {string} texto
+ * @returns {Array<RegistroImportado>}
+ * @throws {Error} Si el JSON no se puede leer o no tiene un formato reconocido.
+ */
+function leerJSON(texto) {
+    let datos;
+    try {
+        datos = JSON.parse(texto);
+    } catch (e) {
+        throw new Error(`El archivo JSON no se puede leer (${e.message}).`);
+    }
+
+    let version = 1;
+    let registros = datos;
+    if (!Array.isArray(datos)) {
+        if (!datos || !Array.isArray(datos.citas) || !Number.isInteger(datos.version)) {
+            throw new Error('El archivo JSON no tiene el formato de una exportación de citas.');
+        }
+        if (datos.version > VERSION_ACTUAL) {
+            throw new Error(`El archivo es de una versión más reciente de la aplicación (v${datos.version}).`);
+        }
+        ({ version, citas: registros } = datos);
+    }
+
+    return registros.map((registro, i) => {
+        const fila = i + 1;
+        if (!registro || typeof registro !== 'object' || Array.isArray(registro)) {
+            return { fila, datos: null, motivo: 'El registro no es un objeto.' };
+        }
+        try {
+            return { fila, datos: migrarRegistro(registro, version) };
+        } catch (e) {
+            return { fila, datos: null, motivo: `Error al migrar: ${e.message}` };
+        }
+    });
+}
+
+/**
+ * Lee el contenido de un archivo a importar, JSON, CSV o iCalendar según su extensión o contenido.
+ * @param {string} texto - Contenido del archivo.
+ * @param {string} [nombreArchivo='']
+ * @returns {Array<RegistroImportado>}
+ * @throws {Error} Si el archivo no se puede interpretar.
+ */
+export function leerArchivo(texto, nombreArchivo = '') {
+    const limpio = texto.replace(/^\uFEFF/, '');
+    if (/\.ics$/i.test(nombreArchivo) || /^\s*BEGIN:VCALENDAR/i.test(limpio)) return leerICS(limpio);
+    const esJSON = /\.json$/i.test(nombreArchivo) || (!/\.csv$/i.test(nombreArchivo) && /^\s*[[{]/.test(limpio));
+    return esJSON ? leerJSON(limpio) : leerCSV(limpio);
+}
+
+/**
+ * Clasifica los registros leídos sin guardar nada (simulación de la importación).
+ * Las citas futuras se validan como en el formulario (horario de la clínica y solapes);
+ * las pasadas, como histórico, igual que al cargar los datos guardados.
+ * @param {Array<RegistroImportado>} registros
+ * @param {Array<Cita>} existentes - Citas guardadas.
+ * @param {AjustesClinica} ajustes
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.reemplazar=false] - Si las citas guardadas se sustituirán por las importadas.
+ * @returns {InformeImportacion}
+ */
+export function analizarImportacion(registros, existentes, ajustes, { reemplazar = false } = {}) {
+    const informe = { nuevas: [], duplicadas: [], conflictos: [], invalidas: [] };
+    const guardadas = reemplazar ? [] : existentes;
+    const ids = new Set(guardadas.map(c => c.id));
+    const ocupadas = [...guardadas];
+    const ahora = new Date();
+
+    registros.forEach(({ fila, datos, motivo }) => {
+        if (motivo) {
+            informe.invalidas.push({ fila, motivo });
+            return;
+        }
+
+        const cita = new Cita(datos);
+        if (cita.id && ids.has(cita.id)) {
+            informe.duplicadas.push({ fila, cita, motivo: `Ya existe una cita con el ID ${cita.id}.` });
+            return;
+        }
+
+        const historica = cita.fechaHora < ahora;
+        const errores = cita.validate(historica ? { historico: true } : { ajustes });
+        if (errores.length > 0) {
+            informe.invalidas.push({ fila, motivo: errores.map(e => e.mensaje).join(' ') });
+            return;
+        }
+
+        if (!historica) {
+            const conflictos = comprobarReserva(cita, ocupadas, ajustes, { idExcluido: null });
+            if (conflictos.length > 0) {
+                informe.conflictos.push({ fila, cita, motivo: conflictos[0].mensaje });
+                return;
+            }
+        }
+
+        if (cita.id) ids.add(cita.id);
+        ocupadas.push(cita);
+        informe.nuevas.push({ fila, cita });
+    });
+
+    return informe;
+}
@@ -3,9 +3,28 @@
  * Lógica para la página principal (index.html) de creación y edición de citas.
  */
 
-import { guardarCita, obtenerCitas } from './storage.js';
-// Se importa formatearFecha para mejorar el mensaje de error en conflicto
-import { validarFechaHoraCita, validarDNI, validarFechaNoFutura, formatearFecha } from './utils.js'; 
+import {
+    guardarCitas, obtenerCitas, obtenerPaciente, alCambiarDatos, ConflictoDeRevision, anadirAListaEspera
+} from './storage.js';
+import { exigirDesbloqueo } from './lockScreen.js';
+import { Cita } from './models.js';
+import { LIMITES } from './validationSchema.js';
+import {
+    comprobarReserva, opcionesRecursosHTML, opcionesTratamientosHTML, duracionPorDefecto,
+    estadoDia, generarFranjas, dentroDeHorario, seSolapan, DIAS_SEMANA
+} from './scheduling.js';
+import { obtenerAjustes } from './clinicSettings.js';
+import { ocupaHueco, esMovible, ESTADOS_CITA } from './appointmentStatus.js';
+import {
+    UNIDADES_REPETICION, ALCANCES_SERIE, validarRegla, crearCitasSerie, citasDeLaSerie, citasAfectadas,
+    aplicarCambiosASerie, generarIdSerie
+} from './recurrence.js';
+import {
+    validarDNI, mostrarErroresFormulario, escapeHTML, formatearFecha, elegirOpcion, mostrarAviso, sumarDias
+} from './utils.js';
+import { calcularCambios, CAMPOS_AUDITORIA } from './auditLog.js';
+import { horaMediodia } from './agenda.js';
+import { entradaDesdeCita, validarEntradaEspera, ofrecerHuecoLiberado } from './waitlist.js';
 
 function setupIndexPageLogic() {
     const modal = document.getElementById('reservationModal');
@@ -19,10 +38,31 @@ function setupIndexPageLogic() {
     const obsArea = document.getElementById('modalObservaciones');
     const charCount = document.getElementById('modalCharCount');
     const errorMsg = form ? form.querySelector('.error-mensaje') : null;
+    const dniInput = document.getElementById('dni');
+    const dniNote = document.getElementById('dniAutofillNote');
+    const recursoSelect = document.getElementById('recurso_id');
+    const fechaInput = document.getElementById('fecha_reserva');
+    const horaSelect = document.getElementById('hora_reserva');
+    const tratamientoSelect = document.getElementById('tratamiento');
+    const duracionInput = document.getElementById('duracion');
+    const serieFieldset = document.getElementById('serieFieldset');
+    const serieOpciones = document.getElementById('serieOpciones');
+    const repetirCheck = document.getElementById('repetir');
+    const repetirFin = document.getElementById('repetir_fin');
+    const seriePreview = document.getElementById('seriePreview');
+    const esperaFieldset = document.getElementById('listaEsperaFieldset');
+    const apuntarEsperaBtn = document.getElementById('apuntarListaEspera');
 
     if (!form || !modal) return; 
 
-    const MAX_CHAR_COUNT = 300; 
+    // Ajustes de la clínica (horario, festivos, duración de franja)
+    let ajustes = null;
+    const ajustesListos = obtenerAjustes().then(a => { ajustes = a; return a; });
+
+    const MAX_CHAR_COUNT = LIMITES.observaciones; 
+
+    // Cita en edición tal como estaba guardada al abrir el formulario (para detectar cambios de otras pestañas)
+    let versionAlAbrir = null;
 
     // --- Funciones de Control de Modal ---
     const showModal = () => {
@@ -42,13 +82,21 @@ function setupIndexPageLogic() {
         
         form.reset();
         delete form.dataset.editingId;
+        versionAlAbrir = null;
         modalTitle.textContent = "Formulario de Reserva";
         
         if (charCount) charCount.textContent = `0 / ${MAX_CHAR_COUNT} caracteres`;
         if (errorMsg) errorMsg.style.display = 'none';
+        if (dniNote) dniNote.textContent = '';
+        mostrarErroresFormulario(form, []);
+        camposEditados.clear();
+        actualizarFranjas();
+        if (serieFieldset) serieFieldset.hidden = false;
+        if (esperaFieldset) esperaFieldset.hidden = true;
+        sincronizarCamposSerie();
 
-        // Limpiar el parámetro 'edit' de la URL si existe
-        if (window.location.search.includes('edit=')) {
+        // Limpiar los parámetros de edición o de reserva desde el calendario si existen
+        if (window.location.search) {
             window.history.replaceState({}, document.title, window.location.pathname); 
         }
         
@@ -56,110 +104,476 @@ function setupIndexPageLogic() {
     };
 
     // --- Carga de Datos en Modo Edición ---
-    const loadEditData = () => {
+    const loadEditData = async () => {
         const urlParams = new URLSearchParams(window.location.search);
         const editId = urlParams.get('edit');
         
         if (!editId || typeof editId !== 'string') return; 
 
-        const citas = obtenerCitas();
+        const citas = await obtenerCitas();
         const cita = citas.find(c => c.id === editId);
 
         if (cita) {
-            Object.keys(cita).forEach(key => {
-                const element = form.elements[key]; 
-                if (element) {
-                    element.value = cita[key] ?? '';
-                }
-            });
-            form.dataset.editingId = editId;
-            modalTitle.textContent = `Editando Cita: ${editId}`;
-            
-            if (obsArea && charCount) {
-                obsArea.textContent = cita.observaciones || '';
-                charCount.textContent = `${obsArea.value.length} / ${MAX_CHAR_COUNT} caracteres`;
-            }
-
+            await rellenarFormularioEdicion(cita);
             showModal();
         } else if (editId) {
             window.history.replaceState({}, document.title, window.location.pathname);
         }
     };
 
+    /**
+     * Carga en el formulario los datos guardados de la cita a editar.
+     * @param {Cita} cita
+     */
+    const rellenarFormularioEdicion = async (cita) => {
+        const datos = cita.toJSON();
+        Object.keys(datos).forEach(key => {
+            const element = form.elements[key]; 
+            if (element) {
+                element.value = datos[key] ?? '';
+            }
+        });
+        form.dataset.editingId = cita.id;
+        versionAlAbrir = datos;
+        modalTitle.textContent = cita.serie_id ? `Editando Cita: ${cita.id} (serie)` : `Editando Cita: ${cita.id}`;
+        // Las repeticiones solo se definen al crear la serie; después se edita cada cita con su alcance
+        if (serieFieldset) serieFieldset.hidden = true;
+        await actualizarFranjas(datos.hora_reserva);
+        
+        if (obsArea && charCount) {
+            obsArea.value = cita.observaciones || '';
+            charCount.textContent = `${obsArea.value.length} / ${MAX_CHAR_COUNT} caracteres`;
+        }
+    };
+
+    /**
+     * Pregunta qué hacer cuando la cita en edición se ha guardado desde otra pestaña
+     * después de abrir el formulario.
+     * @param {Cita} actual - Versión guardada ahora.
+     * @returns {Promise<'sobrescribir'|'recargar'|null>} Null si se cancela el guardado.
+     */
+    const resolverConflicto = async (actual) => {
+        const cambios = calcularCambios(versionAlAbrir, actual.toJSON())
+            .map(c => `${CAMPOS_AUDITORIA[c.campo]}: ${c.antes || '—'} → ${c.despues || '—'}`);
+        return elegirOpcion({
+            titulo: 'La cita ha cambiado',
+            mensaje: `Mientras editaba, esta cita se ha modificado en otra pestaña${cambios.length > 0 ? ` (${cambios.join('; ')})` : ''}. ¿Qué versión quiere conservar?`,
+            opciones: [
+                { valor: 'sobrescribir', texto: 'Guardar mis cambios (sustituyen a los otros)' },
+                { valor: 'recargar', texto: 'Descartar mis cambios y cargar la versión actual' }
+            ]
+        });
+    };
+
+    // --- Reserva desde una Franja Libre del Calendario (?fecha=&hora=&recurso=) ---
+    const loadPrefillData = async () => {
+        const urlParams = new URLSearchParams(window.location.search);
+        const fecha = urlParams.get('fecha');
+        if (urlParams.has('edit') || !fecha || !/^\d{4}-\d{2}-\d{2}$/.test(fecha)) return;
+
+        fechaInput.value = fecha;
+        const recurso = urlParams.get('recurso');
+        if (recurso && recursoSelect && Array.from(recursoSelect.options).some(o => o.value === recurso)) {
+            recursoSelect.value = recurso;
+        }
+        await actualizarFranjas(urlParams.get('hora') ?? '');
+        showModal();
+    };
+
+    // --- Franjas Horarias ---
+    let renderFranjas = 0; // Evita que una carga lenta pise a otra más reciente
+
+    /**
+     * Rellena el selector de hora con las franjas del día elegido.
+     * Las franjas ya reservadas para el recurso elegido (o pasadas) se muestran deshabilitadas.
+     * @param {string} [horaDeseada] - Hora a dejar seleccionada (se conserva aunque no esté en el horario).
+     */
+    const actualizarFranjas = async (horaDeseada = horaSelect?.value) => {
+        if (!horaSelect) return;
+        const token = ++renderFranjas;
+        const fecha = fechaInput?.value;
+
+        const placeholder = (texto) => `<option value="" disabled ${horaDeseada ? '' : 'selected'}>${texto}</option>`;
+        if (!fecha) {
+            horaSelect.innerHTML = placeholder('Seleccione primero una fecha');
+            return;
+        }
+
+        const ajustesActuales = await ajustesListos;
+        const citas = await obtenerCitas().catch(() => []);
+        if (token !== renderFranjas) return;
+
+        const estado = estadoDia(ajustesActuales, fecha);
+        const recurso = recursoSelect?.value;
+        const editando = form.dataset.editingId;
+        const duracion = Number(duracionInput?.value) || duracionPorDefecto(tratamientoSelect?.value);
+        const delDia = citas.filter(c =>
+            c.fecha_reserva === fecha && c.recurso_id === recurso && c.id !== editando && ocupaHueco(c));
+        const ahora = new Date();
+
+        // Una franja está ocupada si la cita, con su duración, se solaparía con otra del mismo recurso
+        const opcion = (hora) => {
+            const pasada = new Date(`${fecha}T${hora}`) <= ahora;
+            const ocupada = delDia.some(c => seSolapan(c.hora_reserva, c.duracion, hora, duracion));
+            const noCabe = !dentroDeHorario(ajustesActuales, fecha, hora, duracion);
+            const motivo = ocupada ? ' (ocupada)' : (pasada ? ' (pasada)' : (noCabe ? ' (no cabe antes del cierre)' : ''));
+            const deshabilitada = motivo && hora !== horaDeseada ? 'disabled' : '';
+            const seleccionada = hora === horaDeseada ? 'selected' : '';
+            return `<option value="${hora}" ${deshabilitada} ${seleccionada}>${hora}${motivo}</option>`;
+        };
+
+        // Mañana y tarde se separan igual que en el filtro de la agenda
+        const franjas = generarFranjas(ajustesActuales, fecha);
+        const mediodia = horaMediodia(ajustesActuales);
+        const manana = franjas.filter(h => h < mediodia);
+        const tarde = franjas.filter(h => h >= mediodia);
+        let html = placeholder(estado.abierto ? 'Seleccione una hora' : `Clínica cerrada: ${estado.motivo}`);
+        if (manana.length > 0) html += `<optgroup label="Mañana">${manana.map(opcion).join('')}</optgroup>`;
+        if (tarde.length > 0) html += `<optgroup label="Tarde">${tarde.map(opcion).join('')}</optgroup>`;
+        // Una cita guardada fuera del horario actual conserva su hora al editarla
+        if (horaDeseada && !franjas.includes(horaDeseada)) {
+            html += `<option value="${escapeHTML(horaDeseada)}" selected>${escapeHTML(horaDeseada)} (fuera de horario)</option>`;
+        }
+        horaSelect.innerHTML = html;
+    };
+
+    // --- Series Periódicas ---
+    const serieActiva = () => Boolean(repetirCheck?.checked) && !form.dataset.editingId;
+
+    /** @returns {import('./recurrence.js').ReglaRepeticion} */
+    const reglaDesdeFormulario = () => ({
+        cada: Number(form.elements.repetir_cada.value),
+        unidad: form.elements.repetir_unidad.value,
+        fin: form.elements.repetir_fin.value,
+        veces: Number(form.elements.repetir_veces.value),
+        hasta: form.elements.repetir_hasta.value
+    });
+
+    // Muestra solo los campos de la regla que corresponden a las opciones elegidas
+    const sincronizarCamposSerie = () => {
+        if (serieOpciones) serieOpciones.hidden = !repetirCheck?.checked;
+        const fin = repetirFin?.value;
+        const vecesField = document.getElementById('repetirVecesField');
+        const hastaField = document.getElementById('repetirHastaField');
+        if (vecesField) vecesField.hidden = fin !== 'veces';
+        if (hastaField) hastaField.hidden = fin !== 'hasta';
+        if (seriePreview && !serieActiva()) seriePreview.innerHTML = '';
+    };
+
+    /**
+     * Comprueba horario y solapes de un grupo de citas que se guardan juntas.
+     * Cada cita aceptada pasa a ocupar su hueco para las siguientes del grupo.
+     * @param {Array<Cita>} lote
+     * @param {Array<Cita>} existentes - Citas guardadas (las del lote se ignoran).
+     * @param {Object} ajustesActuales
+     * @returns {Array<{cita: Cita, errores: Array<{campo: string, mensaje: string}>}>}
+     */
+    const comprobarLote = (lote, existentes, ajustesActuales) => {
+        const ids = new Set(lote.map(c => c.id).filter(Boolean));
+        const ocupadas = existentes.filter(c => !ids.has(c.id));
+        return lote.map(c => {
+            const errores = comprobarReserva(c, ocupadas, ajustesActuales, { idExcluido: c.id, soloHorario: true });
+            if (errores.length === 0) ocupadas.push(c);
+            return { cita: c, errores };
+        });
+    };
+
+    /** @param {Cita} c @returns {string} Fecha y horario legibles, p. ej. 'Mar 05/02/2030 10:00–10:30'. */
+    const describirCita = (c) => {
+        const dia = DIAS_SEMANA[new Date(`${c.fecha_reserva}T00:00:00`).getDay()]?.slice(0, 3) ?? '';
+        return `${dia} ${formatearFecha(c.fecha_reserva)} ${c.hora_reserva}–${c.horaFin}`;
+    };
+
+    let renderPrevia = 0; // Evita que una vista previa lenta pise a otra más reciente
+
+    // Vista previa de las fechas de la serie, marcando las que no se pueden reservar
+    const actualizarVistaPreviaSerie = async () => {
+        if (!seriePreview) return;
+        const token = ++renderPrevia;
+        if (!serieActiva()) {
+            seriePreview.innerHTML = '';
+            return;
+        }
+
+        const cita = citaDesdeFormulario();
+        if (!cita.fecha_reserva || !cita.hora_reserva) {
+            seriePreview.innerHTML = '<p class="form-note">Elija la fecha y la hora de la primera cita para ver la serie.</p>';
+            return;
+        }
+        const regla = reglaDesdeFormulario();
+        const erroresRegla = validarRegla(regla, cita.fecha_reserva);
+        if (erroresRegla.length > 0) {
+            seriePreview.innerHTML = `<p class="form-note">${escapeHTML(erroresRegla[0].mensaje)}</p>`;
+            return;
+        }
+
+        const [ajustesActuales, citas] = await Promise.all([ajustesListos, obtenerCitas().catch(() => [])]);
+        if (token !== renderPrevia) return;
+
+        const resultado = comprobarLote(crearCitasSerie(cita, regla), citas, ajustesActuales);
+        const libres = resultado.filter(r => r.errores.length === 0).length;
+        seriePreview.innerHTML = `
+            <p class="form-note">
+                ${libres} de ${resultado.length} citas disponibles${libres < resultado.length ? '; las marcadas no se reservarán' : ''}.
+            </p>
+            <ul class="serie-preview-list">
+                ${resultado.map(({ cita: c, errores }) => errores.length > 0
+                    ? `<li class="serie-preview-item serie-preview-item--conflict">⚠ ${escapeHTML(describirCita(c))}: ${escapeHTML(errores[0].mensaje)}</li>`
+                    : `<li class="serie-preview-item">✓ ${escapeHTML(describirCita(c))}</li>`
+                ).join('')}
+            </ul>`;
+    };
+
+    /**
+     * Pregunta a qué citas de la serie se aplican los cambios y prepara las citas a guardar.
+     * @param {Cita} cita - Cita editada con los datos del formulario (con su ID).
+     * @param {Cita} original - La misma cita tal como estaba guardada.
+     * @param {Array<Cita>} citas - Todas las citas.
+     * @returns {Promise<Array<Cita>|null>} Citas a guardar o null si se cancela.
+     */
+    const prepararEdicionSerie = async (cita, original, citas) => {
+        const serie = citasDeLaSerie(citas, original);
+        if (serie.length < 2) return [cita];
+
+        const alcance = await elegirOpcion({
+            titulo: 'Editar cita de una serie',
+            mensaje: `Esta cita forma parte de una serie de ${serie.length} citas. ¿A cuáles quiere aplicar los cambios? Las citas ya pasadas no se modifican.`,
+            opciones: Object.entries(ALCANCES_SERIE).map(([valor, texto]) => ({ valor, texto }))
+        });
+        if (!alcance) return null;
+        if (alcance === 'una') return [cita];
+
+        const ahora = new Date();
+        const afectadas = citasAfectadas(citas, original, alcance)
+            .filter(c => c.id === original.id || c.fechaHora >= ahora);
+        // "Esta y las siguientes" separa esas citas en una serie nueva
+        const serieId = afectadas.length < serie.length && alcance === 'siguientes' ? generarIdSerie() : original.serie_id;
+        return aplicarCambiosASerie(original, cita, afectadas, serieId);
+    };
+
+    // --- Validación por Campo ---
+    const camposEditados = new Set(); // Campos que el usuario ya ha tocado
+
+    const citaDesdeFormulario = () => new Cita(Object.fromEntries(new FormData(form).entries()));
+
+    /**
+     * Muestra los errores en sus campos, el resumen arriba y lleva el foco al primer campo inválido.
+     * Los valores introducidos no se tocan en ningún momento.
+     * @param {Array<{campo: string, mensaje: string}>} errores
+     */
+    const mostrarErrores = (errores) => {
+        const primerInvalido = mostrarErroresFormulario(form, errores);
+        if (errorMsg) {
+            const total = new Set(errores.map(e => e.campo)).size;
+            errorMsg.textContent = total === 1
+                ? 'Error: Hay 1 campo con errores. Revíselo antes de guardar.'
+                : `Error: Hay ${total} campos con errores. Revíselos antes de guardar.`;
+            errorMsg.style.display = 'block';
+        }
+        primerInvalido?.focus();
+    };
+
+    // Al salir de un campo editado se valida ese campo y se refrescan los que ya estaban marcados
+    const validarAlSalir = (e) => {
+        const campo = e.target;
+        if (!campo.name || !camposEditados.has(campo.name)) return;
+
+        const marcados = Array.from(form.querySelectorAll('[aria-invalid="true"]')).map(el => el.name);
+        const errores = citaDesdeFormulario().validate({ ajustes });
+        mostrarErroresFormulario(form, errores, [campo.name, ...marcados]);
+
+        if (errorMsg && !form.querySelector('[aria-invalid="true"]')) errorMsg.style.display = 'none';
+    };
+
+    // --- Autorrelleno de Pacientes Registrados ---
+    const CAMPOS_PACIENTE = ['nombre', 'apellidos', 'telefono', 'fecha_nacimiento'];
+
+    const autocompletarPaciente = async () => {
+        const dni = dniInput.value.trim().toUpperCase();
+        if (dniNote) dniNote.textContent = '';
+        if (!validarDNI(dni)) return;
+
+        const paciente = await obtenerPaciente(dni);
+        if (!paciente) return;
+
+        const datos = paciente.toJSON();
+        CAMPOS_PACIENTE.forEach(campo => {
+            if (form.elements[campo]) form.elements[campo].value = datos[campo];
+        });
+        if (dniNote) dniNote.textContent = `Paciente registrado: se han cargado los datos de ${paciente.nombreCompleto}.`;
+    };
+
     // --- Manejo del Envío del Formulario ---
-    const handleSubmit = (e) => {
+    const handleSubmit = async (e) => {
         e.preventDefault();
-        const formData = new FormData(form);
-        const data = Object.fromEntries(formData.entries());
+        // El constructor normaliza los datos (recorta espacios, DNI en mayúsculas)
+        const cita = citaDesdeFormulario();
+        const editingId = form.dataset.editingId;
 
         const displayError = (message) => {
             if (errorMsg) { 
                 errorMsg.textContent = message; 
                 errorMsg.style.display = 'block'; 
-                errorMsg.focus(); 
             }
         };
         
-        // 1. Validación de campos vacíos
-        if (!data.nombre?.trim() || !data.apellidos?.trim() || !data.dni?.trim() || 
-            !data.telefono?.trim() || !data.fecha_reserva || !data.hora_reserva || !data.fecha_nacimiento) {
-             displayError('Error: Todos los campos obligatorios deben estar completos.');
-             return;
+        let ajustesActuales;
+        let citasExistentes;
+        try {
+            [ajustesActuales, citasExistentes] = await Promise.all([ajustesListos, obtenerCitas()]);
+        } catch (error) {
+            displayError(`Error al guardar la cita: ${error.message}`);
+            return;
         }
-
-        // 2. Validación de DNI (AHORA COMPLETA)
-        if (!validarDNI(data.dni)) {
-             displayError('Error: El DNI/NIE introducido no es válido. Por favor, verifica el número y la letra de control.');
-             return;
+        const original = editingId ? citasExistentes.find(c => c.id === editingId) : null;
+        if (editingId && !original) {
+            displayError('Esta cita se ha borrado desde que abrió el formulario (puede restaurarla desde la papelera de la agenda).');
+            return;
         }
-        
-        // 3. Validación de fecha y hora futura (CRÍTICO CORREGIDO)
-        if (!validarFechaHoraCita(data.fecha_reserva, data.hora_reserva)) {
-            displayError('Error: La fecha y hora de la cita no pueden ser pasadas.');
+        if (original && versionAlAbrir && original.revision !== versionAlAbrir.revision) {
+            const decision = await resolverConflicto(original);
+            if (!decision) return;
+            if (decision === 'recargar') {
+                await rellenarFormularioEdicion(original);
+                mostrarErroresFormulario(form, []);
+                if (errorMsg) errorMsg.style.display = 'none';
+                return;
+            }
+            // Se guardan los cambios del formulario sobre la versión actual
+            versionAlAbrir = original.toJSON();
+        }
+        if (editingId) {
+            cita.id = editingId;
+            cita.revision = original.revision;
+            // El formulario no toca la serie ni el estado: se conservan los de la cita guardada
+            cita.serie_id = original?.serie_id ?? '';
+            if (original) {
+                cita.estado = original.estado;
+                cita.historial_estados = original.historial_estados;
+            }
+        }
+
+        // 1. Validación de campos (obligatorios, DNI, fecha futura, horario, nacimiento) y de la regla de repetición
+        const regla = serieActiva() ? reglaDesdeFormulario() : null;
+        const errores = [...cita.validate({ ajustes: ajustesActuales }), ...(regla ? validarRegla(regla, cita.fecha_reserva) : [])];
+        if (errores.length > 0) {
+            mostrarErrores(errores);
             return;
         }
-        
-        // 4. Validación de fecha de nacimiento (NUEVA)
-        if (!validarFechaNoFutura(data.fecha_nacimiento)) {
-            displayError('Error: La fecha de nacimiento no puede ser una fecha futura.');
+
+        // Una cita en curso, atendida o anulada solo admite cambios en los datos del paciente
+        const recolocada = original && ['fecha_reserva', 'hora_reserva', 'recurso_id', 'duracion']
+            .some(campo => String(original[campo]) !== String(cita[campo]));
+        if (recolocada && !esMovible(original)) {
+            displayError(`La cita está "${ESTADOS_CITA[original.estado]}": no se puede cambiar su fecha, hora, recurso ni duración.`);
             return;
         }
-        
-        // 5. Validación de Conflicto Horario
-        const citasExistentes = obtenerCitas();
-        const conflicto = citasExistentes.find(c =>
-            c.fecha_reserva === data.fecha_reserva &&
-            c.hora_reserva === data.hora_reserva &&
-            c.id !== form.dataset.editingId 
-        );
-
-        if (conflicto) {
-            const nombreConflicto = conflicto.nombre || 'Otro Paciente';
-            displayError(`Error: El horario ${data.hora_reserva} el ${formatearFecha(data.fecha_reserva)} ya está reservado por ${nombreConflicto}.`);
+
+        // 2. Citas a guardar: la del formulario, las de una serie nueva o las de la serie editada
+        let lote = [cita];
+        if (regla) {
+            lote = crearCitasSerie(cita, regla);
+        } else if (original?.serie_id) {
+            lote = await prepararEdicionSerie(cita, original, citasExistentes);
+            if (!lote) return;
+        }
+
+        // 3. Validación de Conflicto Horario (solo entre citas del mismo dentista o sillón)
+        const resultado = comprobarLote(lote, citasExistentes, ajustesActuales);
+        const fallidas = resultado.filter(r => r.errores.length > 0);
+
+        // Una sola cita, o la primera de una serie nueva si falla: se marca en el formulario
+        const citaUnica = lote.length === 1;
+        const primeraDeSerieFalla = Boolean(regla) && resultado[0].errores.length > 0;
+        if (citaUnica || primeraDeSerieFalla) {
+            if (resultado[0].errores.length > 0) {
+                mostrarErrores(resultado[0].errores);
+                // El hueco está ocupado: una cita nueva puede quedar en lista de espera
+                if (!editingId && !regla) mostrarListaEspera(cita);
+                return;
+            }
+        } else if (fallidas.length > 0 && !regla) {
+            // Una edición de serie se aplica entera o no se aplica
+            displayError(`No se ha modificado la serie. ${fallidas.map(r => `${describirCita(r.cita)}: ${r.errores[0].mensaje}`).join(' ')}`);
             return;
+        } else if (fallidas.length > 0) {
+            const lista = fallidas.map(r => `- ${describirCita(r.cita)}: ${r.errores[0].mensaje}`).join('\n');
+            const reservar = resultado.length - fallidas.length;
+            if (!confirm(`${fallidas.length} de las ${resultado.length} citas de la serie no se pueden reservar y se omitirán:\n${lista}\n\n¿Reservar las ${reservar} restantes?`)) return;
         }
 
-        // 6. Saneamiento y Guardado
-        const cleanedData = {
-            ...data,
-            nombre: data.nombre.trim(),
-            apellidos: data.apellidos.trim(),
-            dni: data.dni.toUpperCase().trim(),
-            telefono: data.telefono.trim(),
-            observaciones: data.observaciones ? data.observaciones.trim() : ''
-        };
-        
-        if (form.dataset.editingId) cleanedData.id = form.dataset.editingId;
-        
+        mostrarErroresFormulario(form, []);
+        if (errorMsg) errorMsg.style.display = 'none';
+
+        // 4. Guardado
         try {
-            guardarCita(cleanedData);
+            await guardarCitas(resultado.filter(r => r.errores.length === 0).map(r => r.cita));
             hideModal();
+            // Si la cita ha cambiado de hueco, el que deja libre se ofrece a la lista de espera
+            if (recolocada) await ofrecerHueco(original);
             if (confirmModal) confirmModal.style.display = 'flex';
         } catch (error) {
+            if (error instanceof ConflictoDeRevision) {
+                // Otra pestaña ha guardado justo entre la comprobación y el guardado
+                displayError(`${error.message} Pulse de nuevo "Guardar" para elegir qué versión conservar.`);
+                return;
+            }
             displayError(`Error al guardar la cita: ${error.message}`);
         }
     };
 
+    // --- Lista de Espera ---
+    /**
+     * Muestra las preferencias de la lista de espera, con el periodo propuesto a partir del día pedido.
+     * @param {Cita} cita - Cita que no se ha podido reservar.
+     */
+    const mostrarListaEspera = (cita) => {
+        if (!esperaFieldset) return;
+        if (esperaFieldset.hidden) {
+            form.elements.espera_desde.value = cita.fecha_reserva;
+            form.elements.espera_hasta.value = sumarDias(cita.fecha_reserva, 14);
+        }
+        esperaFieldset.hidden = false;
+    };
+
+    const apuntarEnListaEspera = async () => {
+        const cita = citaDesdeFormulario();
+        const entrada = entradaDesdeCita(cita, {
+            desde: form.elements.espera_desde.value,
+            hasta: form.elements.espera_hasta.value,
+            hora_desde: form.elements.espera_hora_desde.value,
+            hora_hasta: form.elements.espera_hora_hasta.value,
+            cualquierRecurso: form.elements.espera_cualquier_recurso.checked
+        });
+        // Los datos del paciente se validan igual que para reservar; el horario no, porque no hay hueco
+        const errores = [
+            ...cita.paciente.validate(),
+            ...cita.validate({ ajustes }).filter(e => ['recurso_id', 'duracion'].includes(e.campo)),
+            ...validarEntradaEspera(entrada)
+        ];
+        if (errores.length > 0) {
+            mostrarErrores(errores);
+            return;
+        }
+
+        await anadirAListaEspera(entrada);
+        hideModal();
+        mostrarAviso(`${cita.nombreCompleto} está en la lista de espera (${formatearFecha(entrada.desde)} – ${formatearFecha(entrada.hasta)}).`);
+    };
+
+    /**
+     * Ofrece a la lista de espera el hueco que ha dejado una cita y avisa si se reserva.
+     * @param {Cita} hueco
+     */
+    const ofrecerHueco = async (hueco) => {
+        try {
+            const reservada = await ofrecerHuecoLiberado(hueco);
+            if (reservada) mostrarAviso(`Hueco reservado para ${reservada.nombreCompleto} (lista de espera).`);
+        } catch (error) {
+            alert(`No se pudo reservar el hueco para la lista de espera: ${error.message}`);
+        }
+    };
+
     // --- Cierre de Confirmación ---
     // --- Cierre de Confirmación (CORREGIDO) ---
     const cerrarConfirmacion = () => {
@@ -195,11 +609,77 @@ function setupIndexPageLogic() {
         });
     }
 
+    if (recursoSelect) recursoSelect.insertAdjacentHTML('beforeend', opcionesRecursosHTML());
+    if (tratamientoSelect) tratamientoSelect.insertAdjacentHTML('beforeend', opcionesTratamientosHTML());
+    // form.reset() devuelve la duración a este valor inicial
+    if (duracionInput) duracionInput.defaultValue = String(duracionPorDefecto());
+    const unidadSelect = document.getElementById('repetir_unidad');
+    if (unidadSelect) {
+        unidadSelect.innerHTML = Object.entries(UNIDADES_REPETICION)
+            .map(([valor, texto]) => `<option value="${valor}"${valor === 'semanas' ? ' selected' : ''}>${texto}</option>`)
+            .join('');
+    }
+
     form.addEventListener('submit', handleSubmit);
+    apuntarEsperaBtn?.addEventListener('click', () => {
+        apuntarEnListaEspera().catch(error => alert(`Error al apuntar en la lista de espera: ${error.message}`));
+    });
+    form.addEventListener('input', (e) => { if (e.target.name) camposEditados.add(e.target.name); });
+    form.addEventListener('change', (e) => { if (e.target.name) camposEditados.add(e.target.name); });
+    form.addEventListener('focusout', validarAlSalir);
+    const refrescarFranjas = () => {
+        actualizarFranjas()
+            .then(actualizarVistaPreviaSerie)
+            .catch(e => console.error("No se pudieron cargar las franjas horarias.", e));
+    };
+    form.addEventListener('change', (e) => {
+        if (e.target.name === 'repetir' || e.target.name === 'repetir_fin') sincronizarCamposSerie();
+        if (e.target.name === 'hora_reserva' || e.target.name?.startsWith('repetir')) {
+            actualizarVistaPreviaSerie().catch(e => console.error("No se pudo calcular la serie.", e));
+        }
+    });
+    fechaInput?.addEventListener('change', refrescarFranjas);
+    recursoSelect?.addEventListener('change', refrescarFranjas);
+    duracionInput?.addEventListener('change', refrescarFranjas);
+    // Al elegir un tratamiento se propone su duración habitual (se puede ajustar después)
+    tratamientoSelect?.addEventListener('change', () => {
+        if (duracionInput) duracionInput.value = String(duracionPorDefecto(tratamientoSelect.value));
+        refrescarFranjas();
+    });
+    dniInput?.addEventListener('change', () => {
+        autocompletarPaciente().catch(e => console.error("No se pudo consultar el registro de pacientes.", e));
+    });
     if (closeConfirmBtn) closeConfirmBtn.addEventListener('click', cerrarConfirmacion);
     if (closeConfirmSpan) closeConfirmSpan.addEventListener('click', cerrarConfirmacion);
     
-    loadEditData();
+    // Cambios guardados en otra pestaña: franjas ocupadas al día y aviso si la cita en edición ha cambiado
+    /** Avisa si la cita que se está editando ha cambiado o se ha borrado en otra pestaña. */
+    const comprobarCitaEditada = async () => {
+        const editando = form.dataset.editingId;
+        if (!editando || !versionAlAbrir) return;
+        const actual = (await obtenerCitas()).find(c => c.id === editando);
+        if (!actual) {
+            mostrarAviso('La cita que está editando se ha borrado en otra pestaña.');
+        } else if (actual.revision !== versionAlAbrir.revision) {
+            mostrarAviso('La cita que está editando se ha modificado en otra pestaña.', {
+                accion: 'Cargar la versión actual',
+                alPulsar: () => rellenarFormularioEdicion(actual).catch(e => console.error("No se pudo recargar la cita.", e)),
+                duracion: 15000
+            });
+        }
+    };
+    alCambiarDatos(() => {
+        refrescarFranjas();
+        comprobarCitaEditada().catch(e => console.error("No se pudo comprobar si la cita en edición ha cambiado.", e));
+    });
+
+    loadEditData().catch(e => alert(`Error: No se pudo abrir la cita para editarla. ${e.message}`));
+    loadPrefillData().catch(e => console.error("No se pudo preparar la reserva desde el calendario.", e));
 }
 
-document.addEventListener('DOMContentLoaded', setupIndexPageLogic);
\ No newline at end of file
+// Con los datos cifrados, nada se lee hasta introducir la frase de la clínica
+document.addEventListener('DOMContentLoaded', () => {
+    exigirDesbloqueo()
+        .then(setupIndexPageLogic)
+        .catch(e => alert(`Error: No se pueden abrir los datos. ${e.message}`));
+});
\ No newline at end of file
@@ -0,0 +1,268 @@
+/**
+ * js/lockScreen.js
+ * Pantallas de bloqueo: la frase de la clínica si los datos están cifrados y el PIN del perfil
+ * si la clínica usa perfiles de usuario. Ninguna página lee citas ni pacientes hasta superarlas.
+ * Con perfiles, también muestra quién está identificado y bloquea la pantalla tras un rato sin actividad.
+ */
+
+import { estadoCifrado, desbloquearDatos, bloquearDatos, obtenerUsuarios, alCambiarDatos } from './storage.js';
+import { obtenerAjustes } from './clinicSettings.js';
+import { ROLES_USUARIO, comprobarPIN, usuarioActivo, ultimoUsuario, iniciarSesionUsuario, cerrarSesionUsuario } from './users.js';
+import { escapeHTML, trapFocus } from './utils.js';
+
+/** @typedef {import('./users.js').Usuario} Usuario */
+/** @typedef {import('./users.js').SesionUsuario} SesionUsuario */
+
+export const AVISO_RECUPERACION = 'Si se olvida la frase, los datos de los pacientes no se pueden recuperar: nadie, ni siquiera el servicio técnico, puede descifrarlos sin ella. Guárdela por escrito en un lugar seguro, lejos de este ordenador.';
+
+// Tras varios PIN erróneos seguidos hay que esperar antes de probar otro. La cuenta se guarda
+// en el navegador: recargar la página o abrir otra pestaña no la reinicia
+const MAX_INTENTOS_PIN = 5;
+const ESPERA_TRAS_INTENTOS_MS = 30000;
+const INTENTOS_PIN_KEY = 'davanteDentalIntentosPIN';
+// Actividad que reinicia la cuenta del bloqueo por inactividad
+const EVENTOS_ACTIVIDAD = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+let pantallaBloqueada = false;
+
+/**
+ * PIN erróneos seguidos y momento hasta el que hay que esperar (ms desde epoch).
+ * @returns {{fallos: number, esperaHasta: number}}
+ */
+function leerIntentosPIN() {
+    try {
+        const { fallos = 0, esperaHasta = 0 } = JSON.parse(localStorage.getItem(INTENTOS_PIN_KEY)) ?? {};
+        return { fallos, esperaHasta };
+    } catch (e) {
+        return { fallos: 0, esperaHasta: 0 };
+    }
+}
+
+/**
+ * @param {{fallos: number, esperaHasta: number}} intentos
+ */
+function guardarIntentosPIN(intentos) {
+    localStorage.setItem(INTENTOS_PIN_KEY, JSON.stringify(intentos));
+}
+
+/**
+ * Tapa la página con un formulario de desbloqueo y espera a que se supere.
+ * @param {Object} pantalla
+ * @param {string} pantalla.titulo
+ * @param {string} pantalla.mensaje
+ * @param {string} pantalla.camposHTML - Campos del formulario.
+ * @param {string} [pantalla.nota=''] - Texto al pie.
+ * @param {function(HTMLFormElement): Promise<string|null>} pantalla.comprobar - Devuelve el error, o null si se desbloquea.
+ * @returns {Promise<void>} Se resuelve al desbloquear.
+ */
+function mostrarPantallaBloqueo({ titulo, mensaje, camposHTML, nota = '', comprobar }) {
+    return new Promise(resolve => {
+        const pantalla = document.createElement('div');
+        pantalla.className = 'modal lock-screen';
+        pantalla.setAttribute('role', 'dialog');
+        pantalla.setAttribute('aria-modal', 'true');
+        pantalla.setAttribute('aria-labelledby', 'lockScreenTitle');
+        pantalla.innerHTML = `
+            <form class="modal-content modal-content--confirm" novalidate>
+                <h3 id="lockScreenTitle">${escapeHTML(titulo)}</h3>
+                <p>${escapeHTML(mensaje)}</p>
+                ${camposHTML}
+                <div class="error-mensaje" role="alert" style="display: none;"></div>
+                <button type="submit" class="button button-submit-full">🔓 Desbloquear</button>
+                ${nota ? `<p class="form-note">${escapeHTML(nota)}</p>` : ''}
+            </form>`;
+        pantalla.style.display = 'flex';
+        document.body.append(pantalla);
+
+        const form = pantalla.querySelector('form');
+        const input = form.querySelector('input');
+        const boton = form.querySelector('button[type="submit"]');
+        const errorMsg = form.querySelector('.error-mensaje');
+        const limpiarTrap = trapFocus(pantalla);
+
+        const displayError = (message) => {
+            errorMsg.textContent = message;
+            errorMsg.style.display = message ? 'block' : 'none';
+        };
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            displayError('');
+            // Derivar la clave lleva un momento a propósito (PBKDF2)
+            boton.disabled = true;
+            boton.textContent = 'Comprobando...';
+            try {
+                const error = await comprobar(form);
+                if (!error) {
+                    limpiarTrap();
+                    pantalla.remove();
+                    resolve();
+                    return;
+                }
+                displayError(error);
+                input.select();
+            } catch (error) {
+                displayError(`Error al desbloquear: ${error.message}`);
+            } finally {
+                boton.disabled = false;
+                boton.textContent = '🔓 Desbloquear';
+            }
+        });
+
+        input.focus();
+    });
+}
+
+/**
+ * Pide la frase de la clínica hasta que sea la correcta.
+ * @returns {Promise<void>}
+ */
+function pedirFrase() {
+    return mostrarPantallaBloqueo({
+        titulo: '🔒 Datos bloqueados',
+        mensaje: 'Introduzca la frase de la clínica para ver las citas y los pacientes.',
+        camposHTML: `
+            <div class="form-field">
+                <label for="fraseDesbloqueo">Frase de la clínica</label>
+                <input type="password" id="fraseDesbloqueo" name="frase" autocomplete="current-password" required>
+            </div>`,
+        nota: AVISO_RECUPERACION,
+        comprobar: async (form) => (await desbloquearDatos(form.elements.frase.value) ? null : 'La frase no es correcta.')
+    });
+}
+
+/**
+ * Pide un perfil y su PIN, e identifica a ese usuario en la pestaña.
+ * @param {Array<Usuario>} usuarios
+ * @param {string} [idPorDefecto] - Perfil seleccionado al abrir (p. ej. quien estaba antes del bloqueo).
+ * @returns {Promise<void>}
+ */
+function pedirPIN(usuarios, idPorDefecto) {
+    const opciones = [...usuarios]
+        .sort((a, b) => a.nombre.localeCompare(b.nombre, 'es'))
+        .map(u => `<option value="${escapeHTML(u.id)}"${u.id === idPorDefecto ? ' selected' : ''}>${escapeHTML(u.nombre)} (${escapeHTML(ROLES_USUARIO[u.rol])})</option>`)
+        .join('');
+
+    return mostrarPantallaBloqueo({
+        titulo: '🔒 Pantalla bloqueada',
+        mensaje: 'Elija su perfil e introduzca su PIN.',
+        camposHTML: `
+            <div class="form-field">
+                <label for="usuarioDesbloqueo">Usuario</label>
+                <select id="usuarioDesbloqueo" name="usuario">${opciones}</select>
+            </div>
+            <div class="form-field">
+                <label for="pinDesbloqueo">PIN</label>
+                <input type="password" id="pinDesbloqueo" name="pin" inputmode="numeric" autocomplete="off" required>
+            </div>`,
+        comprobar: async (form) => {
+            const { esperaHasta } = leerIntentosPIN();
+            const restante = Math.ceil((esperaHasta - Date.now()) / 1000);
+            if (restante > 0) return `Demasiados intentos fallidos: espere ${restante} segundos.`;
+
+            const usuario = usuarios.find(u => u.id === form.elements.usuario.value);
+            if (usuario && await comprobarPIN(usuario, form.elements.pin.value)) {
+                guardarIntentosPIN({ fallos: 0, esperaHasta: 0 });
+                iniciarSesionUsuario(usuario);
+                return null;
+            }
+            // Se vuelve a leer: otra pestaña puede haber fallado mientras se comprobaba el PIN
+            const intentos = leerIntentosPIN();
+            intentos.fallos++;
+            if (intentos.fallos >= MAX_INTENTOS_PIN) {
+                intentos.fallos = 0;
+                intentos.esperaHasta = Date.now() + ESPERA_TRAS_INTENTOS_MS;
+            }
+            guardarIntentosPIN(intentos);
+            form.elements.pin.value = '';
+            return 'El PIN no es correcto.';
+        }
+    });
+}
+
+/**
+ * Cierra la sesión del usuario, olvida la clave de los datos y recarga la página: así no queda
+ * ningún dato de pacientes detrás de la pantalla de bloqueo, y al abrirse de nuevo se piden
+ * la frase (si los datos están cifrados) y el PIN antes de mostrar nada.
+ */
+function bloquearPantalla() {
+    if (pantallaBloqueada) return;
+    pantallaBloqueada = true;
+    cerrarSesionUsuario();
+    bloquearDatos();
+    window.location.reload();
+}
+
+/**
+ * Muestra bajo el título quién está identificado, con un botón para bloquear.
+ * @param {SesionUsuario} usuario
+ */
+function mostrarUsuarioEnCabecera(usuario) {
+    // Las hojas de estilo ocultan lo que el rol no puede usar (p. ej. los botones de borrar)
+    document.body.dataset.rol = usuario.rol;
+
+    const barra = document.createElement('div');
+    barra.className = 'usuario-activo';
+    barra.innerHTML = `
+        <span>👤 <strong>${escapeHTML(usuario.nombre)}</strong> · ${escapeHTML(ROLES_USUARIO[usuario.rol])}</span>
+        <button type="button" class="cita-button">🔒 Bloquear</button>`;
+    const titulo = document.querySelector('.main-container h1');
+    if (titulo) titulo.after(barra);
+    else document.body.prepend(barra);
+
+    barra.querySelector('button').addEventListener('click', bloquearPantalla);
+}
+
+/**
+ * Bloquea la pantalla tras unos minutos sin actividad.
+ * @param {number} minutos - 0 para no bloquear nunca.
+ */
+function vigilarInactividad(minutos) {
+    if (!minutos) return;
+    let temporizador;
+    const reiniciar = () => {
+        clearTimeout(temporizador);
+        temporizador = setTimeout(bloquearPantalla, minutos * 60000);
+    };
+    EVENTOS_ACTIVIDAD.forEach(evento => document.addEventListener(evento, reiniciar, { capture: true, passive: true }));
+    reiniciar();
+}
+
+/**
+ * Espera a que la página pueda usarse: pide la frase si los datos están cifrados (la clave solo
+ * vive en memoria, así que cada página la pide al abrirse), y el PIN si hay perfiles y nadie se ha identificado. Si después otra pestaña
+ * cambia la frase o los perfiles, la página se recarga para volver a pedirlos.
+ * @returns {Promise<SesionUsuario|null>} Usuario identificado (null si la clínica no usa perfiles).
+ */
+export async function exigirDesbloqueo() {
+    const { desbloqueado } = await estadoCifrado();
+    if (!desbloqueado) await pedirFrase();
+
+    const usuarios = await obtenerUsuarios();
+    let usuario = null;
+    if (usuarios.length > 0) {
+        // La sesión se renueva con el perfil guardado: puede haber cambiado de nombre o rol
+        const guardado = usuarios.find(u => u.id === usuarioActivo()?.id);
+        if (guardado) iniciarSesionUsuario(guardado);
+        else await pedirPIN(usuarios, ultimoUsuario());
+        usuario = usuarioActivo();
+
+        mostrarUsuarioEnCabecera(usuario);
+        vigilarInactividad((await obtenerAjustes()).minutosBloqueo);
+    }
+
+    alCambiarDatos(async () => {
+        try {
+            const estado = await estadoCifrado();
+            const actuales = await obtenerUsuarios();
+            const actual = actuales.find(u => u.id === usuario?.id);
+            const perfilCambiado = usuario
+                ? !actual || actual.rol !== usuario.rol || actual.nombre !== usuario.nombre
+                : actuales.length > 0;
+            if (!estado.desbloqueado || perfilCambiado) window.location.reload();
+        } catch (e) {
+            console.error("No se pudo comprobar el estado del bloqueo.", e);
+        }
+    });
+    return usuario;
+}
@@ -0,0 +1,155 @@
+/**
+ * js/migrations.js
+ * Versionado del esquema de datos de las citas y migraciones entre versiones.
+ *
+ * Las citas se guardan dentro de un "sobre": { version, citas: [...] }.
+ * Los datos antiguos (un array sin sobre) se consideran versión 1.
+ */
+
+import { validarConEsquema, ESQUEMA_CITA } from './validationSchema.js';
+import { obtenerRecursos, duracionPorDefecto } from './scheduling.js';
+
+export const VERSION_ACTUAL = 6;
+
+// Nombres de campo antiguos y su equivalente actual
+const CAMPOS_RENOMBRADOS = {
+    fecha: 'fecha_reserva',
+    hora: 'hora_reserva',
+    fechaNacimiento: 'fecha_nacimiento'
+};
+
+/**
+ * Migraciones por versión: MIGRACIONES[n] convierte un registro de la versión n-1 a la n.
+ * Cada función recibe una copia del registro y devuelve el registro actualizado.
+ */
+const MIGRACIONES = {
+    2: (cita) => {
+        Object.entries(CAMPOS_RENOMBRADOS).forEach(([antiguo, actual]) => {
+            if (antiguo in cita) {
+                if (cita[actual] === undefined) cita[actual] = cita[antiguo];
+                delete cita[antiguo];
+            }
+        });
+        if (typeof cita.observaciones !== 'string') cita.observaciones = '';
+        return cita;
+    },
+    // v3: cada cita ocupa un recurso (dentista o sillón); las antiguas pasan al recurso principal
+    3: (cita) => {
+        if (!cita.recurso_id) cita.recurso_id = obtenerRecursos()[0]?.id ?? '';
+        return cita;
+    },
+    // v4: cada cita tiene tratamiento y duración; las antiguas ocupan la duración por defecto
+    4: (cita) => {
+        if (typeof cita.tratamiento !== 'string') cita.tratamiento = '';
+        if (cita.duracion == null || cita.duracion === '') cita.duracion = duracionPorDefecto(cita.tratamiento);
+        return cita;
+    },
+    // v5: estado explícito de la cita; las existentes quedan pendientes, sin historial
+    5: (cita) => {
+        if (typeof cita.estado !== 'string' || !cita.estado) cita.estado = 'pendiente';
+        if (!Array.isArray(cita.historial_estados)) cita.historial_estados = [];
+        return cita;
+    },
+    // v6: número de revisión para detectar ediciones simultáneas; las existentes parten de la 1
+    6: (cita) => {
+        if (!Number.isInteger(cita.revision) || cita.revision < 1) cita.revision = 1;
+        return cita;
+    }
+};
+
+/**
+ * Lleva un registro suelto de una versión del esquema a la actual.
+ * @param {Object} registro - Registro en la versión indicada (no se modifica).
+ * @param {number} version - Versión del esquema en que está escrito.
+ * @returns {Object} Copia migrada del registro.
+ * @throws {Error} Si alguna migración falla.
+ */
+export function migrarRegistro(registro, version) {
+    let cita = { ...registro };
+    for (let v = version + 1; v <= VERSION_ACTUAL; v++) {
+        cita = MIGRACIONES[v](cita);
+    }
+    return cita;
+}
+
+/**
+ * Comprueba que un registro ya migrado sea una cita válida según el esquema común.
+ * Las fechas pasadas se aceptan: son el histórico de la clínica.
+ * @param {any} cita - Registro a comprobar.
+ * @returns {string|null} Motivo del rechazo o null si es válido.
+ */
+export function validarRegistro(cita) {
+    if (!cita || typeof cita !== 'object' || Array.isArray(cita)) {
+        return 'El registro no es un objeto.';
+    }
+    if (typeof cita.id !== 'string' || !cita.id.trim()) {
+        return 'El registro no tiene ID.';
+    }
+    const errores = validarConEsquema(cita, ESQUEMA_CITA, { historico: true });
+    if (errores.length > 0) {
+        return errores.map(e => e.mensaje).join(' ');
+    }
+    return null;
+}
+
+/**
+ * Crea el sobre de la versión actual para una lista de citas.
+ * @param {Array<Object>} citas
+ * @returns {{version: number, citas: Array<Object>}}
+ */
+export function crearSobre(citas) {
+    return { version: VERSION_ACTUAL, citas };
+}
+
+/**
+ * Lleva los datos leídos del almacenamiento a la versión actual.
+ * Los registros que no pueden migrarse o no superan la validación se separan
+ * para la cuarentena en lugar de descartarse.
+ * @param {any} datos - Contenido parseado (sobre o array antiguo).
+ * @returns {{citas: Array<Object>, rechazados: Array<{registro: any, motivo: string}>, actualizado: boolean}}
+ */
+export function actualizarDatos(datos) {
+    let version;
+    let registros;
+
+    if (Array.isArray(datos)) {
+        version = 1;
+        registros = datos;
+    } else if (datos && typeof datos === 'object' && Array.isArray(datos.citas) && Number.isInteger(datos.version)) {
+        version = datos.version;
+        registros = datos.citas;
+    } else {
+        // Contenido con forma desconocida: se aparta entero para revisarlo
+        return { citas: [], rechazados: [{ registro: datos, motivo: 'Formato de datos de citas no reconocido.' }], actualizado: true };
+    }
+
+    if (version > VERSION_ACTUAL) {
+        throw new Error(`Los datos son de una versión más reciente de la aplicación (v${version}).`);
+    }
+
+    const citas = [];
+    const rechazados = [];
+    const idsVistos = new Set();
+
+    registros.forEach(registro => {
+        let cita = registro;
+        try {
+            if (registro && typeof registro === 'object') cita = migrarRegistro(registro, version);
+        } catch (e) {
+            rechazados.push({ registro, motivo: `Error al migrar: ${e.message}` });
+            return;
+        }
+
+        const motivo = validarRegistro(cita);
+        if (motivo) {
+            rechazados.push({ registro, motivo });
+        } else if (idsVistos.has(cita.id)) {
+            rechazados.push({ registro, motivo: `ID duplicado: ${cita.id}.` });
+        } else {
+            idsVistos.add(cita.id);
+            citas.push(cita);
+        }
+    });
+
+    return { citas, rechazados, actualizado: version !== VERSION_ACTUAL || rechazados.length > 0 };
+}
@@ -0,0 +1,182 @@
+/**
+ * js/models.js
+ * Clases de dominio: Paciente y Cita.
+ * Normalizan los datos de entrada, se serializan al formato plano que usa el almacenamiento
+ * y validan sus propios campos devolviendo errores estructurados.
+ */
+
+import { validarConEsquema, ESQUEMA_PACIENTE, ESQUEMA_CITA } from './validationSchema.js';
+import { calcularHoraFin } from './scheduling.js';
+import { ESTADO_INICIAL } from './appointmentStatus.js';
+
+/**
+ * @typedef {Object} ErrorValidacion
+ * @property {string} campo - Nombre del campo del formulario (p. ej. 'dni').
+ * @property {string} mensaje - Mensaje listo para mostrar al usuario.
+ */
+
+const texto = (valor) => (typeof valor === 'string' ? valor.trim() : (valor == null ? '' : String(valor).trim()));
+
+export class Paciente {
+    /**
+     * @param {Object} datos
+     * @param {string} datos.nombre
+     * @param {string} datos.apellidos
+     * @param {string} datos.dni
+     * @param {string} datos.telefono
+     * @param {string} datos.fecha_nacimiento - Formato 'YYYY-MM-DD'.
+     */
+    constructor({ nombre, apellidos, dni, telefono, fecha_nacimiento } = {}) {
+        this.nombre = texto(nombre);
+        this.apellidos = texto(apellidos);
+        this.dni = texto(dni).toUpperCase();
+        this.telefono = texto(telefono);
+        this.fecha_nacimiento = texto(fecha_nacimiento);
+    }
+
+    /** @returns {string} Nombre y apellidos. */
+    get nombreCompleto() {
+        return `${this.nombre} ${this.apellidos}`.trim();
+    }
+
+    /** @returns {number|null} Edad en años cumplidos o null si la fecha no es válida. */
+    get edad() {
+        const nacimiento = new Date(`${this.fecha_nacimiento}T00:00:00`);
+        if (isNaN(nacimiento.getTime())) return null;
+
+        const hoy = new Date();
+        let edad = hoy.getFullYear() - nacimiento.getFullYear();
+        const aunNoCumple = hoy.getMonth() < nacimiento.getMonth() ||
+            (hoy.getMonth() === nacimiento.getMonth() && hoy.getDate() < nacimiento.getDate());
+        if (aunNoCumple) edad--;
+        return edad;
+    }
+
+    /**
+     * Valida los datos personales con el esquema común.
+     * @returns {Array<ErrorValidacion>} Lista de errores (vacía si es válido).
+     */
+    validate() {
+        return validarConEsquema(this.toJSON(), ESQUEMA_PACIENTE);
+    }
+
+    /** @returns {Object} Representación plana para almacenamiento. */
+    toJSON() {
+        return {
+            nombre: this.nombre,
+            apellidos: this.apellidos,
+            dni: this.dni,
+            telefono: this.telefono,
+            fecha_nacimiento: this.fecha_nacimiento
+        };
+    }
+
+    /**
+     * @param {Object} json - Objeto plano con los datos del paciente.
+     * @returns {Paciente}
+     */
+    static fromJSON(json) {
+        return json instanceof Paciente ? json : new Paciente(json);
+    }
+}
+
+export class Cita {
+    /**
+     * Acepta tanto el formato plano del almacenamiento/formulario (datos del paciente
+     * en la raíz) como un objeto con la propiedad `paciente`.
+     * @param {Object} datos
+     * @param {string} [datos.id]
+     * @param {string} datos.fecha_reserva - Formato 'YYYY-MM-DD'.
+     * @param {string} datos.hora_reserva - Formato 'HH:MM'.
+     * @param {string} datos.recurso_id - Dentista o sillón reservado.
+     * @param {string} [datos.tratamiento] - ID del tipo de tratamiento.
+     * @param {number|string} datos.duracion - Duración en minutos.
+     * @param {string} [datos.observaciones]
+     * @param {string} [datos.serie_id] - Serie periódica a la que pertenece la cita.
+     * @param {string} [datos.estado] - Estado de la cita (por defecto, pendiente).
+     * @param {Array<{estado: string, fecha: string}>} [datos.historial_estados] - Cambios de estado, del más antiguo al más reciente.
+     * @param {number} [datos.revision] - Número de versión guardada (0 si nunca se ha guardado).
+     * @param {Paciente|Object} [datos.paciente]
+     */
+    constructor(datos = {}) {
+        const {
+            id, fecha_reserva, hora_reserva, recurso_id, tratamiento, duracion, observaciones, serie_id,
+            estado, historial_estados, revision, paciente
+        } = datos;
+        this.id = id ? String(id) : null;
+        this.fecha_reserva = texto(fecha_reserva);
+        this.hora_reserva = texto(hora_reserva);
+        this.recurso_id = texto(recurso_id);
+        this.tratamiento = texto(tratamiento);
+        // Un valor no numérico se conserva como texto para que la validación lo rechace
+        const minutos = texto(duracion);
+        this.duracion = minutos === '' ? null : (isNaN(Number(minutos)) ? minutos : Number(minutos));
+        this.observaciones = texto(observaciones);
+        this.serie_id = texto(serie_id);
+        this.estado = texto(estado) || ESTADO_INICIAL;
+        this.historial_estados = Array.isArray(historial_estados)
+            ? historial_estados.map(cambio => ({ estado: texto(cambio?.estado), fecha: texto(cambio?.fecha) }))
+            : [];
+        const numeroRevision = Number(revision);
+        this.revision = Number.isInteger(numeroRevision) && numeroRevision > 0 ? numeroRevision : 0;
+        this.paciente = Paciente.fromJSON(paciente ?? datos);
+    }
+
+    /** @returns {Date} Fecha y hora de inicio combinadas (Invalid Date si faltan). */
+    get fechaHora() {
+        return new Date(`${this.fecha_reserva}T${this.hora_reserva}`);
+    }
+
+    /** @returns {string} Hora de fin 'HH:MM' ('' si falta la hora de inicio). */
+    get horaFin() {
+        return calcularHoraFin(this.hora_reserva, this.duracion);
+    }
+
+    /** @returns {string} Nombre completo del paciente. */
+    get nombreCompleto() {
+        return this.paciente.nombreCompleto;
+    }
+
+    /** @returns {number|null} Edad del paciente. */
+    get edadPaciente() {
+        return this.paciente.edad;
+    }
+
+    /**
+     * Valida la cita y los datos del paciente con el esquema común.
+     * @param {Object} [opciones]
+     * @param {boolean} [opciones.historico=false] - Registro histórico: acepta fechas pasadas y recursos dados de baja.
+     * @param {Object} [opciones.ajustes] - Ajustes de la clínica para comprobar el horario de apertura.
+     * @returns {Array<ErrorValidacion>} Lista de errores (vacía si es válida).
+     */
+    validate(opciones = {}) {
+        return validarConEsquema(this.toJSON(), ESQUEMA_CITA, opciones);
+    }
+
+    /** @returns {Object} Representación plana para almacenamiento (formato histórico). */
+    toJSON() {
+        const json = {
+            ...this.paciente.toJSON(),
+            fecha_reserva: this.fecha_reserva,
+            hora_reserva: this.hora_reserva,
+            recurso_id: this.recurso_id,
+            tratamiento: this.tratamiento,
+            duracion: this.duracion,
+            observaciones: this.observaciones,
+            estado: this.estado,
+            historial_estados: this.historial_estados.map(cambio => ({ ...cambio })),
+            revision: this.revision
+        };
+        if (this.id) json.id = this.id;
+        if (this.serie_id) json.serie_id = this.serie_id;
+        return json;
+    }
+
+    /**
+     * @param {Object} json - Objeto plano de una cita.
+     * @returns {Cita}
+     */
+    static fromJSON(json) {
+        return json instanceof Cita ? json : new Cita(json);
+    }
+}
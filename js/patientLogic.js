@@ -0,0 +1,193 @@
+/**
+ * js/patientLogic.js
+ * Lógica para la página de pacientes (patient.html): listado y ficha con historial de citas.
+ */
+
+import { obtenerPacientes, obtenerPaciente, guardarPaciente, obtenerCitasDePaciente, alCambiarDatos } from './storage.js';
+import { exigirDesbloqueo } from './lockScreen.js';
+import { Paciente } from './models.js';
+import { escapeHTML, formatearFecha, mostrarErroresFormulario } from './utils.js';
+import { ordenarCitas, separarCitasPorEstado } from './agenda.js';
+import { ESTADOS_CITA } from './appointmentStatus.js';
+
+/** @typedef {import('./models.js').Cita} Cita */
+
+/**
+ * Genera el HTML de una fila del listado de pacientes
+ * @param {Paciente} paciente
+ * @returns {string} HTML del elemento
+ */
+function createPacienteItemHTML(paciente) {
+    return `
+        <article class="cita-card">
+            <div class="cita-header">
+                <a href="patient.html?dni=${encodeURIComponent(paciente.dni)}" class="cita-fecha cita-paciente-link">
+                    ${escapeHTML(paciente.nombreCompleto)}
+                </a>
+                <span class="cita-id">DNI: ${escapeHTML(paciente.dni)}</span>
+            </div>
+        </article>`;
+}
+
+/**
+ * Genera el HTML resumido de una cita del historial del paciente
+ * @param {Cita} cita
+ * @returns {string} HTML de la tarjeta
+ */
+function createHistorialItemHTML(cita) {
+    const idSaneado = escapeHTML(cita.id);
+    const obsHtml = cita.observaciones ?
+        `<div class="cita-footer"><p>Obs: ${escapeHTML(cita.observaciones)}</p></div>` :
+        '';
+
+    return `
+        <article class="cita-card cita-card--${escapeHTML(cita.estado)}" data-cita-id="${idSaneado}">
+            <div class="cita-header">
+                <div>
+                    <span class="cita-fecha">${formatearFecha(cita.fecha_reserva)}</span>
+                    <span class="cita-hora">${escapeHTML(`${cita.hora_reserva} – ${cita.horaFin}`)}</span>
+                    <span class="cita-estado cita-estado--${escapeHTML(cita.estado)}">${escapeHTML(ESTADOS_CITA[cita.estado] ?? cita.estado)}</span>
+                </div>
+                <a href="index.html?edit=${encodeURIComponent(cita.id)}" class="cita-id">ID: ${idSaneado}</a>
+            </div>
+            ${obsHtml}
+        </article>`;
+}
+
+function setupPatientPageLogic() {
+    const listSection = document.getElementById('patient-list-section');
+    const detailSection = document.getElementById('patient-detail-section');
+    if (!listSection || !detailSection) return;
+
+    const dni = new URLSearchParams(window.location.search).get('dni');
+
+    // --- LISTADO DE PACIENTES ---
+    const setupListado = async () => {
+        const list = document.getElementById('patient-list');
+        const searchInput = document.getElementById('searchPacientes');
+        listSection.hidden = false;
+
+        let pacientes;
+        const cargarPacientes = async () => {
+            pacientes = (await obtenerPacientes())
+                .sort((a, b) => a.nombreCompleto.localeCompare(b.nombreCompleto, 'es'));
+        };
+        try {
+            await cargarPacientes();
+        } catch (e) {
+            list.innerHTML = `<p class="status-message">Error al cargar los pacientes: ${escapeHTML(e.message)}</p>`;
+            return;
+        }
+
+        const renderPacientes = (filtro = '') => {
+            const query = filtro.toLowerCase().trim();
+            const visibles = pacientes.filter(p => `${p.nombreCompleto} ${p.dni}`.toLowerCase().includes(query));
+            list.innerHTML = visibles.length > 0
+                ? visibles.map(createPacienteItemHTML).join('')
+                : '<p class="status-message">No hay pacientes registrados.</p>';
+        };
+
+        searchInput?.addEventListener('input', (e) => renderPacientes(e.target.value));
+        renderPacientes();
+
+        // Altas o correcciones hechas en otra pestaña
+        alCambiarDatos(() => {
+            cargarPacientes()
+                .then(() => renderPacientes(searchInput?.value ?? ''))
+                .catch(e => console.error("No se pudo actualizar el listado de pacientes.", e));
+        });
+    };
+
+    // --- FICHA DE PACIENTE ---
+    const setupFicha = async () => {
+        const form = document.getElementById('patientForm');
+        const errorMsg = form.querySelector('.error-mensaje');
+        const statusMsg = form.querySelector('.status-message');
+        const title = document.getElementById('patientTitle');
+        const citasContainer = document.getElementById('patient-citas');
+        detailSection.hidden = false;
+
+        const displayError = (message) => {
+            errorMsg.textContent = message;
+            errorMsg.style.display = 'block';
+        };
+
+        const renderHistorial = async () => {
+            const citas = ordenarCitas(await obtenerCitasDePaciente(dni));
+            if (citas.length === 0) {
+                citasContainer.innerHTML = '<p class="status-message">Este paciente no tiene citas.</p>';
+                return;
+            }
+            const { futuras, pasadas } = separarCitasPorEstado(citas);
+            citasContainer.innerHTML = `
+                <h2 class="section-title">📅 Próximas Citas (${futuras.length})</h2>
+                ${futuras.map(createHistorialItemHTML).join('') || '<p class="status-message">Sin citas próximas.</p>'}
+                <h2 class="section-title">📋 Citas Pasadas (${pasadas.length})</h2>
+                ${pasadas.reverse().map(createHistorialItemHTML).join('') || '<p class="status-message">Sin citas pasadas.</p>'}
+            `;
+        };
+
+        let paciente;
+        try {
+            paciente = await obtenerPaciente(dni);
+        } catch (e) {
+            displayError(`Error al cargar el paciente: ${e.message}`);
+            return;
+        }
+
+        if (!paciente) {
+            form.hidden = true;
+            citasContainer.innerHTML = `<p class="status-message">No existe ningún paciente con DNI/NIE ${escapeHTML(dni)}.</p>`;
+            return;
+        }
+
+        title.textContent = `Ficha de ${paciente.nombreCompleto}`;
+        Object.entries(paciente.toJSON()).forEach(([key, value]) => {
+            if (form.elements[key]) form.elements[key].value = value;
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            errorMsg.style.display = 'none';
+            statusMsg.textContent = '';
+
+            const corregido = new Paciente({ ...Object.fromEntries(new FormData(form).entries()), dni: paciente.dni });
+            const errores = corregido.validate();
+            const primerInvalido = mostrarErroresFormulario(form, errores);
+            if (errores.length > 0) {
+                displayError('Error: Revise los campos marcados antes de guardar.');
+                primerInvalido?.focus();
+                return;
+            }
+
+            try {
+                const actualizadas = await guardarPaciente(corregido);
+                paciente = corregido;
+                title.textContent = `Ficha de ${paciente.nombreCompleto}`;
+                statusMsg.textContent = `Datos guardados. ${actualizadas} cita(s) actualizada(s).`;
+                await renderHistorial();
+            } catch (error) {
+                displayError(`Error al guardar el paciente: ${error.message}`);
+            }
+        });
+
+        await renderHistorial();
+        // Citas de este paciente creadas, movidas o borradas en otra pestaña
+        alCambiarDatos(() => {
+            renderHistorial().catch(e => console.error("No se pudo actualizar el historial del paciente.", e));
+        });
+    };
+
+    if (dni) {
+        setupFicha();
+    } else {
+        setupListado();
+    }
+}
+
+// Con los datos cifrados, nada se lee hasta introducir la frase de la clínica
+document.addEventListener('DOMContentLoaded', () => {
+    exigirDesbloqueo()
+        .then(setupPatientPageLogic)
+        .catch(e => alert(`Error: No se pueden abrir los datos. ${e.message}`));
+});
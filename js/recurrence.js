@@ -0,0 +1,173 @@
+/**
+ * js/recurrence.js
+ * Series de citas periódicas (revisiones de ortodoncia, seguimiento de implantes...).
+ * Las citas de una serie comparten `serie_id`; cada una sigue siendo una cita independiente.
+ */
+
+import { sumarDias, fechaISO } from './utils.js';
+import { Cita } from './models.js';
+
+/**
+ * @typedef {Object} ReglaRepeticion
+ * @property {number} cada - Intervalo entre citas (en la unidad indicada).
+ * @property {'dias'|'semanas'|'meses'} unidad
+ * @property {'veces'|'hasta'} fin - Termina tras un número de citas o en una fecha.
+ * @property {number} [veces] - Número total de citas, incluida la primera.
+ * @property {string} [hasta] - Última fecha posible 'YYYY-MM-DD' (incluida).
+ */
+
+export const UNIDADES_REPETICION = {
+    dias: 'Días',
+    semanas: 'Semanas',
+    meses: 'Meses'
+};
+
+// Opciones al editar o borrar una cita que pertenece a una serie
+export const ALCANCES_SERIE = {
+    una: 'Solo esta cita',
+    siguientes: 'Esta y las siguientes',
+    serie: 'Toda la serie'
+};
+
+// Límite de citas por serie: evita generar cientos de reservas por un error al teclear
+export const MAX_CITAS_SERIE = 52;
+
+/**
+ * Comprueba una regla de repetición.
+ * Los errores usan los nombres de los campos del formulario para mostrarse junto a ellos.
+ * @param {ReglaRepeticion} regla
+ * @param {string} fechaInicio - Fecha de la primera cita.
+ * @returns {Array<{campo: string, mensaje: string}>}
+ */
+export function validarRegla(regla, fechaInicio) {
+    const errores = [];
+    if (!Number.isInteger(regla.cada) || regla.cada < 1 || regla.cada > 365) {
+        errores.push({ campo: 'repetir_cada', mensaje: 'El intervalo debe ser un número entero entre 1 y 365.' });
+    }
+    if (!(regla.unidad in UNIDADES_REPETICION)) {
+        errores.push({ campo: 'repetir_unidad', mensaje: 'La unidad de repetición no es válida.' });
+    }
+    if (regla.fin === 'hasta') {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(regla.hasta ?? '')) {
+            errores.push({ campo: 'repetir_hasta', mensaje: 'Indique la fecha de la última cita de la serie.' });
+        } else if (fechaInicio && regla.hasta <= fechaInicio) {
+            errores.push({ campo: 'repetir_hasta', mensaje: 'La fecha final debe ser posterior a la primera cita.' });
+        }
+    } else if (!Number.isInteger(regla.veces) || regla.veces < 2 || regla.veces > MAX_CITAS_SERIE) {
+        errores.push({ campo: 'repetir_veces', mensaje: `El número de citas debe estar entre 2 y ${MAX_CITAS_SERIE}.` });
+    }
+    return errores;
+}
+
+/**
+ * Fecha de la repetición número n contando desde la primera.
+ * En las series mensuales se mantiene el día del mes; si el mes es más corto
+ * (p. ej. día 31 en abril) se usa su último día.
+ * @param {string} fechaInicio
+ * @param {ReglaRepeticion} regla
+ * @param {number} n
+ * @returns {string}
+ */
+function fechaRepeticion(fechaInicio, regla, n) {
+    if (regla.unidad === 'dias') return sumarDias(fechaInicio, n * regla.cada);
+    if (regla.unidad === 'semanas') return sumarDias(fechaInicio, n * regla.cada * 7);
+
+    const [anio, mes, dia] = fechaInicio.split('-').map(Number);
+    const ultimoDiaMes = new Date(anio, mes - 1 + n * regla.cada + 1, 0).getDate();
+    return fechaISO(new Date(anio, mes - 1 + n * regla.cada, Math.min(dia, ultimoDiaMes)));
+}
+
+/**
+ * Genera las fechas de una serie a partir de la primera.
+ * @param {string} fechaInicio - 'YYYY-MM-DD'.
+ * @param {ReglaRepeticion} regla - Regla ya validada.
+ * @returns {Array<string>} Fechas en orden, empezando por fechaInicio (como máximo MAX_CITAS_SERIE).
+ */
+export function generarFechasSerie(fechaInicio, regla) {
+    const fechas = [];
+    for (let n = 0; n < MAX_CITAS_SERIE; n++) {
+        const fecha = fechaRepeticion(fechaInicio, regla, n);
+        if (regla.fin === 'hasta' ? fecha > regla.hasta : n >= regla.veces) break;
+        fechas.push(fecha);
+    }
+    return fechas;
+}
+
+/**
+ * Crea un identificador nuevo de serie.
+ * @returns {string}
+ */
+export function generarIdSerie() {
+    return `serie-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Crea las citas de una serie nueva a partir de la primera (aún sin guardar ni comprobar).
+ * @param {Cita} primera - Cita con la fecha de inicio y el resto de datos comunes.
+ * @param {ReglaRepeticion} regla - Regla ya validada.
+ * @returns {Array<Cita>} Una cita por fecha, todas con el mismo `serie_id`.
+ */
+export function crearCitasSerie(primera, regla) {
+    const serieId = generarIdSerie();
+    return generarFechasSerie(primera.fecha_reserva, regla).map(fecha => new Cita({
+        ...primera.toJSON(),
+        fecha_reserva: fecha,
+        serie_id: serieId
+    }));
+}
+
+/**
+ * Citas de la misma serie que la indicada (incluida ella), ordenadas por fecha.
+ * @param {Array<Cita>} citas
+ * @param {Cita} cita
+ * @returns {Array<Cita>} Vacío si la cita no pertenece a ninguna serie.
+ */
+export function citasDeLaSerie(citas, cita) {
+    if (!cita.serie_id) return [];
+    return citas
+        .filter(c => c.serie_id === cita.serie_id)
+        .sort((a, b) => `${a.fecha_reserva}T${a.hora_reserva}`.localeCompare(`${b.fecha_reserva}T${b.hora_reserva}`));
+}
+
+/**
+ * Citas afectadas al editar o borrar una cita de una serie con el alcance elegido.
+ * @param {Array<Cita>} citas - Todas las citas.
+ * @param {Cita} cita - Cita sobre la que se actúa.
+ * @param {'una'|'siguientes'|'serie'} alcance
+ * @returns {Array<Cita>}
+ */
+export function citasAfectadas(citas, cita, alcance) {
+    const serie = citasDeLaSerie(citas, cita);
+    if (alcance === 'una' || serie.length === 0) return citas.filter(c => c.id === cita.id);
+    if (alcance === 'siguientes') {
+        return serie.filter(c => `${c.fecha_reserva}T${c.hora_reserva}` >= `${cita.fecha_reserva}T${cita.hora_reserva}`);
+    }
+    return serie;
+}
+
+/**
+ * Aplica a varias citas de una serie los cambios hechos en una de ellas.
+ * El cambio de fecha se traslada como desplazamiento (mover una cita dos días
+ * mueve las demás dos días); el resto de campos se copian tal cual, salvo el estado,
+ * que es propio de cada cita.
+ * @param {Cita} original - Cita editada, tal como estaba guardada.
+ * @param {Cita} editada - La misma cita con los cambios del formulario.
+ * @param {Array<Cita>} afectadas - Citas de la serie a las que se aplican los cambios.
+ * @param {string} serieId - Serie a la que quedan asignadas.
+ * @returns {Array<Cita>} Citas actualizadas (la editada incluida), con sus IDs.
+ */
+export function aplicarCambiosASerie(original, editada, afectadas, serieId) {
+    const desplazamiento = Math.round(
+        (new Date(`${editada.fecha_reserva}T00:00:00`) - new Date(`${original.fecha_reserva}T00:00:00`)) / 86400000
+    );
+    return afectadas.map(cita => new Cita({
+        ...editada.toJSON(),
+        id: cita.id,
+        fecha_reserva: cita.id === original.id ? editada.fecha_reserva : sumarDias(cita.fecha_reserva, desplazamiento),
+        serie_id: serieId,
+        estado: cita.estado,
+        historial_estados: cita.historial_estados,
+        // La cita del formulario lleva la revisión con la que se abrió; las demás, la guardada
+        revision: cita.id === original.id ? editada.revision : cita.revision
+    }));
+}
@@ -0,0 +1,197 @@
+/**
+ * js/reminders.js
+ * Recordatorios de cita para los pacientes: plantillas editables con marcadores,
+ * enlaces para enviarlos (correo, SMS, WhatsApp, llamada) y registro de los enviados.
+ */
+
+import { CONFIG } from './config.js';
+import { obtenerPlantillasRecordatorio, guardarPlantillasRecordatorio } from './storage.js';
+import { nombreRecurso, nombreTratamiento, DIAS_SEMANA } from './scheduling.js';
+import { formatearFecha } from './utils.js';
+
+/** @typedef {import('./models.js').Cita} Cita */
+
+/**
+ * @typedef {Object} PlantillasRecordatorio
+ * @property {string} asunto - Asunto del correo electrónico.
+ * @property {string} mensaje - Texto del recordatorio (correo, SMS, WhatsApp o guion de la llamada).
+ */
+
+/**
+ * @typedef {Object} RecordatorioEnviado
+ * @property {string} cita_id
+ * @property {string} fecha_reserva - Fecha de la cita recordada (si la cita se mueve, hay que volver a avisar).
+ * @property {string} hora_reserva
+ * @property {string} canal - Clave de CANALES_RECORDATORIO.
+ * @property {string} fecha_envio - ISO 8601.
+ * @property {string} recepcionista
+ */
+
+// Marcadores que se pueden usar en las plantillas, con su descripción
+export const MARCADORES_RECORDATORIO = {
+    nombre: 'Nombre del paciente',
+    apellidos: 'Apellidos del paciente',
+    dia: 'Día de la semana de la cita',
+    fecha: 'Fecha de la cita (DD/MM/AAAA)',
+    hora: 'Hora de la cita',
+    dentista: 'Dentista o sillón',
+    tratamiento: 'Tratamiento',
+    clinica: 'Nombre de la clínica',
+    direccion: 'Dirección de la clínica',
+    telefono_clinica: 'Teléfono de la clínica'
+};
+
+export const CANALES_RECORDATORIO = {
+    llamada: 'Llamada',
+    sms: 'SMS',
+    whatsapp: 'WhatsApp',
+    email: 'Correo electrónico',
+    copiado: 'Texto copiado'
+};
+
+/** @type {PlantillasRecordatorio} */
+export const PLANTILLAS_POR_DEFECTO = {
+    asunto: 'Recordatorio de su cita del {fecha} a las {hora}',
+    mensaje: 'Hola {nombre}, le recordamos su cita en {clinica} el {dia} {fecha} a las {hora} con {dentista}. ' +
+        'Dirección: {direccion}. Si no puede venir, llámenos al {telefono_clinica}.'
+};
+
+// Estados en los que la cita sigue en pie y tiene sentido recordarla
+const ESTADOS_A_RECORDAR = ['pendiente', 'confirmada'];
+
+const MARCADOR = /\{(\w+)\}/g;
+
+/**
+ * Valores de los marcadores para una cita.
+ * @param {Cita} cita
+ * @returns {Object<string, string>}
+ */
+export function datosRecordatorio(cita) {
+    const { clinica } = CONFIG;
+    return {
+        nombre: cita.paciente.nombre,
+        apellidos: cita.paciente.apellidos,
+        dia: (DIAS_SEMANA[new Date(`${cita.fecha_reserva}T00:00:00`).getDay()] ?? '').toLowerCase(),
+        fecha: formatearFecha(cita.fecha_reserva),
+        hora: cita.hora_reserva,
+        dentista: nombreRecurso(cita.recurso_id),
+        tratamiento: nombreTratamiento(cita.tratamiento) || 'su tratamiento',
+        clinica: clinica.nombre,
+        direccion: clinica.direccion,
+        telefono_clinica: clinica.telefono
+    };
+}
+
+/**
+ * Sustituye los marcadores {nombre}, {fecha}... de una plantilla. Los desconocidos se dejan tal cual.
+ * @param {string} plantilla
+ * @param {Object<string, string>} datos - Ver datosRecordatorio.
+ * @returns {string}
+ */
+export function rellenarPlantilla(plantilla, datos) {
+    return plantilla.replace(MARCADOR, (marcador, clave) => (Object.hasOwn(datos, clave) ? datos[clave] ?? marcador : marcador));
+}
+
+/**
+ * Comprueba que las plantillas tengan texto y solo usen marcadores conocidos.
+ * @param {PlantillasRecordatorio} plantillas
+ * @returns {Array<string>} Lista de errores (vacía si son válidas).
+ */
+export function validarPlantillas(plantillas) {
+    const errores = [];
+    if (!plantillas.mensaje?.trim()) errores.push('El mensaje del recordatorio no puede estar vacío.');
+    Object.entries({ asunto: 'El asunto', mensaje: 'El mensaje' }).forEach(([campo, nombre]) => {
+        const desconocidos = [...(plantillas[campo] ?? '').matchAll(MARCADOR)]
+            .map(m => m[0])
+            .filter(m => !Object.hasOwn(MARCADORES_RECORDATORIO, m.slice(1, -1)));
+        if (desconocidos.length > 0) {
+            errores.push(`${nombre} usa marcadores desconocidos: ${[...new Set(desconocidos)].join(', ')}.`);
+        }
+    });
+    return errores;
+}
+
+/**
+ * Obtiene las plantillas guardadas, completadas con las predeterminadas.
+ * @returns {Promise<PlantillasRecordatorio>}
+ */
+export async function obtenerPlantillas() {
+    const guardadas = await obtenerPlantillasRecordatorio();
+    const plantillas = { ...PLANTILLAS_POR_DEFECTO, ...guardadas };
+    if (validarPlantillas(plantillas).length > 0) {
+        console.error("Plantillas de recordatorio no válidas, se usan las predeterminadas.");
+        return { ...PLANTILLAS_POR_DEFECTO };
+    }
+    return plantillas;
+}
+
+/**
+ * Valida y guarda las plantillas.
+ * @param {PlantillasRecordatorio} plantillas
+ * @returns {Promise<void>}
+ * @throws {Error} Si no son válidas.
+ */
+export async function guardarPlantillas(plantillas) {
+    const errores = validarPlantillas(plantillas);
+    if (errores.length > 0) throw new Error(errores.join(' '));
+    await guardarPlantillasRecordatorio({ asunto: plantillas.asunto.trim(), mensaje: plantillas.mensaje.trim() });
+}
+
+/**
+ * Teléfono en formato internacional sin '+' ni separadores (p. ej. '34612345678').
+ * @param {string} telefono - Tal como se guardó en la cita.
+ * @returns {string}
+ */
+export function telefonoInternacional(telefono) {
+    const limpio = String(telefono ?? '').replace(/[\s\-.()]/g, '');
+    if (limpio.startsWith('+')) return limpio.slice(1);
+    if (limpio.startsWith('00')) return limpio.slice(2);
+    return `${CONFIG.clinica.prefijoTelefono}${limpio}`;
+}
+
+/**
+ * Mensaje y enlaces para enviar el recordatorio de una cita.
+ * El correo se abre sin destinatario: la ficha del paciente no guarda su dirección.
+ * @param {Cita} cita
+ * @param {PlantillasRecordatorio} plantillas
+ * @returns {{asunto: string, mensaje: string, enlaces: {llamada: string, sms: string, whatsapp: string, email: string}}}
+ */
+export function prepararRecordatorio(cita, plantillas) {
+    const datos = datosRecordatorio(cita);
+    const asunto = rellenarPlantilla(plantillas.asunto, datos);
+    const mensaje = rellenarPlantilla(plantillas.mensaje, datos);
+    const telefono = telefonoInternacional(cita.paciente.telefono);
+    return {
+        asunto,
+        mensaje,
+        enlaces: {
+            llamada: `tel:+${telefono}`,
+            sms: `sms:+${telefono}?body=${encodeURIComponent(mensaje)}`,
+            whatsapp: `https://wa.me/${telefono}?text=${encodeURIComponent(mensaje)}`,
+            email: `mailto:?subject=${encodeURIComponent(asunto)}&body=${encodeURIComponent(mensaje)}`
+        }
+    };
+}
+
+/**
+ * Citas de un día a las que hay que enviar recordatorio (las que siguen en pie), por hora.
+ * @param {Array<Cita>} citas
+ * @param {string} fecha - 'YYYY-MM-DD'.
+ * @returns {Array<Cita>}
+ */
+export function citasParaRecordar(citas, fecha) {
+    return citas
+        .filter(c => c.fecha_reserva === fecha && ESTADOS_A_RECORDAR.includes(c.estado))
+        .sort((a, b) => a.hora_reserva.localeCompare(b.hora_reserva) || a.recurso_id.localeCompare(b.recurso_id));
+}
+
+/**
+ * Recordatorios ya enviados para una cita en su fecha y hora actuales.
+ * @param {Array<RecordatorioEnviado>} registros
+ * @param {Cita} cita
+ * @returns {Array<RecordatorioEnviado>}
+ */
+export function enviosDeCita(registros, cita) {
+    return registros.filter(r =>
+        r.cita_id === cita.id && r.fecha_reserva === cita.fecha_reserva && r.hora_reserva === cita.hora_reserva);
+}
@@ -0,0 +1,202 @@
+/**
+ * js/remindersLogic.js
+ * Lógica para la página de recordatorios (reminders.html): mensajes para las citas de un día
+ * (por defecto, mañana), enlaces para enviarlos y edición de las plantillas.
+ */
+
+import { obtenerCitas, obtenerRecordatoriosEnviados, registrarRecordatorio, alCambiarDatos } from './storage.js';
+import { exigirDesbloqueo } from './lockScreen.js';
+import {
+    obtenerPlantillas, guardarPlantillas, prepararRecordatorio, citasParaRecordar, enviosDeCita,
+    PLANTILLAS_POR_DEFECTO, MARCADORES_RECORDATORIO, CANALES_RECORDATORIO
+} from './reminders.js';
+import { nombreRecurso } from './scheduling.js';
+import { recepcionistaActivo } from './auditLog.js';
+import { escapeHTML, formatearFecha, fechaISO, sumarDias, mostrarAviso } from './utils.js';
+
+/** @typedef {import('./models.js').Cita} Cita */
+/** @typedef {import('./reminders.js').RecordatorioEnviado} RecordatorioEnviado */
+
+/**
+ * Genera el HTML del recordatorio de una cita
+ * @param {Cita} cita
+ * @param {{mensaje: string, enlaces: Object<string, string>}} recordatorio
+ * @param {Array<RecordatorioEnviado>} envios - Recordatorios ya enviados para esta cita.
+ * @returns {string} HTML de la tarjeta
+ */
+function createRecordatorioHTML(cita, { mensaje, enlaces }, envios) {
+    const idSaneado = escapeHTML(cita.id);
+    const nombreSaneado = escapeHTML(cita.nombreCompleto);
+    const ultimo = envios[envios.length - 1];
+    const estadoEnvio = ultimo
+        ? `<p class="recordatorio-enviado">✓ ${escapeHTML(CANALES_RECORDATORIO[ultimo.canal] ?? ultimo.canal)} · ${escapeHTML(new Date(ultimo.fecha_envio).toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' }))} · ${escapeHTML(ultimo.recepcionista || 'Recepción sin identificar')}${envios.length > 1 ? ` (${envios.length} avisos)` : ''}</p>`
+        : '<p class="recordatorio-pendiente">Sin avisar</p>';
+    const enlace = (canal, texto, externo = false) =>
+        `<a href="${escapeHTML(enlaces[canal])}" class="cita-button" data-canal="${canal}" data-id="${idSaneado}"${externo ? ' target="_blank" rel="noopener"' : ''} aria-label="${escapeHTML(`${texto}: ${cita.nombreCompleto}`)}">${texto}</a>`;
+
+    return `
+        <article class="cita-card${ultimo ? ' cita-card--avisada' : ''}" data-cita-id="${idSaneado}">
+            <div class="cita-header">
+                <div>
+                    <span class="cita-hora">${escapeHTML(cita.hora_reserva)}</span>
+                    <a href="patient.html?dni=${encodeURIComponent(cita.paciente.dni)}" class="cita-fecha cita-paciente-link">${nombreSaneado}</a>
+                </div>
+                <span class="cita-id">${escapeHTML(nombreRecurso(cita.recurso_id))} · Tel. ${escapeHTML(cita.paciente.telefono)}</span>
+            </div>
+            <div class="cita-body">
+                <p class="recordatorio-mensaje">${escapeHTML(mensaje)}</p>
+                ${estadoEnvio}
+            </div>
+            <div class="cita-actions" role="group" aria-label="Enviar recordatorio">
+                <button type="button" class="cita-button" data-canal="copiado" data-id="${idSaneado}" aria-label="Copiar el mensaje para ${nombreSaneado}">📋 Copiar</button>
+                ${enlace('llamada', '📞 Llamar')}
+                ${enlace('sms', '💬 SMS')}
+                ${enlace('whatsapp', '🟢 WhatsApp', true)}
+                ${enlace('email', '✉️ Correo')}
+            </div>
+        </article>`;
+}
+
+function setupRemindersPageLogic() {
+    const lista = document.getElementById('reminders-list');
+    const fechaInput = document.getElementById('fechaRecordatorios');
+    const resumen = document.getElementById('resumenRecordatorios');
+    const form = document.getElementById('templatesForm');
+    if (!lista || !fechaInput || !form) return;
+
+    const errorMsg = form.querySelector('.error-mensaje');
+    const statusMsg = form.querySelector('.status-message');
+    const restaurarBtn = document.getElementById('restaurarPlantillas');
+
+    // Se preparan los recordatorios de mañana salvo que la URL indique otro día (?fecha=AAAA-MM-DD)
+    const fechaURL = new URLSearchParams(window.location.search).get('fecha') ?? '';
+    fechaInput.value = /^\d{4}-\d{2}-\d{2}$/.test(fechaURL) ? fechaURL : sumarDias(fechaISO(new Date()), 1);
+
+    // Mensajes de las citas pintadas, por ID (para copiarlos sin volver a calcularlos)
+    let mensajes = new Map();
+
+    const renderRecordatorios = async () => {
+        const fecha = fechaInput.value;
+        if (!fecha) {
+            lista.innerHTML = '<p class="status-message">Elija un día.</p>';
+            resumen.textContent = '';
+            return;
+        }
+        const [citas, plantillas, registros] = await Promise.all([obtenerCitas(), obtenerPlantillas(), obtenerRecordatoriosEnviados()]);
+        const delDia = citasParaRecordar(citas, fecha);
+        mensajes = new Map();
+
+        if (delDia.length === 0) {
+            lista.innerHTML = `<p class="status-message">No hay citas pendientes el ${formatearFecha(fecha)}.</p>`;
+            resumen.textContent = '';
+            return;
+        }
+
+        let avisadas = 0;
+        lista.innerHTML = delDia.map(cita => {
+            const recordatorio = prepararRecordatorio(cita, plantillas);
+            const envios = enviosDeCita(registros, cita);
+            if (envios.length > 0) avisadas++;
+            mensajes.set(cita.id, { cita, ...recordatorio });
+            return createRecordatorioHTML(cita, recordatorio, envios);
+        }).join('');
+        resumen.textContent = `${avisadas} de ${delDia.length} pacientes avisados.`;
+    };
+
+    /**
+     * Anota el envío de un recordatorio y actualiza la lista.
+     * @param {string} id - ID de la cita.
+     * @param {string} canal
+     */
+    const anotarEnvio = async (id, canal) => {
+        const { cita } = mensajes.get(id) ?? {};
+        if (!cita) return;
+        await registrarRecordatorio({
+            cita_id: cita.id,
+            fecha_reserva: cita.fecha_reserva,
+            hora_reserva: cita.hora_reserva,
+            canal,
+            fecha_envio: new Date().toISOString(),
+            recepcionista: recepcionistaActivo()
+        });
+        await renderRecordatorios();
+    };
+
+    lista.addEventListener('click', async (e) => {
+        const control = e.target.closest('[data-canal]');
+        if (!control) return;
+        const { id, canal } = control.dataset;
+        try {
+            if (canal === 'copiado') {
+                await navigator.clipboard.writeText(mensajes.get(id)?.mensaje ?? '');
+                mostrarAviso('Mensaje copiado al portapapeles.');
+            }
+            // Los enlaces se abren con su comportamiento normal; aquí solo se anota el aviso
+            await anotarEnvio(id, canal);
+        } catch (error) {
+            alert(`Error: No se pudo ${canal === 'copiado' ? 'copiar el mensaje' : 'anotar el recordatorio'}. ${error.message}`);
+        }
+    });
+
+    fechaInput.addEventListener('change', () => {
+        renderRecordatorios().catch(e => console.error("No se pudieron cargar los recordatorios.", e));
+    });
+
+    // --- Plantillas ---
+    document.getElementById('marcadoresNota').innerHTML = `Marcadores disponibles: ${Object.entries(MARCADORES_RECORDATORIO)
+        .map(([clave, descripcion]) => `<code>{${clave}}</code> ${escapeHTML(descripcion.toLowerCase())}`)
+        .join(', ')}.`;
+
+    const rellenarFormulario = (plantillas) => {
+        form.elements.asunto.value = plantillas.asunto;
+        form.elements.mensaje.value = plantillas.mensaje;
+    };
+
+    /**
+     * Guarda las plantillas y vuelve a generar los mensajes.
+     * @param {import('./reminders.js').PlantillasRecordatorio} plantillas
+     * @param {string} confirmacion - Texto que se muestra al guardar.
+     */
+    const aplicarPlantillas = async (plantillas, confirmacion) => {
+        errorMsg.style.display = 'none';
+        statusMsg.textContent = '';
+        try {
+            await guardarPlantillas(plantillas);
+        } catch (error) {
+            errorMsg.textContent = `Error: ${error.message}`;
+            errorMsg.style.display = 'block';
+            return;
+        }
+        rellenarFormulario(await obtenerPlantillas());
+        statusMsg.textContent = confirmacion;
+        await renderRecordatorios();
+    };
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        aplicarPlantillas({ asunto: form.elements.asunto.value, mensaje: form.elements.mensaje.value }, 'Plantillas guardadas.')
+            .catch(error => console.error("No se pudieron guardar las plantillas.", error));
+    });
+
+    restaurarBtn?.addEventListener('click', () => {
+        if (!confirm('¿Sustituir los textos actuales por los predeterminados?')) return;
+        aplicarPlantillas(PLANTILLAS_POR_DEFECTO, 'Se han restaurado los textos predeterminados.')
+            .catch(error => console.error("No se pudieron restaurar las plantillas.", error));
+    });
+
+    obtenerPlantillas()
+        .then(rellenarFormulario)
+        .catch(e => console.error("No se pudieron cargar las plantillas.", e));
+    renderRecordatorios().catch(e => console.error("No se pudieron cargar los recordatorios.", e));
+    // Citas cambiadas o recordatorios anotados en otra pestaña
+    alCambiarDatos(() => {
+        renderRecordatorios().catch(e => console.error("No se pudieron cargar los recordatorios.", e));
+    });
+}
+
+// Con los datos cifrados, nada se lee hasta introducir la frase de la clínica
+document.addEventListener('DOMContentLoaded', () => {
+    exigirDesbloqueo()
+        .then(setupRemindersPageLogic)
+        .catch(e => alert(`Error: No se pueden abrir los datos. ${e.message}`));
+});
@@ -0,0 +1,282 @@
+/**
+ * js/scheduling.js
+ * Recursos de la clínica (dentistas y sillones), tratamientos, horario de apertura y detección de conflictos.
+ */
+
+import { CONFIG } from './config.js';
+import { escapeHTML, formatearFecha } from './utils.js';
+import { ocupaHueco } from './appointmentStatus.js';
+
+/** @typedef {import('./models.js').Cita} Cita */
+/** @typedef {import('./clinicSettings.js').AjustesClinica} AjustesClinica */
+
+/**
+ * @typedef {Object} Recurso
+ * @property {string} id - Identificador estable (se guarda en cada cita).
+ * @property {'dentista'|'sillon'} tipo - Tipo de recurso.
+ * @property {string} nombre - Nombre visible.
+ */
+
+export const TIPOS_RECURSO = {
+    dentista: 'Dentistas',
+    sillon: 'Sillones'
+};
+
+/**
+ * Devuelve los recursos configurados.
+ * @returns {Array<Recurso>}
+ */
+export function obtenerRecursos() {
+    return CONFIG.recursos ?? [];
+}
+
+/**
+ * Busca un recurso por su ID.
+ * @param {string} id
+ * @returns {Recurso|null}
+ */
+export function obtenerRecurso(id) {
+    return obtenerRecursos().find(r => r.id === id) ?? null;
+}
+
+/**
+ * Nombre visible de un recurso, también para los que ya no están configurados.
+ * @param {string} id
+ * @returns {string}
+ */
+export function nombreRecurso(id) {
+    const recurso = obtenerRecurso(id);
+    if (recurso) return recurso.nombre;
+    return id ? `Recurso retirado (${id})` : 'Sin recurso';
+}
+
+/**
+ * Genera las opciones de un <select> de recursos agrupadas por tipo.
+ * @param {string} [seleccionado] - ID del recurso seleccionado.
+ * @returns {string} HTML de los <optgroup>.
+ */
+export function opcionesRecursosHTML(seleccionado = '') {
+    return Object.entries(TIPOS_RECURSO).map(([tipo, etiqueta]) => {
+        const opciones = obtenerRecursos()
+            .filter(r => r.tipo === tipo)
+            .map(r => `<option value="${escapeHTML(r.id)}"${r.id === seleccionado ? ' selected' : ''}>${escapeHTML(r.nombre)}</option>`)
+            .join('');
+        return opciones ? `<optgroup label="${etiqueta}">${opciones}</optgroup>` : '';
+    }).join('');
+}
+
+// --- Tratamientos y duración ---
+
+/**
+ * @typedef {Object} Tratamiento
+ * @property {string} id - Identificador estable (se guarda en cada cita).
+ * @property {string} nombre - Nombre visible.
+ * @property {number} duracion - Duración por defecto en minutos.
+ */
+
+/**
+ * Devuelve los tratamientos configurados.
+ * @returns {Array<Tratamiento>}
+ */
+export function obtenerTratamientos() {
+    return CONFIG.tratamientos ?? [];
+}
+
+/**
+ * Busca un tratamiento por su ID.
+ * @param {string} id
+ * @returns {Tratamiento|null}
+ */
+export function obtenerTratamiento(id) {
+    return obtenerTratamientos().find(t => t.id === id) ?? null;
+}
+
+/**
+ * Nombre visible de un tratamiento ('' si la cita no tiene).
+ * @param {string} id
+ * @returns {string}
+ */
+export function nombreTratamiento(id) {
+    if (!id) return '';
+    return obtenerTratamiento(id)?.nombre ?? `Tratamiento retirado (${id})`;
+}
+
+/**
+ * Duración por defecto de una cita con el tratamiento indicado.
+ * @param {string} [tratamientoId]
+ * @returns {number} Minutos.
+ */
+export function duracionPorDefecto(tratamientoId = '') {
+    return obtenerTratamiento(tratamientoId)?.duracion ?? CONFIG.duracionCitaPorDefecto ?? 30;
+}
+
+/**
+ * Genera las opciones de un <select> de tratamientos, indicando su duración.
+ * @param {string} [seleccionado] - ID del tratamiento seleccionado.
+ * @returns {string} HTML de los <option>.
+ */
+export function opcionesTratamientosHTML(seleccionado = '') {
+    return obtenerTratamientos()
+        .map(t => `<option value="${escapeHTML(t.id)}"${t.id === seleccionado ? ' selected' : ''}>${escapeHTML(t.nombre)} (${t.duracion} min)</option>`)
+        .join('');
+}
+
+/**
+ * Hora de fin de una cita.
+ * @param {string} hora - Hora de inicio 'HH:MM'.
+ * @param {number} duracion - Minutos.
+ * @returns {string} 'HH:MM' o '' si la hora no es válida.
+ */
+export function calcularHoraFin(hora, duracion) {
+    const inicio = horaAMinutos(hora);
+    return isNaN(inicio) ? '' : minutosAHora(inicio + (Number(duracion) || 0));
+}
+
+/**
+ * Indica si dos intervalos [inicio, inicio + duración) del mismo día se solapan.
+ * Una cita que empieza justo cuando termina otra no se solapa con ella.
+ * @param {string} horaA
+ * @param {number} duracionA
+ * @param {string} horaB
+ * @param {number} duracionB
+ * @returns {boolean}
+ */
+export function seSolapan(horaA, duracionA, horaB, duracionB) {
+    const inicioA = horaAMinutos(horaA);
+    const inicioB = horaAMinutos(horaB);
+    return inicioA < inicioB + duracionB && inicioB < inicioA + duracionA;
+}
+
+/**
+ * Busca una cita del mismo recurso cuyo horario se solape con el de la cita indicada.
+ * Las citas canceladas no ocupan hueco: ni chocan con otras ni otras chocan con ellas.
+ * @param {Array<Cita>} citas - Citas existentes.
+ * @param {Cita} cita - Cita que se quiere guardar.
+ * @param {string} [idExcluido] - ID de la cita en edición (no choca consigo misma).
+ * @returns {Cita|null} La cita en conflicto o null.
+ */
+export function buscarConflicto(citas, cita, idExcluido = cita.id) {
+    if (!ocupaHueco(cita)) return null;
+    return citas.find(c =>
+        ocupaHueco(c) &&
+        c.id !== idExcluido &&
+        c.recurso_id === cita.recurso_id &&
+        c.fecha_reserva === cita.fecha_reserva &&
+        seSolapan(c.hora_reserva, c.duracion, cita.hora_reserva, cita.duracion)
+    ) ?? null;
+}
+
+// Campos que dependen de la agenda y no de los datos del paciente
+export const CAMPOS_HORARIO = ['fecha_reserva', 'hora_reserva', 'recurso_id', 'tratamiento', 'duracion'];
+
+/**
+ * Comprueba una cita antes de guardarla, tanto desde el formulario como al moverla en el calendario:
+ * primero los campos (fecha no pasada, horario de apertura...) y, si son correctos, los solapes.
+ * @param {Cita} cita - Cita que se quiere guardar.
+ * @param {Array<Cita>} citas - Citas existentes.
+ * @param {AjustesClinica} ajustes - Ajustes de la clínica.
+ * @param {Object} [opciones]
+ * @param {string} [opciones.idExcluido] - ID de la cita que se modifica (por defecto, el de la cita).
+ * @param {boolean} [opciones.soloHorario=false] - Comprueba solo CAMPOS_HORARIO (p. ej. para la
+ *   vista previa de una serie, antes de rellenar los datos del paciente).
+ * @returns {Array<{campo: string, mensaje: string}>} Errores (vacío si se puede guardar).
+ */
+export function comprobarReserva(cita, citas, ajustes, { idExcluido = cita.id, soloHorario = false } = {}) {
+    const errores = cita.validate({ ajustes }).filter(e => !soloHorario || CAMPOS_HORARIO.includes(e.campo));
+    if (errores.length > 0) return errores;
+
+    const conflicto = buscarConflicto(citas, cita, idExcluido);
+    if (!conflicto) return [];
+
+    const nombreConflicto = conflicto.paciente.nombre || 'Otro Paciente';
+    return [{
+        campo: 'hora_reserva',
+        mensaje: `El horario ${cita.hora_reserva}–${cita.horaFin} el ${formatearFecha(cita.fecha_reserva)} de ${nombreRecurso(cita.recurso_id)} se solapa con la cita de ${nombreConflicto} (${conflicto.hora_reserva}–${conflicto.horaFin}).`
+    }];
+}
+
+// --- Horario de apertura ---
+
+export const DIAS_SEMANA = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
+
+/**
+ * Convierte 'HH:MM' en minutos desde medianoche.
+ * @param {string} hora
+ * @returns {number} Minutos o NaN si el formato no es válido.
+ */
+export function horaAMinutos(hora) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(hora ?? '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+}
+
+/**
+ * Convierte minutos desde medianoche en 'HH:MM'.
+ * @param {number} minutos
+ * @returns {string}
+ */
+export function minutosAHora(minutos) {
+    return `${String(Math.floor(minutos / 60)).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Día de la semana de una fecha 'YYYY-MM-DD' (0 = domingo).
+ * @param {string} fecha
+ * @returns {number} Día o NaN si la fecha no es válida.
+ */
+function diaSemana(fecha) {
+    return new Date(`${fecha}T00:00:00`).getDay();
+}
+
+/**
+ * Indica si la clínica abre en una fecha y, si no, por qué.
+ * @param {AjustesClinica} ajustes
+ * @param {string} fecha - 'YYYY-MM-DD'.
+ * @returns {{abierto: boolean, motivo: string}}
+ */
+export function estadoDia(ajustes, fecha) {
+    const dia = diaSemana(fecha);
+    if (isNaN(dia)) return { abierto: false, motivo: 'Fecha no válida' };
+    if (ajustes.festivos.includes(fecha)) return { abierto: false, motivo: 'Festivo' };
+    if ((ajustes.horario[dia] ?? []).length === 0) {
+        const nombre = DIAS_SEMANA[dia].toLowerCase();
+        return { abierto: false, motivo: `Cerrado los ${nombre.endsWith('s') ? nombre : `${nombre}s`}` };
+    }
+    return { abierto: true, motivo: '' };
+}
+
+/**
+ * Genera las horas de inicio de las franjas reservables de una fecha.
+ * @param {AjustesClinica} ajustes
+ * @param {string} fecha - 'YYYY-MM-DD'.
+ * @returns {Array<string>} Horas 'HH:MM' (vacío si la clínica está cerrada).
+ */
+export function generarFranjas(ajustes, fecha) {
+    if (!estadoDia(ajustes, fecha).abierto) return [];
+
+    const franjas = [];
+    ajustes.horario[diaSemana(fecha)].forEach(({ inicio, fin }) => {
+        const minFin = horaAMinutos(fin);
+        for (let m = horaAMinutos(inicio); m + ajustes.duracionFranja <= minFin; m += ajustes.duracionFranja) {
+            franjas.push(minutosAHora(m));
+        }
+    });
+    return franjas;
+}
+
+/**
+ * Comprueba que una cita empiece en una franja del horario de apertura
+ * y termine antes del cierre de ese mismo tramo.
+ * @param {AjustesClinica} ajustes
+ * @param {string} fecha - 'YYYY-MM-DD'.
+ * @param {string} hora - 'HH:MM'.
+ * @param {number} [duracion=0] - Minutos que dura la cita.
+ * @returns {boolean}
+ */
+export function dentroDeHorario(ajustes, fecha, hora, duracion = 0) {
+    if (!generarFranjas(ajustes, fecha).includes(hora)) return false;
+    const inicio = horaAMinutos(hora);
+    const fin = inicio + (Number(duracion) || 0);
+    return ajustes.horario[diaSemana(fecha)].some(tramo =>
+        horaAMinutos(tramo.inicio) <= inicio && fin <= horaAMinutos(tramo.fin)
+    );
+}
@@ -0,0 +1,332 @@
+/**
+ * js/settingsLogic.js
+ * Lógica para la página de ajustes de la clínica (settings.html): horario, festivos, duración de franja,
+ * bloqueo por inactividad, cifrado de los datos de pacientes y perfiles de usuario.
+ */
+
+import { obtenerAjustes, guardarAjustes, AJUSTES_POR_DEFECTO, DURACIONES_FRANJA, MINUTOS_BLOQUEO } from './clinicSettings.js';
+import { DIAS_SEMANA } from './scheduling.js';
+import { estadoCifrado, cambiarFraseCifrado, obtenerUsuarios, guardarUsuario, eliminarUsuario } from './storage.js';
+import { validarFrase } from './encryption.js';
+import { AVISO_RECUPERACION, exigirDesbloqueo } from './lockScreen.js';
+import { ROLES_USUARIO, puede, validarUsuario, prepararUsuario, usuarioActivo, iniciarSesionUsuario } from './users.js';
+import { escapeHTML, mostrarErroresFormulario } from './utils.js';
+
+// Se muestra la semana empezando en lunes, como en el calendario español
+const ORDEN_DIAS = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Convierte los tramos de un día en texto editable ('09:30-14:00, 16:30-20:00').
+ * @param {Array<{inicio: string, fin: string}>} tramos
+ * @returns {string}
+ */
+function tramosATexto(tramos) {
+    return (tramos ?? []).map(({ inicio, fin }) => `${inicio}-${fin}`).join(', ');
+}
+
+/**
+ * Interpreta el texto de un día. Los tramos mal escritos se devuelven tal cual
+ * para que validarAjustes informe del error con el texto del usuario.
+ * @param {string} texto
+ * @returns {Array<{inicio: string, fin: string}>}
+ */
+function textoATramos(texto) {
+    return texto.split(',')
+        .map(t => t.trim())
+        .filter(Boolean)
+        .map(t => {
+            const [inicio = '', fin = ''] = t.split('-').map(h => h.trim());
+            return { inicio, fin };
+        });
+}
+
+function setupSettingsPageLogic() {
+    const form = document.getElementById('settingsForm');
+    if (!form) return;
+
+    const errorMsg = form.querySelector('.error-mensaje');
+    const statusMsg = form.querySelector('.status-message');
+    const duracionSelect = document.getElementById('duracionFranja');
+    const horarioContainer = document.getElementById('horarioSemanal');
+    const festivosArea = document.getElementById('festivos');
+    const bloqueoSelect = document.getElementById('minutosBloqueo');
+    const restaurarBtn = document.getElementById('restaurarAjustes');
+
+    const displayError = (message) => {
+        errorMsg.textContent = message;
+        errorMsg.style.display = 'block';
+    };
+
+    duracionSelect.innerHTML = DURACIONES_FRANJA
+        .map(minutos => `<option value="${minutos}">${minutos} minutos</option>`)
+        .join('');
+    bloqueoSelect.innerHTML = MINUTOS_BLOQUEO
+        .map(minutos => `<option value="${minutos}">${minutos === 0 ? 'Nunca' : `${minutos} min sin actividad`}</option>`)
+        .join('');
+
+    horarioContainer.innerHTML = ORDEN_DIAS.map(dia => `
+        <div class="form-field">
+            <label for="horario-${dia}">${escapeHTML(DIAS_SEMANA[dia])}</label>
+            <input type="text" id="horario-${dia}" name="horario-${dia}" placeholder="Cerrado" autocomplete="off">
+        </div>`).join('');
+
+    /** @param {import('./clinicSettings.js').AjustesClinica} ajustes */
+    const rellenarFormulario = (ajustes) => {
+        duracionSelect.value = String(ajustes.duracionFranja);
+        ORDEN_DIAS.forEach(dia => {
+            form.elements[`horario-${dia}`].value = tramosATexto(ajustes.horario[dia]);
+        });
+        festivosArea.value = ajustes.festivos.join('\n');
+        bloqueoSelect.value = String(ajustes.minutosBloqueo);
+    };
+
+    const leerFormulario = () => ({
+        duracionFranja: Number(duracionSelect.value),
+        horario: Object.fromEntries(ORDEN_DIAS.map(dia => [dia, textoATramos(form.elements[`horario-${dia}`].value)])),
+        festivos: festivosArea.value.split(/\s+/).filter(Boolean),
+        minutosBloqueo: Number(bloqueoSelect.value)
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        errorMsg.style.display = 'none';
+        statusMsg.textContent = '';
+
+        try {
+            await guardarAjustes(leerFormulario());
+            rellenarFormulario(await obtenerAjustes());
+            statusMsg.textContent = 'Ajustes guardados. Se aplicarán a las nuevas reservas.';
+        } catch (error) {
+            displayError(`Error al guardar los ajustes: ${error.message}`);
+        }
+    });
+
+    restaurarBtn?.addEventListener('click', () => {
+        if (!confirm('¿Restaurar el horario por defecto? Los cambios no se guardarán hasta pulsar "Guardar Ajustes".')) return;
+        errorMsg.style.display = 'none';
+        rellenarFormulario(structuredClone(AJUSTES_POR_DEFECTO));
+        statusMsg.textContent = 'Valores por defecto cargados. Pulse "Guardar Ajustes" para aplicarlos.';
+    });
+
+    obtenerAjustes()
+        .then(rellenarFormulario)
+        .catch(error => displayError(`Error al cargar los ajustes: ${error.message}`));
+}
+
+function setupCifradoLogic() {
+    const form = document.getElementById('cifradoForm');
+    if (!form) return;
+
+    const errorMsg = form.querySelector('.error-mensaje');
+    const statusMsg = form.querySelector('.status-message');
+    const estadoMsg = document.getElementById('estadoCifrado');
+    const campoFraseActual = document.getElementById('campoFraseActual');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    let activo = false;
+
+    document.getElementById('avisoRecuperacion').textContent = `⚠️ ${AVISO_RECUPERACION}`;
+
+    const displayError = (message) => {
+        errorMsg.textContent = message;
+        errorMsg.style.display = 'block';
+    };
+
+    const mostrarEstado = async () => {
+        ({ activo } = await estadoCifrado());
+        estadoMsg.textContent = activo
+            ? 'Los datos de los pacientes están cifrados. Al cambiar la frase se vuelven a cifrar todos con la nueva.'
+            : 'Los datos de los pacientes se guardan sin cifrar: cualquiera con acceso a este navegador puede leerlos.';
+        campoFraseActual.hidden = !activo;
+        submitBtn.textContent = activo ? '🔐 Cambiar Frase' : '🔐 Activar Cifrado';
+    };
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        errorMsg.style.display = 'none';
+        statusMsg.textContent = '';
+
+        const { fraseActual, fraseNueva, fraseRepetida, fraseGuardada } = form.elements;
+        const error = validarFrase(fraseNueva.value, fraseRepetida.value);
+        if (error) {
+            displayError(`Error: ${error}`);
+            return;
+        }
+        if (!fraseGuardada.checked) {
+            displayError('Error: Confirme que ha guardado la frase: sin ella no se pueden recuperar los datos.');
+            return;
+        }
+
+        submitBtn.disabled = true;
+        statusMsg.textContent = 'Cifrando los datos. No cierre la página...';
+        try {
+            await cambiarFraseCifrado(fraseNueva.value, fraseActual.value);
+            form.reset();
+            statusMsg.textContent = activo
+                ? 'Frase cambiada. Las demás pestañas pedirán la frase nueva.'
+                : 'Cifrado activado. A partir de ahora se pedirá la frase al abrir la agenda.';
+            await mostrarEstado();
+        } catch (error) {
+            statusMsg.textContent = '';
+            displayError(`Error al cifrar los datos: ${error.message}`);
+        } finally {
+            submitBtn.disabled = false;
+        }
+    });
+
+    mostrarEstado().catch(error => displayError(`Error al consultar el cifrado: ${error.message}`));
+}
+
+/**
+ * Genera el HTML de un perfil de usuario
+ * @param {import('./users.js').Usuario} usuario
+ * @returns {string} HTML
+ */
+function createUsuarioHTML(usuario) {
+    const idSaneado = escapeHTML(usuario.id);
+    const nombreSaneado = escapeHTML(usuario.nombre);
+    const esActivo = usuario.id === usuarioActivo()?.id;
+    return `
+        <article class="cita-card" data-usuario-id="${idSaneado}">
+            <div class="cita-header">
+                <span class="cita-fecha">👤 ${nombreSaneado}${esActivo ? ' (usted)' : ''}</span>
+                <span class="cita-id">${escapeHTML(ROLES_USUARIO[usuario.rol] ?? usuario.rol)}</span>
+            </div>
+            <div class="cita-actions">
+                <button type="button" class="cita-button" data-editar-usuario="${idSaneado}" aria-label="Modificar el perfil de ${nombreSaneado}">✏️ Modificar</button>
+                <button type="button" class="cita-button cita-button--delete" data-borrar-usuario="${idSaneado}" aria-label="Borrar el perfil de ${nombreSaneado}">🗑️ Borrar</button>
+            </div>
+        </article>`;
+}
+
+function setupUsuariosLogic() {
+    const form = document.getElementById('usuarioForm');
+    const lista = document.getElementById('usuarios-list');
+    if (!form || !lista) return;
+
+    const errorMsg = form.querySelector('.error-mensaje');
+    const statusMsg = form.querySelector('.status-message');
+    const tituloForm = document.getElementById('usuarioFormTitulo');
+    const cancelarBtn = document.getElementById('cancelarUsuario');
+    let usuarios = [];
+
+    form.elements.usuario_rol.innerHTML = Object.entries(ROLES_USUARIO)
+        .map(([valor, texto]) => `<option value="${valor}">${texto}</option>`)
+        .join('');
+
+    const displayError = (message) => {
+        errorMsg.textContent = message;
+        errorMsg.style.display = message ? 'block' : 'none';
+    };
+
+    const renderUsuarios = async () => {
+        usuarios = await obtenerUsuarios();
+        lista.innerHTML = usuarios.length > 0
+            ? usuarios.map(createUsuarioHTML).join('')
+            : '<p class="status-message">No hay perfiles: la aplicación no pide PIN y los cambios no se firman.</p>';
+    };
+
+    /** @param {import('./users.js').Usuario} [usuario] - Perfil a modificar; sin él, formulario de alta. */
+    const prepararFormulario = (usuario) => {
+        form.reset();
+        mostrarErroresFormulario(form, []);
+        displayError('');
+        form.elements.usuario_id.value = usuario?.id ?? '';
+        form.elements.usuario_nombre.value = usuario?.nombre ?? '';
+        // El primer perfil tiene que ser de administración
+        form.elements.usuario_rol.value = usuario?.rol ?? (usuarios.length === 0 ? 'admin' : 'recepcion');
+        tituloForm.textContent = usuario ? `Modificar Perfil de ${usuario.nombre}` : 'Nuevo Perfil';
+        cancelarBtn.hidden = !usuario;
+    };
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        displayError('');
+        statusMsg.textContent = '';
+
+        const datos = {
+            id: form.elements.usuario_id.value || undefined,
+            nombre: form.elements.usuario_nombre.value,
+            rol: form.elements.usuario_rol.value,
+            pin: form.elements.usuario_pin.value
+        };
+        const errores = validarUsuario(datos, usuarios);
+        const primerInvalido = mostrarErroresFormulario(form, errores);
+        if (primerInvalido) {
+            primerInvalido.focus();
+            return;
+        }
+
+        try {
+            const primero = usuarios.length === 0;
+            const usuario = await prepararUsuario(datos, usuarios.find(u => u.id === datos.id));
+            await guardarUsuario(usuario);
+            // Quien crea el primer perfil entra con él; si cambia el propio, se renueva la sesión
+            if (primero || usuario.id === usuarioActivo()?.id) {
+                iniciarSesionUsuario(usuario);
+                window.location.reload();
+                return;
+            }
+            statusMsg.textContent = `Perfil de ${usuario.nombre} guardado.`;
+            await renderUsuarios();
+            prepararFormulario();
+        } catch (error) {
+            displayError(`Error al guardar el perfil: ${error.message}`);
+        }
+    });
+
+    cancelarBtn.addEventListener('click', () => prepararFormulario());
+
+    lista.addEventListener('click', async (e) => {
+        const editarBtn = e.target.closest('[data-editar-usuario]');
+        const borrarBtn = e.target.closest('[data-borrar-usuario]');
+        if (editarBtn) {
+            prepararFormulario(usuarios.find(u => u.id === editarBtn.dataset.editarUsuario));
+            form.elements.usuario_nombre.focus();
+            return;
+        }
+        if (!borrarBtn) return;
+
+        const usuario = usuarios.find(u => u.id === borrarBtn.dataset.borrarUsuario);
+        if (!usuario || !confirm(`¿Borrar el perfil de ${usuario.nombre}? Los cambios que hizo siguen firmados con su nombre.`)) return;
+        try {
+            await eliminarUsuario(usuario.id);
+            if (usuario.id === usuarioActivo()?.id) {
+                window.location.reload();
+                return;
+            }
+            statusMsg.textContent = `Perfil de ${usuario.nombre} borrado.`;
+            await renderUsuarios();
+        } catch (error) {
+            alert(`Error: No se pudo borrar el perfil. ${error.message}`);
+        }
+    });
+
+    renderUsuarios()
+        .then(() => prepararFormulario())
+        .catch(error => displayError(`Error al cargar los perfiles: ${error.message}`));
+}
+
+/**
+ * Deja los formularios en solo lectura para quien no es de administración
+ * (el almacenamiento rechazaría igualmente los cambios).
+ * @param {import('./users.js').SesionUsuario|null} usuario
+ */
+function aplicarPermisos(usuario) {
+    if (!usuario || puede(usuario, 'ajustes')) return;
+    document.querySelectorAll('.main-container form').forEach(form => {
+        form.querySelectorAll('input, select, textarea, button').forEach(control => { control.disabled = true; });
+    });
+    document.getElementById('settingsTitle')?.insertAdjacentHTML('afterend',
+        `<p class="status-message">Solo un perfil de administración puede cambiar los ajustes.</p>`);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    exigirDesbloqueo()
+        .then(usuario => {
+            setupSettingsPageLogic();
+            setupCifradoLogic();
+            setupUsuariosLogic();
+            aplicarPermisos(usuario);
+        })
+        .catch(e => alert(`Error: No se pueden abrir los ajustes. ${e.message}`));
+});
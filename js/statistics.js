@@ -0,0 +1,270 @@
+/**
+ * js/statistics.js
+ * Estadísticas de la agenda para la dirección de la clínica: volumen de citas, ocupación
+ * de las franjas, horas punta, pacientes nuevos y recurrentes, edades y tasas de
+ * cancelación y ausencia. Todas las funciones trabajan sobre la lista de citas guardada.
+ */
+
+import { obtenerRecursos, generarFranjas, seSolapan, horaAMinutos } from './scheduling.js';
+import { ocupaHueco } from './appointmentStatus.js';
+import { formatearFecha, sumarDias } from './utils.js';
+import { generarCSV } from './importExport.js';
+
+/** @typedef {import('./models.js').Cita} Cita */
+/** @typedef {import('./clinicSettings.js').AjustesClinica} AjustesClinica */
+
+/** @typedef {{clave: string, etiqueta: string, valor: number}} Dato */
+
+/**
+ * @typedef {Object} InformeEstadisticas
+ * @property {string} desde
+ * @property {string} hasta
+ * @property {number} total - Citas del periodo (incluidas las canceladas).
+ * @property {Array<Dato>} porPeriodo - Citas por día, semana o mes.
+ * @property {{disponibles: number, ocupadas: number, porcentaje: number, porDia: Array<Dato>}} ocupacion
+ * @property {Array<Dato>} porHora - Citas que empiezan en cada hora del día.
+ * @property {{nuevos: number, recurrentes: number}} pacientes
+ * @property {Array<Dato>} edades - Pacientes distintos por tramo de edad.
+ * @property {{canceladas: number, tasaCancelacion: number, ausencias: number, pasadas: number, tasaAusencia: number}} asistencia
+ */
+
+export const UNIDADES_PERIODO = {
+    dia: 'Por día',
+    semana: 'Por semana',
+    mes: 'Por mes'
+};
+
+// Tramos de edad: edad mínima de cada uno (el último no tiene tope)
+const TRAMOS_EDAD = [
+    { desde: 0, etiqueta: 'Menores de 18' },
+    { desde: 18, etiqueta: '18–34' },
+    { desde: 35, etiqueta: '35–49' },
+    { desde: 50, etiqueta: '50–64' },
+    { desde: 65, etiqueta: '65 o más' }
+];
+
+const MESES = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+
+/**
+ * Porcentaje redondeado a un decimal (0 si no hay base).
+ * @param {number} parte
+ * @param {number} total
+ * @returns {number}
+ */
+function porcentaje(parte, total) {
+    return total > 0 ? Math.round((parte / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Días de un periodo, ambos incluidos.
+ * @param {string} desde - 'YYYY-MM-DD'.
+ * @param {string} hasta
+ * @returns {Array<string>}
+ */
+function diasDelPeriodo(desde, hasta) {
+    const dias = [];
+    for (let dia = desde; dia <= hasta; dia = sumarDias(dia, 1)) dias.push(dia);
+    return dias;
+}
+
+/**
+ * Clave y etiqueta del periodo (día, semana que empieza en lunes o mes) al que pertenece una fecha.
+ * @param {string} fecha - 'YYYY-MM-DD'.
+ * @param {string} unidad - Clave de UNIDADES_PERIODO.
+ * @returns {{clave: string, etiqueta: string}}
+ */
+function periodoDeFecha(fecha, unidad) {
+    if (unidad === 'mes') {
+        const [anio, mes] = fecha.split('-');
+        return { clave: `${anio}-${mes}`, etiqueta: `${MESES[Number(mes) - 1]} ${anio}` };
+    }
+    if (unidad === 'semana') {
+        const desdeLunes = (new Date(`${fecha}T00:00:00`).getDay() + 6) % 7;
+        const lunes = sumarDias(fecha, -desdeLunes);
+        return { clave: lunes, etiqueta: `Semana del ${formatearFecha(lunes)}` };
+    }
+    return { clave: fecha, etiqueta: formatearFecha(fecha) };
+}
+
+/**
+ * Número de citas por día, semana o mes del periodo (los periodos sin citas aparecen con 0).
+ * @param {Array<Cita>} citas - Citas del periodo.
+ * @param {string} desde
+ * @param {string} hasta
+ * @param {string} unidad - Clave de UNIDADES_PERIODO.
+ * @returns {Array<Dato>}
+ */
+export function citasPorPeriodo(citas, desde, hasta, unidad) {
+    const periodos = new Map();
+    diasDelPeriodo(desde, hasta).forEach(dia => {
+        const { clave, etiqueta } = periodoDeFecha(dia, unidad);
+        if (!periodos.has(clave)) periodos.set(clave, { clave, etiqueta, valor: 0 });
+    });
+    citas.forEach(c => {
+        const periodo = periodos.get(periodoDeFecha(c.fecha_reserva, unidad).clave);
+        if (periodo) periodo.valor++;
+    });
+    return [...periodos.values()];
+}
+
+/**
+ * Ocupación de las franjas: cuántas franjas (de todos los recursos) cubren las citas
+ * frente a las que ofrece el horario de apertura. Se usa el horario vigente también
+ * para los días pasados. Las citas canceladas no ocupan franja.
+ * @param {Array<Cita>} citas - Citas del periodo.
+ * @param {AjustesClinica} ajustes
+ * @param {string} desde
+ * @param {string} hasta
+ * @returns {{disponibles: number, ocupadas: number, porcentaje: number, porDia: Array<Dato>}}
+ */
+export function calcularOcupacion(citas, ajustes, desde, hasta) {
+    const recursos = obtenerRecursos();
+    const activas = citas.filter(ocupaHueco);
+    let disponibles = 0;
+    let ocupadas = 0;
+
+    const porDia = diasDelPeriodo(desde, hasta).map(dia => {
+        const franjas = generarFranjas(ajustes, dia);
+        const delDia = activas.filter(c => c.fecha_reserva === dia);
+        const ocupadasDia = recursos.reduce((suma, recurso) => {
+            const delRecurso = delDia.filter(c => c.recurso_id === recurso.id);
+            return suma + franjas.filter(hora =>
+                delRecurso.some(c => seSolapan(hora, ajustes.duracionFranja, c.hora_reserva, c.duracion))).length;
+        }, 0);
+        const disponiblesDia = franjas.length * recursos.length;
+        disponibles += disponiblesDia;
+        ocupadas += ocupadasDia;
+        return { clave: dia, etiqueta: formatearFecha(dia), valor: porcentaje(ocupadasDia, disponiblesDia) };
+    });
+
+    return { disponibles, ocupadas, porcentaje: porcentaje(ocupadas, disponibles), porDia };
+}
+
+/**
+ * Citas (no canceladas) que empiezan en cada hora del día, de la más temprana a la más tardía.
+ * @param {Array<Cita>} citas
+ * @returns {Array<Dato>}
+ */
+export function citasPorHora(citas) {
+    const horas = new Map();
+    citas.filter(ocupaHueco).forEach(c => {
+        const minutos = horaAMinutos(c.hora_reserva);
+        if (isNaN(minutos)) return;
+        const clave = `${String(Math.floor(minutos / 60)).padStart(2, '0')}:00`;
+        horas.set(clave, (horas.get(clave) ?? 0) + 1);
+    });
+    return [...horas.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([clave, valor]) => ({ clave, etiqueta: clave, valor }));
+}
+
+/**
+ * Pacientes del periodo (por DNI) que vienen por primera vez frente a los que ya tenían citas antes.
+ * @param {Array<Cita>} todas - Todas las citas guardadas (para saber la primera visita de cada uno).
+ * @param {string} desde
+ * @param {string} hasta
+ * @returns {{nuevos: number, recurrentes: number}}
+ */
+export function pacientesNuevosYRecurrentes(todas, desde, hasta) {
+    const primeraVisita = new Map();
+    const delPeriodo = new Set();
+    todas.filter(ocupaHueco).forEach(c => {
+        const dni = c.paciente.dni;
+        const primera = primeraVisita.get(dni);
+        if (!primera || c.fecha_reserva < primera) primeraVisita.set(dni, c.fecha_reserva);
+        if (c.fecha_reserva >= desde && c.fecha_reserva <= hasta) delPeriodo.add(dni);
+    });
+    const nuevos = [...delPeriodo].filter(dni => primeraVisita.get(dni) >= desde).length;
+    return { nuevos, recurrentes: delPeriodo.size - nuevos };
+}
+
+/**
+ * Pacientes distintos del periodo por tramo de edad (edad actual). Como en los
+ * pacientes nuevos y recurrentes, no cuentan los que solo tienen citas canceladas.
+ * @param {Array<Cita>} citas - Citas del periodo.
+ * @returns {Array<Dato>}
+ */
+export function distribucionEdades(citas) {
+    const pacientes = new Map(citas.filter(ocupaHueco).map(c => [c.paciente.dni, c.paciente]));
+    const datos = TRAMOS_EDAD.map(({ desde, etiqueta }) => ({ clave: String(desde), etiqueta, valor: 0 }));
+    pacientes.forEach(paciente => {
+        const { edad } = paciente;
+        if (edad === null) return;
+        const indice = TRAMOS_EDAD.findLastIndex(t => edad >= t.desde);
+        if (indice !== -1) datos[indice].valor++;
+    });
+    return datos;
+}
+
+/**
+ * Tasas de cancelación (sobre todas las citas del periodo) y de ausencia
+ * (citas no presentadas sobre las que ya deberían haberse atendido).
+ * @param {Array<Cita>} citas - Citas del periodo.
+ * @param {Date} [ahora=new Date()]
+ * @returns {{canceladas: number, tasaCancelacion: number, ausencias: number, pasadas: number, tasaAusencia: number}}
+ */
+export function calcularAsistencia(citas, ahora = new Date()) {
+    const canceladas = citas.filter(c => c.estado === 'cancelada').length;
+    const pasadas = citas.filter(c => ocupaHueco(c) && c.fechaHora < ahora);
+    const ausencias = pasadas.filter(c => c.estado === 'no_presentada').length;
+    return {
+        canceladas,
+        tasaCancelacion: porcentaje(canceladas, citas.length),
+        ausencias,
+        pasadas: pasadas.length,
+        tasaAusencia: porcentaje(ausencias, pasadas.length)
+    };
+}
+
+/**
+ * Calcula todas las estadísticas de un periodo.
+ * @param {Array<Cita>} citas - Todas las citas guardadas.
+ * @param {AjustesClinica} ajustes
+ * @param {Object} opciones
+ * @param {string} opciones.desde - 'YYYY-MM-DD'.
+ * @param {string} opciones.hasta - 'YYYY-MM-DD'.
+ * @param {string} [opciones.unidad='dia'] - Clave de UNIDADES_PERIODO.
+ * @param {Date} [opciones.ahora=new Date()]
+ * @returns {InformeEstadisticas}
+ */
+export function calcularEstadisticas(citas, ajustes, { desde, hasta, unidad = 'dia', ahora = new Date() }) {
+    const delPeriodo = citas.filter(c => c.fecha_reserva >= desde && c.fecha_reserva <= hasta);
+    return {
+        desde,
+        hasta,
+        total: delPeriodo.length,
+        porPeriodo: citasPorPeriodo(delPeriodo, desde, hasta, unidad),
+        ocupacion: calcularOcupacion(delPeriodo, ajustes, desde, hasta),
+        porHora: citasPorHora(delPeriodo),
+        pacientes: pacientesNuevosYRecurrentes(citas, desde, hasta),
+        edades: distribucionEdades(delPeriodo),
+        asistencia: calcularAsistencia(delPeriodo, ahora)
+    };
+}
+
+/**
+ * Exporta un informe a CSV: una fila por dato, agrupadas por sección.
+ * @param {InformeEstadisticas} informe
+ * @returns {string}
+ */
+export function exportarEstadisticasCSV(informe) {
+    const { ocupacion, pacientes, asistencia } = informe;
+    const filas = [
+        ['resumen', 'periodo', `${informe.desde} a ${informe.hasta}`],
+        ['resumen', 'citas', informe.total],
+        ['resumen', 'franjas_disponibles', ocupacion.disponibles],
+        ['resumen', 'franjas_ocupadas', ocupacion.ocupadas],
+        ['resumen', 'ocupacion_%', ocupacion.porcentaje],
+        ['resumen', 'pacientes_nuevos', pacientes.nuevos],
+        ['resumen', 'pacientes_recurrentes', pacientes.recurrentes],
+        ['resumen', 'canceladas', asistencia.canceladas],
+        ['resumen', 'cancelacion_%', asistencia.tasaCancelacion],
+        ['resumen', 'no_presentadas', asistencia.ausencias],
+        ['resumen', 'ausencia_%', asistencia.tasaAusencia],
+        ...informe.porPeriodo.map(d => ['citas_por_periodo', d.clave, d.valor]),
+        ...ocupacion.porDia.map(d => ['ocupacion_diaria_%', d.clave, d.valor]),
+        ...informe.porHora.map(d => ['citas_por_hora', d.clave, d.valor]),
+        ...informe.edades.map(d => ['pacientes_por_edad', d.etiqueta, d.valor])
+    ];
+    return generarCSV(['seccion', 'clave', 'valor'], filas);
+}
@@ -0,0 +1,143 @@
+/**
+ * js/statsLogic.js
+ * Lógica para la página de estadísticas (stats.html): resumen del periodo, gráficos y exportación CSV.
+ */
+
+import { obtenerCitas, alCambiarDatos } from './storage.js';
+import { exigirDesbloqueo } from './lockScreen.js';
+import { obtenerAjustes } from './clinicSettings.js';
+import { calcularEstadisticas, exportarEstadisticasCSV, UNIDADES_PERIODO } from './statistics.js';
+import { graficoBarrasSVG } from './charts.js';
+import { escapeHTML, fechaISO, descargarArchivo } from './utils.js';
+
+/** @typedef {import('./statistics.js').InformeEstadisticas} InformeEstadisticas */
+
+// Periodos más largos harían ilegible el gráfico diario y lenta la ocupación
+const MAX_DIAS_PERIODO = 366;
+
+/**
+ * Genera el HTML de una cifra destacada del resumen
+ * @param {string} titulo
+ * @param {string} valor
+ * @param {string} [detalle='']
+ * @returns {string} HTML
+ */
+function createCifraHTML(titulo, valor, detalle = '') {
+    return `
+        <div class="stats-cifra">
+            <span class="stats-cifra-valor">${escapeHTML(valor)}</span>
+            <span class="stats-cifra-titulo">${escapeHTML(titulo)}</span>
+            ${detalle ? `<span class="form-note">${escapeHTML(detalle)}</span>` : ''}
+        </div>`;
+}
+
+/**
+ * Genera el HTML del informe completo
+ * @param {InformeEstadisticas} informe
+ * @param {string} unidad - Clave de UNIDADES_PERIODO.
+ * @returns {string} HTML
+ */
+function createInformeHTML(informe, unidad) {
+    const { ocupacion, pacientes, asistencia } = informe;
+    const grafico = (titulo, svg) => `
+        <section class="stats-grafico" aria-label="${escapeHTML(titulo)}">
+            <h3>${escapeHTML(titulo)}</h3>
+            ${svg}
+        </section>`;
+
+    return `
+        <div class="stats-resumen">
+            ${createCifraHTML('Citas', String(informe.total))}
+            ${createCifraHTML('Ocupación', `${ocupacion.porcentaje} %`, `${ocupacion.ocupadas} de ${ocupacion.disponibles} franjas`)}
+            ${createCifraHTML('Pacientes nuevos', String(pacientes.nuevos), `${pacientes.recurrentes} recurrentes`)}
+            ${createCifraHTML('Cancelaciones', `${asistencia.tasaCancelacion} %`, `${asistencia.canceladas} citas`)}
+            ${createCifraHTML('No presentadas', `${asistencia.tasaAusencia} %`, `${asistencia.ausencias} de ${asistencia.pasadas} citas pasadas`)}
+        </div>
+        ${grafico(`Citas (${UNIDADES_PERIODO[unidad].toLowerCase()})`, graficoBarrasSVG(informe.porPeriodo, { titulo: 'Número de citas' }))}
+        ${grafico('Ocupación de las franjas por día', graficoBarrasSVG(ocupacion.porDia, { titulo: 'Ocupación diaria', sufijo: ' %', maximo: 100 }))}
+        ${grafico('Horas con más citas', graficoBarrasSVG(informe.porHora, { titulo: 'Citas por hora de inicio' }))}
+        ${grafico('Pacientes nuevos y recurrentes', graficoBarrasSVG([
+            { etiqueta: 'Nuevos', valor: pacientes.nuevos },
+            { etiqueta: 'Recurrentes', valor: pacientes.recurrentes }
+        ], { titulo: 'Pacientes nuevos y recurrentes' }))}
+        ${grafico('Edad de los pacientes', graficoBarrasSVG(informe.edades, { titulo: 'Pacientes por tramo de edad' }))}
+        <p class="form-note">
+            La ocupación compara las franjas cubiertas por citas (sin contar las canceladas) con las que ofrece el
+            horario actual de la clínica para todos los dentistas y sillones. La tasa de no presentados se calcula
+            sobre las citas ya pasadas.
+        </p>`;
+}
+
+function setupStatsPageLogic() {
+    const form = document.getElementById('statsForm');
+    const container = document.getElementById('stats-container');
+    const errorMsg = document.getElementById('statsError');
+    const exportarBtn = document.getElementById('exportarEstadisticas');
+    if (!form || !container) return;
+
+    form.elements.unidad.innerHTML = Object.entries(UNIDADES_PERIODO)
+        .map(([valor, texto]) => `<option value="${valor}">${texto}</option>`)
+        .join('');
+
+    // Por defecto, el mes en curso
+    const hoy = new Date();
+    form.elements.desde.value = fechaISO(new Date(hoy.getFullYear(), hoy.getMonth(), 1));
+    form.elements.hasta.value = fechaISO(new Date(hoy.getFullYear(), hoy.getMonth() + 1, 0));
+
+    let informe = null;
+
+    const displayError = (message) => {
+        errorMsg.textContent = message;
+        errorMsg.style.display = message ? 'block' : 'none';
+    };
+
+    const renderEstadisticas = async () => {
+        const { desde, hasta, unidad } = Object.fromEntries(new FormData(form).entries());
+        informe = null;
+        if (!desde || !hasta || hasta < desde) {
+            displayError('Error: Indique un periodo válido (la fecha final no puede ser anterior a la inicial).');
+            container.innerHTML = '';
+            return;
+        }
+        const dias = (new Date(`${hasta}T00:00:00`) - new Date(`${desde}T00:00:00`)) / 86400000 + 1;
+        if (dias > MAX_DIAS_PERIODO) {
+            displayError(`Error: El periodo no puede superar ${MAX_DIAS_PERIODO} días.`);
+            container.innerHTML = '';
+            return;
+        }
+        displayError('');
+
+        const [citas, ajustes] = await Promise.all([obtenerCitas(), obtenerAjustes()]);
+        informe = calcularEstadisticas(citas, ajustes, { desde, hasta, unidad });
+        container.innerHTML = createInformeHTML(informe, unidad);
+    };
+
+    const refrescar = () => {
+        renderEstadisticas().catch(e => {
+            console.error("No se pudieron calcular las estadísticas.", e);
+            displayError(`Error al calcular las estadísticas: ${e.message}`);
+        });
+    };
+
+    form.addEventListener('change', refrescar);
+    form.addEventListener('submit', (e) => e.preventDefault());
+
+    exportarBtn?.addEventListener('click', () => {
+        if (!informe) {
+            alert('No hay estadísticas que exportar para el periodo indicado.');
+            return;
+        }
+        descargarArchivo(exportarEstadisticasCSV(informe), `davantedental-estadisticas-${informe.desde}-${informe.hasta}.csv`, 'text/csv;charset=utf-8');
+    });
+
+    refrescar();
+    // Citas guardadas o canceladas en otra pestaña
+    alCambiarDatos(refrescar);
+}
+
+// Con los datos cifrados, nada se lee hasta introducir la frase de la clínica
+document.addEventListener('DOMContentLoaded', () => {
+    exigirDesbloqueo()
+        .then(setupStatsPageLogic)
+        .catch(e => alert(`Error: No se pueden abrir los datos. ${e.message}`));
+});
@@ -1,21 +1,89 @@
 /**
  * js/storage.js
- * Módulo para gestionar la persistencia de datos usando LocalStorage.
+ * Módulo para gestionar la persistencia de datos de las citas.
+ * El backend concreto (LocalStorage, cookies o IndexedDB) se elige en config.js.
+ * Todas las operaciones son asíncronas porque IndexedDB lo es.
  */
 
+import { CONFIG } from './config.js';
+import { obtenerAdaptador, crearAdaptadorCifrado, migrarDesdeLocalStorage } from './storageAdapters.js';
+import { crearCifrado, comprobarFrase, validarFrase, cifrarTexto } from './encryption.js';
+import { actualizarDatos, crearSobre, migrarRegistro, VERSION_ACTUAL } from './migrations.js';
+import { Cita, Paciente } from './models.js';
+import { entradasDeAuditoria, suprimirDatosPersonales } from './auditLog.js';
+import { usuarioActivo, puede, ROLES_USUARIO, ACCIONES_PERMISO } from './users.js';
+
 const STORAGE_KEY = 'davanteDentalCitas';
 const COUNTER_KEY = 'davanteDentalIdCounter';
+const QUARANTINE_KEY = 'davanteDentalCuarentena';
+// Copias íntegras de cuarentenas que no se pudieron leer, para recuperarlas a mano
+const DAMAGED_QUARANTINE_KEY = 'davanteDentalCuarentenaDanada';
+const PATIENTS_KEY = 'davanteDentalPacientes';
+const SETTINGS_KEY = 'davanteDentalAjustes';
+const TRASH_KEY = 'davanteDentalPapelera';
+const AUDIT_KEY = 'davanteDentalAuditoria';
+const WAITLIST_KEY = 'davanteDentalListaEspera';
+const TEMPLATES_KEY = 'davanteDentalPlantillas';
+const REMINDERS_KEY = 'davanteDentalRecordatorios';
+const USERS_KEY = 'davanteDentalUsuarios';
+// Parámetros del cifrado (sal, iteraciones y verificador); se guardan en claro
+const CRYPTO_KEY = 'davanteDentalCifrado';
+// Versiones anteriores guardaban aquí la clave en sessionStorage; se borra al cargar
+const SESSION_KEY = 'davanteDentalSesionCifrado';
+
+// Claves con datos personales de pacientes, que se cifran cuando la clínica activa el cifrado
+const CLAVES_CIFRADAS = [STORAGE_KEY, PATIENTS_KEY, TRASH_KEY, QUARANTINE_KEY, DAMAGED_QUARANTINE_KEY, AUDIT_KEY, WAITLIST_KEY];
+
+const almacen = obtenerAdaptador(CONFIG.storageBackend, { claveRegistros: STORAGE_KEY });
+// Con cookies todas las claves comparten unos 150 KB (ver config.js): el registro de auditoría,
+// que solo crece, acabaría impidiendo guardar las citas, así que con ese backend no se lleva.
+const AUDITORIA_ACTIVA = CONFIG.storageBackend !== 'cookies';
+const adaptador = crearAdaptadorCifrado(almacen, { claves: CLAVES_CIFRADAS, estado: estadoVigenteCifrado });
+
+// Clave con la que se ha desbloqueado esta página: { id, clave }. Solo vive en memoria y no es
+// exportable: al cerrar o recargar la página (o al restaurar una pestaña cerrada) hay que volver a
+// introducir la frase, y ningún script puede leer la clave en bruto.
+let sesionCifrado = null;
+globalThis.sessionStorage?.removeItem(SESSION_KEY);
+
+// Las demás pestañas abiertas reciben un aviso cada vez que cambian las citas, la papelera o la lista de espera
+const canalCambios = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('davanteDentalCambios') : null;
+// Nombre del bloqueo que serializa las escrituras de todas las pestañas (Web Locks API)
+const BLOQUEO_ESCRITURA = 'davanteDentalEscritura';
+
+// Al pasar a IndexedDB, los datos existentes en LocalStorage se trasladan una sola vez
+// (tal cual: si estaban cifrados, siguen cifrados y se llevan sus parámetros).
+// Todas las operaciones esperan a que termine para no leer un almacén a medio migrar,
+// y a que se termine un cambio de frase que se interrumpiera (ver completarCambioDeFrase).
+const listo = (CONFIG.storageBackend === 'indexedDB'
+    ? migrarDesdeLocalStorage(almacen, [STORAGE_KEY, COUNTER_KEY, CRYPTO_KEY])
+    : Promise.resolve()
+).then(() => enExclusiva(completarCambioDeFrase))
+    .then(() => (AUDITORIA_ACTIVA ? undefined : liberarAuditoriaEnCookies()));
+
+/**
+ * Borra el registro de auditoría que guardaran las cookies antes de dejar de llevarlo
+ * con ese backend, para devolver su espacio a las citas.
+ * @returns {Promise<void>}
+ */
+async function liberarAuditoriaEnCookies() {
+    // Un registro con fragmentos perdidos no se puede leer, pero también hay que borrarlo
+    const existe = await almacen.leer(AUDIT_KEY).then(json => json !== null, () => true);
+    if (!existe) return;
+    console.warn("El registro de auditoría no se lleva con el backend de cookies: se borra el que había para liberar espacio.");
+    await almacen.eliminar(AUDIT_KEY);
+}
 
 /**
  * Genera el próximo ID de cita (Ej: "2025-00001").
- * @returns {string} ID único de la cita.
+ * @returns {Promise<string>} ID único de la cita.
  */
-function generarProximoId() {
+async function generarProximoId() {
     const anioActual = new Date().getFullYear();
     let contador = { anio: anioActual, seq: 0 };
     
     try {
-        const stored = localStorage.getItem(COUNTER_KEY);
+        const stored = await adaptador.leer(COUNTER_KEY);
         if (stored) {
             const parsed = JSON.parse(stored);
             if (parsed && typeof parsed.anio === 'number' && typeof parsed.seq === 'number') {
@@ -35,90 +103,1141 @@ function generarProximoId() {
     
     // Mejorar la robustez del guardado
     try {
-        localStorage.setItem(COUNTER_KEY, JSON.stringify(contador));
+        await adaptador.escribir(COUNTER_KEY, JSON.stringify(contador));
     } catch (e) {
-        console.error("No se pudo guardar el contador en LocalStorage.", e);
-        throw new Error("Fallo en la persistencia de datos (LocalStorage lleno o no disponible).");
+        console.error(`No se pudo guardar el contador (${adaptador.nombre}).`, e);
+        throw new Error(`Fallo en la persistencia de datos (${e.message}).`);
     }
 
     return `${contador.anio}-${String(contador.seq).padStart(5, '0')}`;
 }
 
 /**
- * Obtiene todas las citas almacenadas.
- * @returns {Array<Object>} Lista de citas o array vacío.
+ * Guarda la lista de citas dentro del sobre versionado.
+ * @param {Array<Object>} citas - Lista completa de citas.
+ * @returns {Promise<void>}
+ */
+async function escribirCitas(citas) {
+    await adaptador.escribir(STORAGE_KEY, JSON.stringify(crearSobre(citas)));
+    avisarCambio();
+}
+
+// --- Sincronización entre pestañas ---
+
+/**
+ * Error al guardar una cita que otra pestaña (u otra operación) ha modificado
+ * desde que se leyó. Lleva la versión guardada para poder mostrar las diferencias.
+ */
+export class ConflictoDeRevision extends Error {
+    /** @param {Cita} actual - Cita tal como está guardada ahora. */
+    constructor(actual) {
+        super(`La cita ${actual.id} se ha modificado en otra pestaña mientras se editaba.`);
+        this.name = 'ConflictoDeRevision';
+        this.actual = actual;
+    }
+}
+
+/**
+ * Ejecuta una operación de lectura-modificación-escritura sin que otra pestaña
+ * escriba a la vez. Si el navegador no admite Web Locks, se ejecuta directamente.
+ * Las operaciones protegidas no deben llamarse entre sí: el bloqueo no es reentrante.
+ * @template T
+ * @param {function(): Promise<T>} operacion
+ * @returns {Promise<T>}
+ */
+function enExclusiva(operacion) {
+    const locks = globalThis.navigator?.locks;
+    return locks ? locks.request(BLOQUEO_ESCRITURA, operacion) : operacion();
+}
+
+let avisoPendiente = false;
+
+/** Avisa a las demás pestañas de que los datos han cambiado (una vez por operación). */
+function avisarCambio() {
+    if (!canalCambios || avisoPendiente) return;
+    avisoPendiente = true;
+    setTimeout(() => {
+        avisoPendiente = false;
+        canalCambios.postMessage({ tipo: 'citas' });
+    }, 0);
+}
+
+/**
+ * Suscribe una función a los cambios hechos en otras pestañas (citas, papelera, pacientes, lista de espera).
+ * @param {function(): void} callback
+ * @returns {function(): void} Función que cancela la suscripción.
+ */
+export function alCambiarDatos(callback) {
+    if (!canalCambios) return () => {};
+    const manejar = () => callback();
+    canalCambios.addEventListener('message', manejar);
+    return () => canalCambios.removeEventListener('message', manejar);
+}
+
+/**
+ * Asigna el número de revisión tras una modificación: las citas que han cambiado
+ * respecto a su versión guardada suben una revisión y las nuevas empiezan en la 1
+ * (las restauradas o importadas conservan la suya).
+ * @param {Array<Object>} anteriores - Citas guardadas antes (representación plana).
+ * @param {Array<Cita>} citas - Lista que se va a guardar (se modifica).
+ */
+function asignarRevisiones(anteriores, citas) {
+    const previas = new Map(anteriores.map(c => [c.id, c]));
+    citas.forEach(cita => {
+        const previa = previas.get(cita.id);
+        if (!previa) {
+            cita.revision = cita.revision || 1;
+            return;
+        }
+        const cambiada = JSON.stringify({ ...cita.toJSON(), revision: 0 }) !== JSON.stringify({ ...previa, revision: 0 });
+        cita.revision = cambiada ? previa.revision + 1 : previa.revision;
+    });
+}
+
+// --- Cifrado de los datos de pacientes ---
+
+/**
+ * Lee los parámetros del cifrado.
+ * @returns {Promise<import('./encryption.js').ParametrosCifrado|null>} Null si el cifrado no está activo.
+ */
+async function leerParametrosCifrado() {
+    const json = await almacen.leer(CRYPTO_KEY);
+    return json ? JSON.parse(json) : null;
+}
+
+/**
+ * Estado del cifrado en el momento de leer o escribir. Se consulta cada vez porque
+ * otra pestaña puede activarlo o cambiar la frase: entonces la clave de esta pestaña
+ * deja de valer y la pestaña queda bloqueada en lugar de guardar con una clave antigua.
+ * @returns {Promise<{activo: boolean, clave: CryptoKey|null}>}
+ */
+async function estadoVigenteCifrado() {
+    const parametros = await leerParametrosCifrado();
+    if (!parametros) return { activo: false, clave: null };
+    return { activo: true, clave: sesionCifrado?.id === parametros.id ? sesionCifrado.clave : null };
+}
+
+/**
+ * Desbloquea esta página con la clave indicada.
+ * @param {string} id - ID de los parámetros de cifrado vigentes.
+ * @param {CryptoKey} clave - No exportable (ver derivarClave).
  */
-export function obtenerCitas() {
+function iniciarSesionCifrado(id, clave) {
+    sesionCifrado = { id, clave };
+}
+
+/**
+ * Indica si los datos están cifrados y si esta página puede leerlos.
+ * @returns {Promise<{activo: boolean, desbloqueado: boolean}>}
+ */
+export async function estadoCifrado() {
+    await listo;
+    const { activo, clave } = await estadoVigenteCifrado();
+    return { activo, desbloqueado: !activo || clave !== null };
+}
+
+/**
+ * Desbloquea los datos con la frase de la clínica.
+ * @param {string} frase
+ * @returns {Promise<boolean>} False si la frase no es correcta.
+ */
+export async function desbloquearDatos(frase) {
+    await listo;
+    const parametros = await leerParametrosCifrado();
+    if (!parametros) return true;
+    const clave = await comprobarFrase(frase, parametros);
+    if (!clave) return false;
+    iniciarSesionCifrado(parametros.id, clave);
+    return true;
+}
+
+/**
+ * Olvida la clave de esta página: hasta volver a introducir la frase no se pueden leer los datos.
+ */
+export function bloquearDatos() {
+    sesionCifrado = null;
+}
+
+/**
+ * Clave en la que se guarda la copia recifrada de una clave de datos durante un cambio de frase.
+ * @param {string} clave
+ * @returns {string}
+ */
+function claveProvisional(clave) {
+    return `${clave}.cambioDeFrase`;
+}
+
+/**
+ * Termina un cambio de frase interrumpido o descarta sus restos. Las copias provisionales
+ * solo son definitivas si los parámetros vigentes llevan la marca `cambioPendiente`:
+ * entonces se copian a su sitio (ya están cifradas, no hace falta la frase). Sin la marca
+ * son de un cambio que no llegó a aplicarse y se borran.
+ * Debe ejecutarse en exclusiva: otra pestaña podría estar cambiando la frase.
+ * @returns {Promise<void>}
+ */
+async function completarCambioDeFrase() {
+    const parametros = await leerParametrosCifrado();
+    if (parametros?.cambioPendiente) {
+        for (const clave of parametros.cambioPendiente) {
+            const valor = await almacen.leer(claveProvisional(clave));
+            if (valor !== null) await almacen.escribir(clave, valor);
+        }
+        const { cambioPendiente, ...definitivos } = parametros;
+        await almacen.escribir(CRYPTO_KEY, JSON.stringify(definitivos));
+    }
+    for (const clave of CLAVES_CIFRADAS) {
+        if (await almacen.leer(claveProvisional(clave)) !== null) await almacen.eliminar(claveProvisional(clave));
+    }
+}
+
+/**
+ * Activa el cifrado o cambia la frase de la clínica sin arriesgar los datos:
+ * 1. Se leen todos los datos en claro y se guardan recifrados en copias provisionales.
+ *    Si algo falla, se borran las copias y los datos y la frase anteriores siguen intactos.
+ * 2. Se guardan los parámetros nuevos con la marca `cambioPendiente`. Desde aquí el cambio
+ *    se puede terminar sin la frase, aunque se cierre la pestaña (ver completarCambioDeFrase).
+ * 3. Se copian las copias provisionales a su sitio. Si falla, se restauran los valores
+ *    y los parámetros anteriores; si tampoco se puede, el cambio se termina al volver a abrir.
+ * @param {string} fraseNueva
+ * @param {string} [fraseActual=''] - Obligatoria si el cifrado ya está activo.
+ * @returns {Promise<void>}
+ * @throws {Error} Si la frase nueva no es válida, la actual no es correcta o falla la escritura.
+ */
+export async function cambiarFraseCifrado(fraseNueva, fraseActual = '') {
+    const error = validarFrase(fraseNueva, fraseNueva);
+    if (error) throw new Error(error);
+    await listo;
+
+    return enExclusiva(async () => {
+        await comprobarPermiso('ajustes');
+        const parametros = await leerParametrosCifrado();
+        if (parametros) {
+            const claveActual = await comprobarFrase(fraseActual, parametros);
+            if (!claveActual) throw new Error('La frase actual no es correcta.');
+            iniciarSesionCifrado(parametros.id, claveActual);
+        }
+
+        // Si algún valor no se puede leer, se aborta antes de escribir nada.
+        // De cada clave se guarda el valor tal cual está (para deshacer) y en claro (para recifrarlo).
+        const valores = new Map();
+        for (const clave of CLAVES_CIFRADAS) {
+            const texto = await adaptador.leer(clave);
+            if (texto !== null) valores.set(clave, { original: await almacen.leer(clave), texto });
+        }
+
+        const { parametros: nuevos, clave } = await crearCifrado(fraseNueva);
+        try {
+            for (const [claveDatos, { texto }] of valores) {
+                await almacen.escribir(claveProvisional(claveDatos), await cifrarTexto(clave, texto));
+            }
+            await almacen.escribir(CRYPTO_KEY, JSON.stringify({ ...nuevos, cambioPendiente: [...valores.keys()] }));
+        } catch (e) {
+            console.error(`No se pudieron preparar los datos recifrados (${adaptador.nombre}).`, e);
+            await completarCambioDeFrase().catch(() => {});
+            throw new Error(`Fallo en la persistencia de datos (${e.message}). No se ha cambiado nada.`);
+        }
+
+        try {
+            await completarCambioDeFrase();
+        } catch (e) {
+            console.error(`No se pudieron guardar los datos recifrados (${adaptador.nombre}).`, e);
+            try {
+                for (const [claveDatos, { original }] of valores) {
+                    await almacen.escribir(claveDatos, original);
+                }
+                if (parametros) await almacen.escribir(CRYPTO_KEY, JSON.stringify(parametros));
+                else await almacen.eliminar(CRYPTO_KEY);
+                await completarCambioDeFrase();
+            } catch (errorAlDeshacer) {
+                console.error("No se pudo deshacer el cambio de frase; se terminará al volver a abrir la aplicación.", errorAlDeshacer);
+            }
+            throw new Error(`Fallo en la persistencia de datos (${e.message}).`);
+        }
+
+        iniciarSesionCifrado(nuevos.id, clave);
+        // Las demás pestañas quedan bloqueadas hasta que se introduzca la frase nueva
+        avisarCambio();
+    });
+}
+
+// --- Cuarentena ---
+
+/**
+ * Obtiene los registros apartados por no poder leerse o validarse.
+ * @returns {Promise<Array<{id: string, fecha: string, motivo: string, registro: any}>>}
+ */
+export async function obtenerCuarentena() {
+    await listo;
+    const json = await adaptador.leer(QUARANTINE_KEY);
+    if (!json) return [];
     try {
-        const json = localStorage.getItem(STORAGE_KEY);
-        if (!json) return [];
-        
         return JSON.parse(json);
     } catch (e) {
-        // Manejo de datos corruptos: Notificar y limpiar para recuperar la estabilidad.
-        console.error("⚠️ Error: Los datos de citas están corruptos y han sido eliminados.", e);
-        // No usar alert() en funciones puras si es posible, es mejor que el controlador de la UI lo haga.
-        localStorage.removeItem(STORAGE_KEY);
+        // La cuarentena es el último recurso: si está dañada no se toca aquí, solo se avisa
+        // (enviarACuarentena la aparta antes de empezar otra).
+        console.error("La cuarentena de citas no se puede leer.", e);
         return [];
     }
 }
 
 /**
- * Guarda o actualiza una cita. Si 'cita.id' existe, actualiza; si no, crea uno nuevo.
- * @param {Object} cita - El objeto de la cita.
- */
-export function guardarCita(cita) {
-    let citas = obtenerCitas();
-    // Clona el objeto para evitar mutaciones inesperadas del argumento.
-    const citaToSave = { ...cita }; 
-
-    if (citaToSave.id) {
-        // Modo Edición: Asegurar que el ID sea string (seguridad extra)
-        const idToFind = String(citaToSave.id);
-        const index = citas.findIndex(c => c.id === idToFind);
-        if (index !== -1) {
-             citas[index] = citaToSave;
-        } else {
-             // Si el ID existe en el objeto pero no en la lista, lo tratamos como nuevo
-             citaToSave.id = generarProximoId();
-             citas.push(citaToSave);
+ * Guarda una copia íntegra de una cuarentena ilegible antes de sustituirla.
+ * @param {string} json - Valor guardado que no se ha podido interpretar.
+ * @returns {Promise<void>}
+ * @throws {Error} Si tampoco se pueden leer las copias anteriores: entonces no se escribe nada.
+ */
+async function apartarCuarentenaDanada(json) {
+    const previas = await adaptador.leer(DAMAGED_QUARANTINE_KEY);
+    let copias;
+    try {
+        copias = previas ? JSON.parse(previas) : [];
+    } catch (e) {
+        throw new Error('La cuarentena de citas está dañada y no se puede apartar: no se ha modificado.');
+    }
+    copias.push({ fecha: new Date().toISOString(), valor: json });
+    await adaptador.escribir(DAMAGED_QUARANTINE_KEY, JSON.stringify(copias));
+}
+
+/**
+ * Añade registros a la cuarentena para que recepción pueda revisarlos.
+ * Si la cuarentena guardada no se puede leer, se aparta una copia antes de empezar otra.
+ * @param {Array<{registro: any, motivo: string}>} rechazados
+ * @returns {Promise<void>}
+ */
+async function enviarACuarentena(rechazados) {
+    const json = await adaptador.leer(QUARANTINE_KEY);
+    let cuarentena = [];
+    if (json) {
+        try {
+            cuarentena = JSON.parse(json);
+        } catch (e) {
+            console.error("La cuarentena de citas no se puede leer y se ha apartado una copia.", e);
+            await apartarCuarentenaDanada(json);
         }
-    } else {
-        // Modo Creación: Asignar ID
-        citaToSave.id = generarProximoId();
-        citas.push(citaToSave);
     }
-    
+    const fecha = new Date().toISOString();
+    rechazados.forEach(({ registro, motivo }, i) => {
+        cuarentena.push({ id: `${Date.now()}-${cuarentena.length + i}`, fecha, motivo, registro });
+    });
+    await adaptador.escribir(QUARANTINE_KEY, JSON.stringify(cuarentena));
+}
+
+/**
+ * Descarta definitivamente un registro de la cuarentena.
+ * @param {string} id - ID de la entrada de cuarentena.
+ * @returns {Promise<boolean>} True si se descartó.
+ */
+export async function descartarDeCuarentena(id) {
+    await comprobarPermiso('borrar');
+    const cuarentena = await obtenerCuarentena();
+    const restantes = cuarentena.filter(entrada => entrada.id !== id);
+    if (restantes.length === cuarentena.length) return false;
+    await adaptador.escribir(QUARANTINE_KEY, JSON.stringify(restantes));
+    return true;
+}
+
+/**
+ * Obtiene todas las citas almacenadas, migradas a la versión actual del esquema.
+ * Los datos ilegibles o inválidos se apartan a la cuarentena, nunca se borran.
+ * @returns {Promise<Array<Cita>>} Lista de citas o array vacío.
+ */
+export async function obtenerCitas() {
+    await listo;
+
+    let json;
+    try {
+        json = await adaptador.leer(STORAGE_KEY);
+    } catch (e) {
+        console.error(`No se pudieron leer las citas (${adaptador.nombre}).`, e);
+        throw new Error(`Fallo al leer los datos (${e.message}).`);
+    }
+    if (!json) return [];
+
+    let resultado;
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(citas));
+        resultado = actualizarDatos(JSON.parse(json));
     } catch (e) {
-        console.error("No se pudo guardar la lista de citas en LocalStorage.", e);
-        throw new Error("Fallo en la persistencia de datos (LocalStorage lleno o no disponible).");
+        if (e instanceof SyntaxError) {
+            // Datos ilegibles: se guarda una copia íntegra en cuarentena antes de reiniciar la lista.
+            console.error("⚠️ Error: Los datos de citas están corruptos y se han movido a la cuarentena.", e);
+            await enviarACuarentena([{ registro: json, motivo: 'Datos de citas ilegibles.' }]);
+            await escribirCitas([]);
+            return [];
+        }
+        throw e;
+    }
+
+    if (resultado.actualizado) {
+        // Primero la cuarentena: si falla, los datos originales siguen intactos.
+        if (resultado.rechazados.length > 0) {
+            console.warn(`${resultado.rechazados.length} cita(s) no válidas se han movido a la cuarentena.`);
+            await enviarACuarentena(resultado.rechazados);
+        }
+        await escribirCitas(resultado.citas);
     }
+    return resultado.citas.map(Cita.fromJSON);
+}
+
+/**
+ * Guarda o actualiza una cita. Si 'cita.id' existe, actualiza; si no, crea uno nuevo.
+ * @param {Cita|Object} cita - La cita (o su representación plana).
+ * @returns {Promise<Cita>} La cita guardada, con su ID asignado.
+ */
+export async function guardarCita(cita) {
+    const [guardada] = await guardarCitas([cita]);
+    return guardada;
+}
+
+/**
+ * Guarda o actualiza varias citas con una sola escritura (p. ej. una serie periódica).
+ * @param {Array<Cita|Object>} nuevas - Citas a guardar; las que tienen ID se actualizan.
+ * @returns {Promise<Array<Cita>>} Las citas guardadas, con su ID asignado, en el mismo orden.
+ */
+export function guardarCitas(nuevas) {
+    return enExclusiva(async () => {
+        let citas = await obtenerCitas();
+        const anteriores = citas.map(c => c.toJSON());
+        const guardadas = [];
+
+        const editadas = nuevas.filter(c => c.id && citas.some(g => g.id === String(c.id)));
+        if (editadas.length > 0) await comprobarPermiso('editar');
+        if (editadas.length < nuevas.length) await comprobarPermiso('crear');
+
+        // Una edición hecha sobre una versión antigua no pisa lo que otra pestaña guardó después
+        for (const cita of nuevas) {
+            const { id, revision } = Cita.fromJSON(cita);
+            const guardada = id ? citas.find(c => c.id === id) : null;
+            if (guardada && revision !== guardada.revision) throw new ConflictoDeRevision(guardada);
+        }
+
+        for (const cita of nuevas) {
+            // Clona la cita para evitar mutaciones inesperadas del argumento.
+            const citaToSave = new Cita(Cita.fromJSON(cita).toJSON());
+
+            // Los datos del paciente se sincronizan en todas sus citas para que no diverjan entre visitas
+            citas.forEach(c => {
+                if (c.paciente.dni === citaToSave.paciente.dni) c.paciente = new Paciente(citaToSave.paciente.toJSON());
+            });
+
+            if (citaToSave.id) {
+                // Modo Edición: Asegurar que el ID sea string (seguridad extra)
+                const idToFind = String(citaToSave.id);
+                const index = citas.findIndex(c => c.id === idToFind);
+                if (index !== -1) {
+                     citas[index] = citaToSave;
+                } else {
+                     // Si el ID existe en el objeto pero no en la lista, lo tratamos como nuevo
+                     citaToSave.id = await generarProximoId();
+                     citaToSave.revision = 0;
+                     citas.push(citaToSave);
+                }
+            } else {
+                // Modo Creación: Asignar ID
+                citaToSave.id = await generarProximoId();
+                citaToSave.revision = 0;
+                citas.push(citaToSave);
+            }
+            guardadas.push(citaToSave);
+        }
+        asignarRevisiones(anteriores, citas);
+    
+        try {
+            await escribirCitas(citas);
+        } catch (e) {
+            console.error(`No se pudo guardar la lista de citas (${adaptador.nombre}).`, e);
+            throw new Error(`Fallo en la persistencia de datos (${e.message}).`);
+        }
+        await auditar(anteriores, citas);
+        for (const cita of guardadas) {
+            await registrarPaciente(cita.paciente);
+        }
+        return guardadas;
+    });
 }
 
 /**
- * Elimina una cita por su ID.
+ * Mueve una cita a la papelera por su ID.
  * @param {string} id - El ID de la cita a eliminar.
- * @returns {boolean} True si se eliminó o false si no se encontró o falló.
+ * @returns {Promise<boolean>} True si se eliminó o false si no se encontró o falló.
  */
-export function eliminarCita(id) {
+export async function eliminarCita(id) {
     if (!id) return false;
-    const citas = obtenerCitas();
-    const citasOriginalLength = citas.length;
+    return (await eliminarCitas([id])) > 0;
+}
+
+/**
+ * Mueve varias citas a la papelera con una sola escritura (p. ej. una serie o parte de ella).
+ * Las citas conservan su ID para poder restaurarlas.
+ * @param {Array<string>} ids - IDs de las citas a eliminar.
+ * @returns {Promise<number>} Número de citas eliminadas (0 si no se encontró ninguna o falló).
+ */
+export function eliminarCitas(ids) {
+    return enExclusiva(async () => {
+        await comprobarPermiso('borrar');
+        const idsABorrar = new Set(ids.map(String));
+        const citas = await obtenerCitas();
+        const borradas = citas.filter(c => idsABorrar.has(c.id));
     
-    // Filtrar citas, asegurando que el ID es un string
-    const nuevas = citas.filter(c => c.id !== String(id));
+        if (borradas.length === 0) {
+            return 0; // No se encontró ninguna cita con esos IDs
+        }
     
-    if (nuevas.length === citasOriginalLength) {
-        return false; // No se encontró ninguna cita con ese ID
+        try {
+            // Primero la papelera: si falla la segunda escritura, la cita sigue en la agenda
+            const fecha_borrado = new Date().toISOString();
+            const papelera = (await leerPapelera()).filter(e => !idsABorrar.has(e.cita.id));
+            papelera.push(...borradas.map(c => ({ fecha_borrado, cita: c.toJSON() })));
+            await escribirPapelera(papelera);
+            const restantes = citas.filter(c => !idsABorrar.has(c.id));
+            await escribirCitas(restantes);
+            await auditar(citas, restantes);
+            return borradas.length;
+        } catch (e) {
+            console.error("Fallo al guardar la lista de citas después de la eliminación.", e);
+            return 0;
+        }
+    });
+}
+
+// --- Papelera ---
+
+/**
+ * @typedef {Object} EntradaPapelera
+ * @property {Cita} cita - Cita borrada, con su ID original.
+ * @property {string} fecha_borrado - Momento del borrado (ISO 8601).
+ */
+
+/**
+ * Lee la papelera, con las citas migradas a la versión actual del esquema.
+ * Si no se puede leer, se mueve a la cuarentena y se empieza una vacía.
+ * @returns {Promise<Array<{cita: Object, fecha_borrado: string}>>}
+ */
+async function leerPapelera() {
+    await listo;
+    const json = await adaptador.leer(TRASH_KEY);
+    if (!json) return [];
+    try {
+        const { version, entradas } = JSON.parse(json);
+        return entradas.map(e => ({ fecha_borrado: e.fecha_borrado, cita: migrarRegistro(e.cita, version) }));
+    } catch (e) {
+        // Si se devolviera vacía sin más, la siguiente escritura la borraría: antes se aparta íntegra
+        console.error("La papelera de citas no se puede leer y se ha movido a la cuarentena.", e);
+        await enviarACuarentena([{ registro: json, motivo: 'Papelera de citas ilegible.' }]);
+        await escribirPapelera([]);
+        return [];
     }
-    
+}
+
+/**
+ * Guarda la papelera completa. Lleva su propia versión del esquema porque
+ * una cita puede pasar mucho tiempo en ella antes de restaurarse.
+ * @param {Array<{cita: Object, fecha_borrado: string}>} entradas
+ * @returns {Promise<void>}
+ */
+async function escribirPapelera(entradas) {
+    await adaptador.escribir(TRASH_KEY, JSON.stringify({ version: VERSION_ACTUAL, entradas }));
+    avisarCambio();
+}
+
+/**
+ * Obtiene las citas borradas, de la más reciente a la más antigua.
+ * @returns {Promise<Array<EntradaPapelera>>}
+ */
+export async function obtenerPapelera() {
+    const entradas = await leerPapelera();
+    return entradas
+        .map(e => ({ fecha_borrado: e.fecha_borrado, cita: Cita.fromJSON(e.cita) }))
+        .sort((a, b) => b.fecha_borrado.localeCompare(a.fecha_borrado));
+}
+
+/**
+ * Devuelve citas de la papelera a la agenda con su ID original.
+ * Los datos del paciente se toman del registro si sigue dado de alta, para no
+ * sobrescribir correcciones hechas después del borrado.
+ * La comprobación de que el hueco sigue libre corresponde a quien restaura.
+ * @param {Array<string>} ids - IDs de las citas a restaurar.
+ * @returns {Promise<Array<Cita>>} Las citas restauradas.
+ * @throws {Error} Si alguno de los IDs ya está en uso en la agenda o falla la escritura.
+ */
+export function restaurarCitas(ids) {
+    return enExclusiva(async () => {
+        await comprobarPermiso('crear');
+        const idsARestaurar = new Set(ids.map(String));
+        const [citas, papelera, pacientes] = await Promise.all([obtenerCitas(), leerPapelera(), obtenerPacientes()]);
+        const restauradas = papelera.filter(e => idsARestaurar.has(e.cita.id)).map(e => Cita.fromJSON(e.cita));
+        if (restauradas.length === 0) return [];
+
+        const enUso = restauradas.find(r => citas.some(c => c.id === r.id));
+        if (enUso) {
+            throw new Error(`Ya existe otra cita con el ID ${enUso.id} en la agenda.`);
+        }
+
+        restauradas.forEach(cita => {
+            const registrado = pacientes.find(p => p.dni === cita.paciente.dni);
+            if (registrado) cita.paciente = new Paciente(registrado.toJSON());
+            else pacientes.push(cita.paciente);
+        });
+
+        try {
+            await escribirCitas([...citas, ...restauradas]);
+            await escribirPapelera(papelera.filter(e => !idsARestaurar.has(e.cita.id)));
+        } catch (e) {
+            console.error(`No se pudieron restaurar las citas (${adaptador.nombre}).`, e);
+            throw new Error(`Fallo en la persistencia de datos (${e.message}).`);
+        }
+        await auditar(citas, [...citas, ...restauradas], { alAnadir: 'restaurar' });
+        await escribirPacientes(pacientes);
+        return restauradas;
+    });
+}
+
+/**
+ * Elimina definitivamente citas de la papelera.
+ * @param {Array<string>} [ids] - IDs a eliminar; si se omite, se vacía la papelera.
+ * @returns {Promise<number>} Número de citas eliminadas.
+ */
+export function purgarPapelera(ids) {
+    return enExclusiva(async () => {
+        await comprobarPermiso('borrar');
+        const papelera = await leerPapelera();
+        const idsAPurgar = ids ? new Set(ids.map(String)) : null;
+        const restantes = idsAPurgar ? papelera.filter(e => !idsAPurgar.has(e.cita.id)) : [];
+        if (restantes.length === papelera.length) return 0;
+        try {
+            await escribirPapelera(restantes);
+        } catch (e) {
+            console.error(`No se pudo vaciar la papelera (${adaptador.nombre}).`, e);
+            throw new Error(`Fallo en la persistencia de datos (${e.message}).`);
+        }
+        await auditar(papelera.map(e => e.cita), restantes.map(e => e.cita), { alQuitar: 'purgar' });
+        return papelera.length - restantes.length;
+    });
+}
+
+/**
+ * Evita que el contador genere IDs que ya existen en unos datos importados.
+ * @param {Iterable<string>} ids - IDs presentes tras la importación.
+ * @returns {Promise<void>}
+ */
+async function sincronizarContador(ids) {
+    const anioActual = new Date().getFullYear();
+    let maximo = 0;
+    for (const id of ids) {
+        const [, anio, seq] = /^(\d{4})-(\d+)$/.exec(id) ?? [];
+        if (Number(anio) === anioActual) maximo = Math.max(maximo, Number(seq));
+    }
+    if (maximo === 0) return;
+
+    let contador = null;
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(nuevas));
+        contador = JSON.parse(await adaptador.leer(COUNTER_KEY));
+    } catch (e) {
+        // Contador ilegible: se sobrescribe con el valor calculado
+    }
+    if (contador?.anio === anioActual && contador.seq >= maximo) return;
+    await adaptador.escribir(COUNTER_KEY, JSON.stringify({ anio: anioActual, seq: maximo }));
+}
+
+/**
+ * Incorpora citas importadas con una sola escritura.
+ * Se conservan los IDs importados salvo que falten o ya existan (entonces se genera uno nuevo).
+ * Al contrario que guardarCitas, no sincroniza los datos del paciente en sus otras citas:
+ * cada cita importada se guarda tal como venía.
+ * @param {Array<Cita|Object>} importadas - Citas ya validadas.
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.reemplazar=false] - Si es true, sustituyen a todas las citas guardadas.
+ * @returns {Promise<number>} Número de citas importadas.
+ */
+export function importarCitas(importadas, { reemplazar = false } = {}) {
+    return enExclusiva(async () => {
+        await comprobarPermiso(reemplazar ? 'borrar' : 'crear');
+        const anteriores = await obtenerCitas();
+        const citas = reemplazar ? [] : [...anteriores];
+        const nuevas = importadas.map(cita => new Cita(Cita.fromJSON(cita).toJSON()));
+        const ids = new Set(citas.map(c => c.id));
+        await sincronizarContador(nuevas.map(c => c.id).filter(Boolean));
+
+        for (const cita of nuevas) {
+            if (!cita.id || ids.has(cita.id)) {
+                cita.id = await generarProximoId();
+                cita.revision = 0;
+            }
+            ids.add(cita.id);
+            citas.push(cita);
+        }
+        // Al reemplazar, una cita importada con el ID de una guardada continúa su numeración
+        asignarRevisiones(anteriores.map(c => c.toJSON()), citas);
+
+        try {
+            await escribirCitas(citas);
+        } catch (e) {
+            console.error(`No se pudieron guardar las citas importadas (${adaptador.nombre}).`, e);
+            throw new Error(`Fallo en la persistencia de datos (${e.message}).`);
+        }
+        // Al reemplazar, las citas que no vienen en el archivo se pierden sin pasar por la papelera
+        await auditar(anteriores, citas, { alAnadir: 'importar', alQuitar: 'purgar' });
+        if (reemplazar) {
+            await reconstruirPacientes();
+        } else {
+            // Se dan de alta los pacientes importados; para cada DNI prevalece su cita más reciente
+            const pacientes = await obtenerPacientes();
+            [...nuevas]
+                .sort((a, b) => (a.fechaHora.getTime() || 0) - (b.fechaHora.getTime() || 0))
+                .forEach(c => {
+                    const index = pacientes.findIndex(p => p.dni === c.paciente.dni);
+                    if (index !== -1) pacientes[index] = c.paciente;
+                    else pacientes.push(c.paciente);
+                });
+            await escribirPacientes(pacientes);
+        }
+        return nuevas.length;
+    });
+}
+
+// --- Registro de auditoría ---
+
+/**
+ * Obtiene el registro de cambios de las citas, del más antiguo al más reciente.
+ * @param {string} [citaId] - Si se indica, solo los cambios de esa cita.
+ * @returns {Promise<Array<import('./auditLog.js').EntradaAuditoria>>}
+ */
+export async function obtenerAuditoria(citaId) {
+    await listo;
+    if (!AUDITORIA_ACTIVA) return [];
+    const json = await adaptador.leer(AUDIT_KEY);
+    if (!json) return [];
+    let entradas;
+    try {
+        entradas = JSON.parse(json);
+    } catch (e) {
+        // El registro no se reescribe nunca: si está dañado se conserva en la cuarentena y se empieza otro
+        console.error("El registro de auditoría no se puede leer y se ha movido a la cuarentena.", e);
+        await enviarACuarentena([{ registro: json, motivo: 'Registro de auditoría ilegible.' }]);
+        await adaptador.escribir(AUDIT_KEY, '[]');
+        return [];
+    }
+    return citaId ? entradas.filter(e => e.cita_id === citaId) : entradas;
+}
+
+/**
+ * Añade al registro de auditoría los cambios entre dos estados de la agenda.
+ * El registro solo crece: no hay operación para modificar o borrar entradas, salvo la
+ * supresión de los datos personales de las citas eliminadas definitivamente.
+ * La anotación es de mejor esfuerzo: se hace después de guardar las citas y un fallo
+ * no deshace ni impide el guardado, solo queda en la consola (el cambio ya está hecho
+ * y avisar a recepción no le daría nada que hacer). Con el backend de cookies no se anota nada.
+ * @param {Array<Cita|Object>} anteriores
+ * @param {Array<Cita|Object>} actuales
+ * @param {Object} [opciones] - Acciones para las citas que aparecen o desaparecen (ver entradasDeAuditoria).
+ * @returns {Promise<void>}
+ */
+async function auditar(anteriores, actuales, opciones) {
+    const plano = (c) => (c instanceof Cita ? c.toJSON() : c);
+    if (!AUDITORIA_ACTIVA) return;
+    const entradas = entradasDeAuditoria(anteriores.map(plano), actuales.map(plano), opciones);
+    if (entradas.length === 0) return;
+    try {
+        const registro = await obtenerAuditoria();
+        await adaptador.escribir(AUDIT_KEY, JSON.stringify(suprimirDatosPersonales([...registro, ...entradas])));
+    } catch (e) {
+        console.error(`No se pudo anotar el cambio en el registro de auditoría (${adaptador.nombre}).`, e);
+    }
+}
+
+// --- Lista de espera ---
+
+/**
+ * Obtiene los pacientes en lista de espera, por orden de llegada.
+ * Si no se puede leer, se mueve a la cuarentena y se empieza una vacía.
+ * @returns {Promise<Array<import('./waitlist.js').EntradaEspera>>}
+ */
+export async function obtenerListaEspera() {
+    await listo;
+    const json = await adaptador.leer(WAITLIST_KEY);
+    if (!json) return [];
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        console.error("La lista de espera no se puede leer y se ha movido a la cuarentena.", e);
+        await enviarACuarentena([{ registro: json, motivo: 'Lista de espera ilegible.' }]);
+        await escribirListaEspera([]);
+        return [];
+    }
+}
+
+/**
+ * Guarda la lista de espera completa.
+ * @param {Array<import('./waitlist.js').EntradaEspera>} entradas
+ * @returns {Promise<void>}
+ */
+async function escribirListaEspera(entradas) {
+    try {
+        await adaptador.escribir(WAITLIST_KEY, JSON.stringify(entradas));
+        avisarCambio();
+    } catch (e) {
+        console.error(`No se pudo guardar la lista de espera (${adaptador.nombre}).`, e);
+        throw new Error(`Fallo en la persistencia de datos (${e.message}).`);
+    }
+}
+
+/**
+ * Apunta a un paciente en la lista de espera.
+ * @param {Object} entrada - Datos de la entrada sin ID ni fecha de alta (ver waitlist.js).
+ * @returns {Promise<import('./waitlist.js').EntradaEspera>} La entrada guardada.
+ */
+export function anadirAListaEspera(entrada) {
+    return enExclusiva(async () => {
+        await comprobarPermiso('crear');
+        const entradas = await obtenerListaEspera();
+        const nueva = {
+            ...entrada,
+            id: `espera-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            fecha_alta: new Date().toISOString()
+        };
+        await escribirListaEspera([...entradas, nueva]);
+        return nueva;
+    });
+}
+
+/**
+ * Quita a un paciente de la lista de espera (ya tiene cita o ha dejado de necesitarla).
+ * @param {string} id
+ * @returns {Promise<boolean>} False si la entrada ya no estaba en la lista.
+ */
+export function quitarDeListaEspera(id) {
+    return enExclusiva(async () => {
+        await comprobarPermiso('editar');
+        const entradas = await obtenerListaEspera();
+        const restantes = entradas.filter(e => e.id !== id);
+        if (restantes.length === entradas.length) return false;
+        await escribirListaEspera(restantes);
         return true;
+    });
+}
+
+// --- Registro de pacientes (clave: DNI) ---
+
+/**
+ * Guarda la lista completa de pacientes.
+ * @param {Array<Paciente>} pacientes
+ * @returns {Promise<void>}
+ */
+async function escribirPacientes(pacientes) {
+    try {
+        await adaptador.escribir(PATIENTS_KEY, JSON.stringify(pacientes));
+        avisarCambio();
     } catch (e) {
-        console.error("Fallo al guardar la lista de citas después de la eliminación.", e);
-        return false;
+        console.error(`No se pudo guardar el registro de pacientes (${adaptador.nombre}).`, e);
+        throw new Error(`Fallo en la persistencia de datos (${e.message}).`);
+    }
+}
+
+/**
+ * Reconstruye el registro a partir de las citas: para cada DNI prevalecen
+ * los datos de su cita más reciente.
+ * @returns {Promise<Array<Paciente>>}
+ */
+async function reconstruirPacientes() {
+    const citas = await obtenerCitas();
+    const porDni = new Map();
+    [...citas]
+        .sort((a, b) => (a.fechaHora.getTime() || 0) - (b.fechaHora.getTime() || 0))
+        .forEach(c => porDni.set(c.paciente.dni, c.paciente));
+    const pacientes = [...porDni.values()];
+    await escribirPacientes(pacientes);
+    return pacientes;
+}
+
+/**
+ * Obtiene todos los pacientes registrados.
+ * @returns {Promise<Array<Paciente>>}
+ */
+export async function obtenerPacientes() {
+    await listo;
+    const json = await adaptador.leer(PATIENTS_KEY);
+    // Primer uso tras actualizar: el registro se crea con los pacientes de las citas existentes
+    if (json === null) return reconstruirPacientes();
+
+    try {
+        return JSON.parse(json).map(Paciente.fromJSON);
+    } catch (e) {
+        // Las citas llevan una copia sincronizada de los datos, así que el registro se puede rehacer
+        console.error("Registro de pacientes corrupto, se reconstruye desde las citas.", e);
+        return reconstruirPacientes();
+    }
+}
+
+/**
+ * Busca un paciente por su DNI/NIE.
+ * @param {string} dni - DNI/NIE (se normaliza a mayúsculas).
+ * @returns {Promise<Paciente|null>}
+ */
+export async function obtenerPaciente(dni) {
+    if (!dni) return null;
+    const dniNormalizado = String(dni).trim().toUpperCase();
+    const pacientes = await obtenerPacientes();
+    return pacientes.find(p => p.dni === dniNormalizado) ?? null;
+}
+
+/**
+ * Da de alta o actualiza un paciente en el registro (sin tocar sus citas).
+ * @param {Paciente} paciente
+ * @returns {Promise<void>}
+ */
+async function registrarPaciente(paciente) {
+    const pacientes = await obtenerPacientes();
+    const index = pacientes.findIndex(p => p.dni === paciente.dni);
+    if (index !== -1) {
+        pacientes[index] = paciente;
+    } else {
+        pacientes.push(paciente);
     }
-}
\ No newline at end of file
+    await escribirPacientes(pacientes);
+}
+
+/**
+ * Corrige los datos de un paciente y los actualiza en todas sus citas.
+ * @param {Paciente|Object} paciente - Paciente con el DNI ya registrado.
+ * @returns {Promise<number>} Número de citas actualizadas.
+ */
+export function guardarPaciente(paciente) {
+    return enExclusiva(async () => {
+        await comprobarPermiso('editar');
+        const pacienteToSave = new Paciente(Paciente.fromJSON(paciente).toJSON());
+        const citas = await obtenerCitas();
+        const anteriores = citas.map(c => c.toJSON());
+        let actualizadas = 0;
+
+        citas.forEach(c => {
+            if (c.paciente.dni === pacienteToSave.dni) {
+                c.paciente = new Paciente(pacienteToSave.toJSON());
+                actualizadas++;
+            }
+        });
+        asignarRevisiones(anteriores, citas);
+
+        if (actualizadas > 0) {
+            try {
+                await escribirCitas(citas);
+            } catch (e) {
+                console.error(`No se pudieron actualizar las citas del paciente (${adaptador.nombre}).`, e);
+                throw new Error(`Fallo en la persistencia de datos (${e.message}).`);
+            }
+            await auditar(anteriores, citas);
+        }
+        await registrarPaciente(pacienteToSave);
+        return actualizadas;
+    });
+}
+
+/**
+ * Obtiene todas las citas (pasadas y futuras) de un paciente.
+ * @param {string} dni - DNI/NIE del paciente.
+ * @returns {Promise<Array<Cita>>}
+ */
+export async function obtenerCitasDePaciente(dni) {
+    const dniNormalizado = String(dni ?? '').trim().toUpperCase();
+    const citas = await obtenerCitas();
+    return citas.filter(c => c.paciente.dni === dniNormalizado);
+}
+
+// --- Ajustes de la clínica ---
+
+/**
+ * Obtiene los ajustes de la clínica tal como están guardados.
+ * @returns {Promise<Object|null>} Ajustes o null si nunca se han guardado (o no se pueden leer).
+ */
+export async function obtenerAjustesClinica() {
+    await listo;
+    const json = await adaptador.leer(SETTINGS_KEY);
+    if (!json) return null;
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        console.error("Ajustes de la clínica corruptos, se usarán los valores por defecto.", e);
+        return null;
+    }
+}
+
+/**
+ * Guarda los ajustes de la clínica.
+ * @param {Object} ajustes
+ * @returns {Promise<void>}
+ */
+export async function guardarAjustesClinica(ajustes) {
+    await listo;
+    await comprobarPermiso('ajustes');
+    try {
+        await adaptador.escribir(SETTINGS_KEY, JSON.stringify(ajustes));
+    } catch (e) {
+        console.error(`No se pudieron guardar los ajustes (${adaptador.nombre}).`, e);
+        throw new Error(`Fallo en la persistencia de datos (${e.message}).`);
+    }
+}
+
+// --- Recordatorios ---
+
+/**
+ * Obtiene las plantillas de recordatorio tal como están guardadas. Si no se pueden leer,
+ * se mueven a la cuarentena (para recuperar el texto a mano) y se vuelve a las predeterminadas.
+ * @returns {Promise<Object|null>} Plantillas o null si nunca se han editado (o no se pueden leer).
+ */
+export async function obtenerPlantillasRecordatorio() {
+    await listo;
+    const json = await adaptador.leer(TEMPLATES_KEY);
+    if (!json) return null;
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        console.error("Plantillas de recordatorio corruptas: se han movido a la cuarentena y se usarán las predeterminadas.", e);
+        await enviarACuarentena([{ registro: json, motivo: 'Plantillas de recordatorio ilegibles.' }]);
+        await adaptador.eliminar(TEMPLATES_KEY);
+        return null;
+    }
+}
+
+/**
+ * Guarda las plantillas de recordatorio.
+ * @param {Object} plantillas
+ * @returns {Promise<void>}
+ */
+export async function guardarPlantillasRecordatorio(plantillas) {
+    await listo;
+    await comprobarPermiso('ajustes');
+    try {
+        await adaptador.escribir(TEMPLATES_KEY, JSON.stringify(plantillas));
+    } catch (e) {
+        console.error(`No se pudieron guardar las plantillas (${adaptador.nombre}).`, e);
+        throw new Error(`Fallo en la persistencia de datos (${e.message}).`);
+    }
+}
+
+/**
+ * Obtiene el registro de recordatorios enviados, del más antiguo al más reciente.
+ * Si no se puede leer, se mueve a la cuarentena y se empieza uno vacío.
+ * @returns {Promise<Array<import('./reminders.js').RecordatorioEnviado>>}
+ */
+export async function obtenerRecordatoriosEnviados() {
+    await listo;
+    const json = await adaptador.leer(REMINDERS_KEY);
+    if (!json) return [];
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        console.error("El registro de recordatorios no se puede leer y se ha movido a la cuarentena.", e);
+        await enviarACuarentena([{ registro: json, motivo: 'Registro de recordatorios ilegible.' }]);
+        await adaptador.escribir(REMINDERS_KEY, '[]');
+        return [];
+    }
+}
+
+/**
+ * Anota que se ha enviado (o intentado enviar) un recordatorio.
+ * @param {import('./reminders.js').RecordatorioEnviado} registro
+ * @returns {Promise<void>}
+ */
+export function registrarRecordatorio(registro) {
+    return enExclusiva(async () => {
+        await comprobarPermiso('editar');
+        const registros = await obtenerRecordatoriosEnviados();
+        try {
+            await adaptador.escribir(REMINDERS_KEY, JSON.stringify([...registros, registro]));
+            avisarCambio();
+        } catch (e) {
+            console.error(`No se pudo anotar el recordatorio (${adaptador.nombre}).`, e);
+            throw new Error(`Fallo en la persistencia de datos (${e.message}).`);
+        }
+    });
+}
+
+// --- Perfiles de usuario ---
+
+/**
+ * Obtiene los perfiles de usuario (sin perfiles, la aplicación no pide PIN).
+ * @returns {Promise<Array<import('./users.js').Usuario>>}
+ */
+export async function obtenerUsuarios() {
+    await listo;
+    const json = await adaptador.leer(USERS_KEY);
+    if (!json) return [];
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        // Mejor fallar que abrir la aplicación sin perfiles, es decir, sin restricciones
+        console.error("Los perfiles de usuario no se pueden leer.", e);
+        throw new Error('Los perfiles de usuario están dañados.');
+    }
+}
+
+/**
+ * Comprueba que el perfil identificado en esta pestaña pueda realizar una acción.
+ * Mientras no haya perfiles no se restringe nada. El rol se toma del perfil guardado,
+ * no de la sesión: un perfil borrado o cambiado de rol pierde sus permisos al momento.
+ * @param {string} accion - Clave de ACCIONES_PERMISO.
+ * @returns {Promise<void>}
+ * @throws {Error} Si no hay nadie identificado o su rol no lo permite.
+ */
+async function comprobarPermiso(accion) {
+    const usuarios = await obtenerUsuarios();
+    if (usuarios.length === 0) return;
+    const usuario = usuarios.find(u => u.id === usuarioActivo()?.id);
+    if (!usuario) {
+        throw new Error('Identifíquese con su perfil y su PIN para guardar cambios.');
+    }
+    if (!puede(usuario, accion)) {
+        throw new Error(`Su perfil (${ROLES_USUARIO[usuario.rol]}) no permite ${ACCIONES_PERMISO[accion]}.`);
+    }
+}
+
+/**
+ * Guarda un perfil nuevo o modificado (ya preparado con prepararUsuario).
+ * @param {import('./users.js').Usuario} usuario
+ * @returns {Promise<void>}
+ * @throws {Error} Si quien lo guarda no es de administración o se quedaría la clínica sin administración.
+ */
+export function guardarUsuario(usuario) {
+    return enExclusiva(async () => {
+        await comprobarPermiso('ajustes');
+        const usuarios = await obtenerUsuarios();
+        const restantes = usuarios.filter(u => u.id !== usuario.id);
+        if (usuario.rol !== 'admin' && !restantes.some(u => u.rol === 'admin')) {
+            throw new Error('Debe haber al menos un perfil de administración.');
+        }
+        try {
+            await adaptador.escribir(USERS_KEY, JSON.stringify(
+                usuarios.some(u => u.id === usuario.id)
+                    ? usuarios.map(u => (u.id === usuario.id ? usuario : u))
+                    : [...usuarios, usuario]
+            ));
+            avisarCambio();
+        } catch (e) {
+            console.error(`No se pudo guardar el perfil (${adaptador.nombre}).`, e);
+            throw new Error(`Fallo en la persistencia de datos (${e.message}).`);
+        }
+    });
+}
+
+/**
+ * Borra un perfil. El último perfil de administración no se puede borrar.
+ * @param {string} id
+ * @returns {Promise<boolean>} False si el perfil ya no existía.
+ */
+export function eliminarUsuario(id) {
+    return enExclusiva(async () => {
+        await comprobarPermiso('ajustes');
+        const usuarios = await obtenerUsuarios();
+        const restantes = usuarios.filter(u => u.id !== id);
+        if (restantes.length === usuarios.length) return false;
+        if (!restantes.some(u => u.rol === 'admin')) {
+            throw new Error('No se puede borrar el último perfil de administración.');
+        }
+        try {
+            await adaptador.escribir(USERS_KEY, JSON.stringify(restantes));
+            avisarCambio();
+        } catch (e) {
+            console.error(`No se pudo borrar el perfil (${adaptador.nombre}).`, e);
+            throw new Error(`Fallo en la persistencia de datos (${e.message}).`);
+        }
+        return true;
+    });
+}
@@ -0,0 +1,400 @@
+/**
+ * js/storageAdapters.js
+ * Adaptadores de almacenamiento intercambiables (LocalStorage, cookies e IndexedDB).
+ * Todos exponen la misma interfaz clave/valor asíncrona para que storage.js no dependa del backend.
+ */
+
+import { estaCifrado, cifrarTexto, descifrarTexto } from './encryption.js';
+
+/**
+ * @typedef {Object} AdaptadorAlmacenamiento
+ * @property {string} nombre - Identificador del backend.
+ * @property {function(string): Promise<string|null>} leer - Devuelve el valor guardado o null.
+ * @property {function(string, string): Promise<void>} escribir - Guarda el valor (rechaza si no cabe).
+ * @property {function(string): Promise<void>} eliminar - Borra el valor de la clave.
+ */
+
+// Límites de cookies: ~4KB por cookie (nombre + valor) y un número máximo de cookies por dominio.
+const TAMANO_FRAGMENTO = 3800;
+const MAX_FRAGMENTOS = 40;
+const DURACION_COOKIE_SEGUNDOS = 60 * 60 * 24 * 365 * 5;
+
+/**
+ * Crea el adaptador que usa LocalStorage.
+ * @returns {AdaptadorAlmacenamiento}
+ */
+export function crearAdaptadorLocalStorage() {
+    return {
+        nombre: 'localStorage',
+        leer: async (clave) => localStorage.getItem(clave),
+        escribir: async (clave, valor) => {
+            try {
+                localStorage.setItem(clave, valor);
+            } catch (e) {
+                throw new Error('LocalStorage lleno o no disponible');
+            }
+        },
+        eliminar: async (clave) => localStorage.removeItem(clave)
+    };
+}
+
+// --- Funciones auxiliares de cookies ---
+
+/**
+ * Convierte document.cookie en un mapa nombre → valor.
+ * @returns {Map<string, string>}
+ */
+function leerTodasLasCookies() {
+    const cookies = new Map();
+    if (!document.cookie) return cookies;
+
+    document.cookie.split(';').forEach(par => {
+        const separador = par.indexOf('=');
+        if (separador === -1) return;
+        cookies.set(par.slice(0, separador).trim(), par.slice(separador + 1).trim());
+    });
+    return cookies;
+}
+
+function escribirCookie(nombre, valor) {
+    document.cookie = `${nombre}=${valor}; max-age=${DURACION_COOKIE_SEGUNDOS}; path=/; SameSite=Strict`;
+}
+
+function borrarCookie(nombre) {
+    document.cookie = `${nombre}=; max-age=0; path=/; SameSite=Strict`;
+}
+
+/**
+ * Crea el adaptador que reparte cada valor en varias cookies ("clave_0", "clave_1"...)
+ * y guarda el número de fragmentos en "clave_n".
+ * @returns {AdaptadorAlmacenamiento}
+ */
+export function crearAdaptadorCookies() {
+    const nombreContador = (clave) => `${clave}_n`;
+    const nombreFragmento = (clave, i) => `${clave}_${i}`;
+
+    const eliminar = (clave) => {
+        const cookies = leerTodasLasCookies();
+        const total = parseInt(cookies.get(nombreContador(clave)), 10) || 0;
+        for (let i = 0; i < total; i++) {
+            borrarCookie(nombreFragmento(clave, i));
+        }
+        borrarCookie(nombreContador(clave));
+    };
+
+    const leer = (clave) => {
+        const cookies = leerTodasLasCookies();
+        const total = parseInt(cookies.get(nombreContador(clave)), 10);
+        if (!total) return null;
+
+        let codificado = '';
+        for (let i = 0; i < total; i++) {
+            const fragmento = cookies.get(nombreFragmento(clave, i));
+            // Un fragmento perdido deja el valor incompleto: mejor devolver algo no parseable
+            // que un JSON truncado que parezca válido.
+            if (fragmento === undefined) {
+                throw new Error(`Faltan fragmentos de la cookie "${clave}" (${i} de ${total}).`);
+            }
+            codificado += fragmento;
+        }
+        return decodeURIComponent(codificado);
+    };
+
+    const escribir = (clave, valor) => {
+        // Se codifica para que ';', ',' o espacios no rompan la cookie
+        const codificado = encodeURIComponent(valor);
+        const total = Math.max(1, Math.ceil(codificado.length / TAMANO_FRAGMENTO));
+
+        // Otros valores guardados también consumen cookies del dominio
+        const cookies = leerTodasLasCookies();
+        const totalAnterior = parseInt(cookies.get(nombreContador(clave)), 10) || 0;
+        const ocupadasPorOtros = [...cookies.keys()].filter(n => !n.startsWith(`${clave}_`)).length;
+        const disponibles = MAX_FRAGMENTOS - ocupadasPorOtros - 1;
+
+        if (total > disponibles) {
+            throw new Error(`Límite de cookies agotado: se necesitan ${total} cookies para ${codificado.length} bytes y solo quedan ${disponibles} disponibles.`);
+        }
+
+        for (let i = 0; i < total; i++) {
+            escribirCookie(nombreFragmento(clave, i), codificado.slice(i * TAMANO_FRAGMENTO, (i + 1) * TAMANO_FRAGMENTO));
+        }
+        escribirCookie(nombreContador(clave), String(total));
+
+        // Borrar fragmentos sobrantes de una escritura anterior más larga
+        for (let i = total; i < totalAnterior; i++) {
+            borrarCookie(nombreFragmento(clave, i));
+        }
+
+        // El navegador descarta cookies en silencio cuando se supera su límite: comprobarlo
+        const guardadas = leerTodasLasCookies();
+        const completa = guardadas.get(nombreContador(clave)) === String(total) &&
+            Array.from({ length: total }, (_, i) => nombreFragmento(clave, i)).every(n => guardadas.has(n));
+        if (!completa) {
+            throw new Error('Límite de cookies agotado: el navegador ha rechazado la escritura.');
+        }
+    };
+
+    return {
+        nombre: 'cookies',
+        leer: async (clave) => leer(clave),
+        escribir: async (clave, valor) => escribir(clave, valor),
+        eliminar: async (clave) => eliminar(clave)
+    };
+}
+
+// --- IndexedDB ---
+
+const IDB_NOMBRE = 'davanteDental';
+// Versión 2: sin los índices de fecha, DNI e ID (nadie los consultaba y con el cifrado no se pueden usar)
+const IDB_VERSION = 2;
+const IDB_STORE_CITAS = 'citas';
+const IDB_STORE_VALORES = 'valores';
+
+/**
+ * Convierte una IDBRequest en una promesa.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promesaDeRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Convierte el final de una transacción en una promesa.
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function promesaDeTransaccion(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transacción de IndexedDB abortada.'));
+    });
+}
+
+function abrirBaseDeDatos() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB no está disponible en este navegador'));
+    }
+    const request = indexedDB.open(IDB_NOMBRE, IDB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(IDB_STORE_CITAS)) {
+            db.createObjectStore(IDB_STORE_CITAS, { keyPath: 'id' });
+        } else {
+            const store = request.transaction.objectStore(IDB_STORE_CITAS);
+            [...store.indexNames].forEach(indice => store.deleteIndex(indice));
+        }
+        if (!db.objectStoreNames.contains(IDB_STORE_VALORES)) {
+            db.createObjectStore(IDB_STORE_VALORES);
+        }
+    };
+    return promesaDeRequest(request);
+}
+
+/**
+ * Separa el valor de la clave de citas en registros indexables y metadatos.
+ * Admite el array simple o el sobre { version, citas }; cualquier otro contenido
+ * (JSON dañado, registros sin ID o con ID repetido) se guarda tal cual, sin indexar.
+ * @param {string} valor - Valor JSON recibido.
+ * @returns {{registros: Array<Object>, meta: Object}}
+ */
+function desglosarRegistros(valor) {
+    let datos;
+    try {
+        datos = JSON.parse(valor);
+    } catch (e) {
+        return { registros: [], meta: { tipo: 'opaco', valor } };
+    }
+
+    let registros;
+    let meta;
+    if (Array.isArray(datos)) {
+        registros = datos;
+        meta = { tipo: 'lista' };
+    } else if (datos && typeof datos === 'object' && Array.isArray(datos.citas)) {
+        const { citas, ...resto } = datos;
+        registros = citas;
+        meta = { tipo: 'sobre', campos: resto };
+    } else {
+        return { registros: [], meta: { tipo: 'opaco', valor } };
+    }
+
+    const ids = registros.map(r => r && r.id);
+    const indexables = ids.every(id => typeof id === 'string' && id) && new Set(ids).size === ids.length;
+    return indexables ? { registros, meta } : { registros: [], meta: { tipo: 'opaco', valor } };
+}
+
+/**
+ * Reconstruye el valor JSON original a partir de los registros y sus metadatos.
+ * @param {Array<Object>} registros
+ * @param {Object|boolean} meta
+ * @returns {string}
+ */
+function recomponerRegistros(registros, meta) {
+    if (meta && meta.tipo === 'opaco') return meta.valor;
+    if (meta && meta.tipo === 'sobre') return JSON.stringify({ ...meta.campos, citas: registros });
+    return JSON.stringify(registros);
+}
+
+/**
+ * Crea el adaptador de IndexedDB. La clave de citas se guarda registro a registro
+ * (con el ID como clave); el resto de claves, como valores simples.
+ * @param {Object} opciones
+ * @param {string} opciones.claveRegistros - Clave cuyo valor contiene las citas.
+ * @returns {AdaptadorAlmacenamiento}
+ */
+export function crearAdaptadorIndexedDB({ claveRegistros }) {
+    let dbPromise = null;
+    const db = () => {
+        if (!dbPromise) dbPromise = abrirBaseDeDatos();
+        return dbPromise;
+    };
+
+    const leer = async (clave) => {
+        const conexion = await db();
+        if (clave === claveRegistros) {
+            const tx = conexion.transaction([IDB_STORE_CITAS, IDB_STORE_VALORES], 'readonly');
+            const registros = await promesaDeRequest(tx.objectStore(IDB_STORE_CITAS).getAll());
+            const meta = await promesaDeRequest(tx.objectStore(IDB_STORE_VALORES).get(clave));
+            // Sin registros ni metadatos de una escritura previa, la clave "no existe"
+            if (meta === undefined && registros.length === 0) return null;
+            return recomponerRegistros(registros, meta);
+        }
+        const tx = conexion.transaction(IDB_STORE_VALORES, 'readonly');
+        const valor = await promesaDeRequest(tx.objectStore(IDB_STORE_VALORES).get(clave));
+        return valor === undefined ? null : valor;
+    };
+
+    const escribir = async (clave, valor) => {
+        const conexion = await db();
+        if (clave === claveRegistros) {
+            const { registros, meta } = desglosarRegistros(valor);
+            // Sustitución completa dentro de una única transacción: o se guarda todo o nada
+            const tx = conexion.transaction([IDB_STORE_CITAS, IDB_STORE_VALORES], 'readwrite');
+            const terminada = promesaDeTransaccion(tx);
+            try {
+                const store = tx.objectStore(IDB_STORE_CITAS);
+                store.clear();
+                registros.forEach(registro => store.put(registro));
+                tx.objectStore(IDB_STORE_VALORES).put(meta, clave);
+            } catch (e) {
+                // put lanza en el acto si un registro no se puede clonar: sin abortar, el clear() se confirmaría
+                tx.abort();
+                terminada.catch(() => {});
+                throw e;
+            }
+            return terminada;
+        }
+        const tx = conexion.transaction(IDB_STORE_VALORES, 'readwrite');
+        const terminada = promesaDeTransaccion(tx);
+        try {
+            tx.objectStore(IDB_STORE_VALORES).put(valor, clave);
+        } catch (e) {
+            tx.abort();
+            terminada.catch(() => {});
+            throw e;
+        }
+        return terminada;
+    };
+
+    const eliminar = async (clave) => {
+        const conexion = await db();
+        const tx = conexion.transaction([IDB_STORE_CITAS, IDB_STORE_VALORES], 'readwrite');
+        if (clave === claveRegistros) tx.objectStore(IDB_STORE_CITAS).clear();
+        tx.objectStore(IDB_STORE_VALORES).delete(clave);
+        return promesaDeTransaccion(tx);
+    };
+
+    return { nombre: 'indexedDB', leer, escribir, eliminar };
+}
+
+// --- Cifrado ---
+
+/**
+ * Envuelve un adaptador para que las claves indicadas se guarden cifradas con AES-GCM.
+ * Los valores cifrados se reconocen por su prefijo, así que los que aún están en claro
+ * (guardados antes de activar el cifrado) se siguen leyendo y se cifran al reescribirse.
+ * Nunca se escribe en claro una clave protegida mientras el cifrado está activo.
+ * @param {AdaptadorAlmacenamiento} base
+ * @param {Object} opciones
+ * @param {Array<string>} opciones.claves - Claves con datos de pacientes.
+ * @param {function(): Promise<{activo: boolean, clave: CryptoKey|null}>} opciones.estado - Estado vigente del cifrado.
+ * @returns {AdaptadorAlmacenamiento}
+ */
+export function crearAdaptadorCifrado(base, { claves, estado }) {
+    const protegidas = new Set(claves);
+
+    const leer = async (clave) => {
+        const valor = await base.leer(clave);
+        if (!protegidas.has(clave) || !estaCifrado(valor)) return valor;
+        const { clave: claveCifrado } = await estado();
+        if (!claveCifrado) {
+            throw new Error('Los datos están cifrados: desbloquee la aplicación con la frase de la clínica.');
+        }
+        return descifrarTexto(claveCifrado, valor);
+    };
+
+    const escribir = async (clave, valor) => {
+        if (!protegidas.has(clave)) return base.escribir(clave, valor);
+        const { activo, clave: claveCifrado } = await estado();
+        if (!activo) return base.escribir(clave, valor);
+        if (!claveCifrado) {
+            throw new Error('Los datos están bloqueados: desbloquee la aplicación con la frase de la clínica.');
+        }
+        return base.escribir(clave, await cifrarTexto(claveCifrado, valor));
+    };
+
+    return { nombre: base.nombre, leer, escribir, eliminar: base.eliminar };
+}
+
+const MARCA_MIGRACION = 'davanteDentalMigradoDesdeLocalStorage';
+
+/**
+ * Traslada una única vez los valores de LocalStorage al adaptador de destino.
+ * Cada clave solo se borra de LocalStorage después de comprobar que se ha guardado
+ * en el destino, así que una migración interrumpida se completa en el siguiente arranque.
+ * @param {AdaptadorAlmacenamiento} destino - Adaptador al que se migran los datos.
+ * @param {Array<string>} claves - Claves a migrar.
+ * @returns {Promise<void>}
+ */
+export async function migrarDesdeLocalStorage(destino, claves) {
+    if (await destino.leer(MARCA_MIGRACION)) return;
+
+    for (const clave of claves) {
+        const valor = localStorage.getItem(clave);
+        if (valor === null) continue;
+
+        await destino.escribir(clave, valor);
+        const guardado = await destino.leer(clave);
+        if (guardado === null) {
+            throw new Error(`No se pudo verificar la migración de "${clave}".`);
+        }
+        localStorage.removeItem(clave);
+    }
+
+    await destino.escribir(MARCA_MIGRACION, new Date().toISOString());
+}
+
+const FABRICAS = {
+    localStorage: crearAdaptadorLocalStorage,
+    cookies: crearAdaptadorCookies,
+    indexedDB: crearAdaptadorIndexedDB
+};
+
+/**
+ * Devuelve el adaptador configurado para el backend indicado.
+ * @param {string} nombre - 'localStorage', 'cookies' o 'indexedDB'.
+ * @param {Object} [opciones] - Opciones propias del backend.
+ * @returns {AdaptadorAlmacenamiento}
+ */
+export function obtenerAdaptador(nombre, opciones = {}) {
+    const fabrica = FABRICAS[nombre];
+    if (!fabrica) {
+        throw new Error(`Backend de almacenamiento desconocido: "${nombre}".`);
+    }
+    return fabrica(opciones);
+}
@@ -0,0 +1,162 @@
+/**
+ * js/users.js
+ * Perfiles de quienes usan la recepción: nombre, rol y PIN, y el usuario de la sesión.
+ * Mientras no haya ningún perfil la aplicación funciona como siempre, sin pedir PIN.
+ * Los permisos evitan borrados por descuido o de quien pasa por delante del ordenador;
+ * no protegen frente a quien manipule el navegador (para eso está el cifrado de los datos).
+ */
+
+import { generarSal, resumirSecreto } from './encryption.js';
+
+/**
+ * @typedef {Object} Usuario
+ * @property {string} id
+ * @property {string} nombre - Nombre con el que se firman los cambios.
+ * @property {string} rol - Clave de ROLES_USUARIO.
+ * @property {string} sal - Sal del PIN (base64).
+ * @property {string} pin - Resumen PBKDF2 del PIN (base64); el PIN no se guarda.
+ */
+
+/**
+ * @typedef {Object} SesionUsuario
+ * @property {string} id
+ * @property {string} nombre
+ * @property {string} rol
+ */
+
+export const ROLES_USUARIO = {
+    admin: 'Administración',
+    recepcion: 'Recepción'
+};
+
+// Qué puede hacer cada rol. Los textos completan "Su perfil no permite ..."
+export const ACCIONES_PERMISO = {
+    crear: 'crear citas',
+    editar: 'modificar citas',
+    borrar: 'borrar citas',
+    ajustes: 'cambiar los ajustes de la clínica'
+};
+
+const PERMISOS_POR_ROL = {
+    admin: ['crear', 'editar', 'borrar', 'ajustes'],
+    recepcion: ['crear', 'editar']
+};
+
+// El PIN es corto: las iteraciones frenan a quien intente probarlos todos con los datos copiados
+const ITERACIONES_PIN = 100000;
+const PIN_REGEX = /^\d{4,8}$/;
+const MAX_NOMBRE = 40;
+
+// Se guarda en la sesión del navegador: al cerrar la pestaña hay que volver a identificarse
+const SESION_USUARIO_KEY = 'davanteDentalUsuarioActivo';
+// Perfil que se preselecciona al pedir de nuevo el PIN tras bloquear la pantalla
+const ULTIMO_USUARIO_KEY = 'davanteDentalUltimoUsuario';
+
+/**
+ * Indica si un usuario puede realizar una acción.
+ * @param {SesionUsuario|Usuario|null} usuario
+ * @param {string} accion - Clave de ACCIONES_PERMISO.
+ * @returns {boolean}
+ */
+export function puede(usuario, accion) {
+    return Boolean(usuario) && (PERMISOS_POR_ROL[usuario.rol] ?? []).includes(accion);
+}
+
+/**
+ * Comprueba los datos de un perfil antes de guardarlo.
+ * @param {{id?: string, nombre: string, rol: string, pin: string}} datos - PIN vacío = conservar el actual (al editar).
+ * @param {Array<Usuario>} usuarios - Perfiles ya guardados.
+ * @returns {Array<{campo: string, mensaje: string}>} Errores (vacío si es válido).
+ */
+export function validarUsuario(datos, usuarios) {
+    const errores = [];
+    const nombre = datos.nombre.trim();
+    const otros = usuarios.filter(u => u.id !== datos.id);
+
+    if (!nombre) errores.push({ campo: 'usuario_nombre', mensaje: 'Indique el nombre.' });
+    else if (nombre.length > MAX_NOMBRE) errores.push({ campo: 'usuario_nombre', mensaje: `El nombre no puede superar ${MAX_NOMBRE} caracteres.` });
+    else if (otros.some(u => u.nombre.toLowerCase() === nombre.toLowerCase())) {
+        errores.push({ campo: 'usuario_nombre', mensaje: 'Ya hay un perfil con ese nombre.' });
+    }
+
+    if (!ROLES_USUARIO[datos.rol]) errores.push({ campo: 'usuario_rol', mensaje: 'Elija un rol.' });
+    else if (datos.rol !== 'admin' && !otros.some(u => u.rol === 'admin')) {
+        errores.push({ campo: 'usuario_rol', mensaje: 'Debe haber al menos un perfil de administración.' });
+    }
+
+    const esNuevo = !usuarios.some(u => u.id === datos.id);
+    if ((esNuevo || datos.pin) && !PIN_REGEX.test(datos.pin)) {
+        errores.push({ campo: 'usuario_pin', mensaje: 'El PIN debe tener entre 4 y 8 cifras.' });
+    }
+    return errores;
+}
+
+/**
+ * Prepara un perfil para guardarlo, con el PIN resumido.
+ * @param {{id?: string, nombre: string, rol: string, pin: string}} datos - Ya validados.
+ * @param {Usuario} [anterior] - Perfil que se edita (conserva su PIN si no se indica otro).
+ * @returns {Promise<Usuario>}
+ */
+export async function prepararUsuario(datos, anterior) {
+    const usuario = {
+        id: anterior?.id ?? `usuario-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        nombre: datos.nombre.trim(),
+        rol: datos.rol,
+        sal: anterior?.sal,
+        pin: anterior?.pin
+    };
+    if (datos.pin) {
+        usuario.sal = generarSal();
+        usuario.pin = await resumirSecreto(datos.pin, usuario.sal, ITERACIONES_PIN);
+    }
+    return usuario;
+}
+
+/**
+ * Comprueba el PIN de un perfil.
+ * @param {Usuario} usuario
+ * @param {string} pin
+ * @returns {Promise<boolean>}
+ */
+export async function comprobarPIN(usuario, pin) {
+    if (!PIN_REGEX.test(pin)) return false;
+    return await resumirSecreto(pin, usuario.sal, ITERACIONES_PIN) === usuario.pin;
+}
+
+// --- Sesión ---
+
+/**
+ * Perfil identificado en esta pestaña.
+ * @returns {SesionUsuario|null}
+ */
+export function usuarioActivo() {
+    try {
+        const guardado = sessionStorage.getItem(SESION_USUARIO_KEY);
+        return guardado ? JSON.parse(guardado) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Identifica a un usuario en esta pestaña; sus cambios quedarán firmados con su nombre.
+ * @param {Usuario} usuario
+ */
+export function iniciarSesionUsuario({ id, nombre, rol }) {
+    sessionStorage.setItem(SESION_USUARIO_KEY, JSON.stringify({ id, nombre, rol }));
+}
+
+/** Cierra la sesión del usuario de esta pestaña. */
+export function cerrarSesionUsuario() {
+    const id = usuarioActivo()?.id;
+    if (id) sessionStorage.setItem(ULTIMO_USUARIO_KEY, id);
+    sessionStorage.removeItem(SESION_USUARIO_KEY);
+}
+
+/**
+ * ID del último perfil que cerró sesión en esta pestaña.
+ * @returns {string|null}
+ */
+export function ultimoUsuario() {
+    return sessionStorage.getItem(ULTIMO_USUARIO_KEY);
+}
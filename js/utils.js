@@ -117,6 +117,115 @@ export function formatearFecha(dateString) {
     return dateString;
 }
 
+/**
+ * Convierte una fecha en 'YYYY-MM-DD' (hora local).
+ * @param {Date} fecha
+ * @returns {string}
+ */
+export function fechaISO(fecha) {
+    return `${fecha.getFullYear()}-${String(fecha.getMonth() + 1).padStart(2, '0')}-${String(fecha.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Suma días a una fecha 'YYYY-MM-DD'.
+ * @param {string} fecha
+ * @param {number} dias - Puede ser negativo.
+ * @returns {string}
+ */
+export function sumarDias(fecha, dias) {
+    const d = new Date(`${fecha}T00:00:00`);
+    d.setDate(d.getDate() + dias);
+    return fechaISO(d);
+}
+
+/**
+ * Descarga un texto como archivo.
+ * @param {string} contenido
+ * @param {string} nombre - Nombre del archivo.
+ * @param {string} tipo - Tipo MIME.
+ */
+export function descargarArchivo(contenido, nombre, tipo) {
+    const url = URL.createObjectURL(new Blob([contenido], { type: tipo }));
+    const enlace = document.createElement('a');
+    enlace.href = url;
+    enlace.download = nombre;
+    document.body.append(enlace);
+    enlace.click();
+    enlace.remove();
+    URL.revokeObjectURL(url);
+}
+
+// --- Errores de Validación en Formularios ---
+
+/**
+ * Devuelve (creándolo si no existe) el mensaje de error asociado a un campo,
+ * enlazado mediante aria-describedby.
+ * @param {HTMLElement} campo - Input, select o textarea.
+ * @returns {HTMLElement} Elemento del mensaje de error.
+ */
+function obtenerMensajeErrorCampo(campo) {
+    const errorId = `${campo.id || campo.name}-error`;
+    let mensaje = document.getElementById(errorId);
+    if (!mensaje) {
+        mensaje = document.createElement('p');
+        mensaje.id = errorId;
+        mensaje.className = 'field-error';
+        mensaje.hidden = true;
+        const contenedor = campo.closest('.form-field');
+        if (contenedor) contenedor.append(mensaje);
+        else campo.after(mensaje);
+
+        const describedBy = campo.getAttribute('aria-describedby');
+        campo.setAttribute('aria-describedby', describedBy ? `${describedBy} ${errorId}` : errorId);
+    }
+    return mensaje;
+}
+
+/**
+ * Marca un campo como inválido y muestra su mensaje, o lo limpia si no hay mensaje.
+ * @param {HTMLElement} campo - Input, select o textarea.
+ * @param {string|null} mensaje - Mensaje de error o null para limpiarlo.
+ */
+export function marcarErrorCampo(campo, mensaje) {
+    if (!campo) return;
+    const elementoMensaje = obtenerMensajeErrorCampo(campo);
+    if (mensaje) {
+        campo.setAttribute('aria-invalid', 'true');
+        elementoMensaje.textContent = mensaje;
+        elementoMensaje.hidden = false;
+    } else {
+        campo.removeAttribute('aria-invalid');
+        elementoMensaje.textContent = '';
+        elementoMensaje.hidden = true;
+    }
+}
+
+/**
+ * Muestra todos los errores de validación en sus campos y limpia los que ya son válidos.
+ * @param {HTMLFormElement} form - El formulario.
+ * @param {Array<{campo: string, mensaje: string}>} errores - Errores estructurados.
+ * @param {Array<string>} [campos] - Limitar la actualización a estos campos (por defecto, todos).
+ * @returns {HTMLElement|null} El primer campo inválido en orden del formulario.
+ */
+export function mostrarErroresFormulario(form, errores, campos = null) {
+    const mensajes = new Map();
+    errores.forEach(({ campo, mensaje }) => {
+        // Un único mensaje por campo: el primero es el más relevante
+        if (!mensajes.has(campo)) mensajes.set(campo, mensaje);
+    });
+
+    let primerInvalido = null;
+    Array.from(form.elements).forEach(elemento => {
+        if (!elemento.name || elemento.type === 'submit') return;
+        if (campos && !campos.includes(elemento.name)) return;
+
+        const mensaje = mensajes.get(elemento.name) ?? null;
+        marcarErrorCampo(elemento, mensaje);
+        if (mensaje && !primerInvalido) primerInvalido = elemento;
+    });
+    return primerInvalido;
+}
+
 // --- Funciones de Accesibilidad ---
 
 /**
@@ -173,3 +282,95 @@ export function handleEscapeKey(element, closeCallback) {
         document.removeEventListener('keydown', handleKeyDown);
     };
 }
+
+/**
+ * Muestra un diálogo modal con varias opciones y espera a que se elija una.
+ * Se usa cuando confirm() no basta (más de dos respuestas posibles).
+ * @param {Object} dialogo
+ * @param {string} dialogo.titulo - Título del diálogo.
+ * @param {string} dialogo.mensaje - Explicación de la elección.
+ * @param {Array<{valor: string, texto: string}>} dialogo.opciones - Botones, en orden.
+ * @returns {Promise<string|null>} Valor de la opción elegida o null si se cancela.
+ */
+export function elegirOpcion({ titulo, mensaje, opciones }) {
+    return new Promise(resolve => {
+        const tituloId = `dialogo-${Date.now()}`;
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-labelledby', tituloId);
+        modal.innerHTML = `
+            <div class="modal-content modal-content--confirm">
+                <button class="close-button" type="button" aria-label="Cerrar" data-opcion="">&times;</button>
+                <h3 id="${tituloId}">${escapeHTML(titulo)}</h3>
+                <p>${escapeHTML(mensaje)}</p>
+                <div class="button-container button-container--column">
+                    ${opciones.map(o => `<button type="button" class="button button-agenda" data-opcion="${escapeHTML(o.valor)}">${escapeHTML(o.texto)}</button>`).join('')}
+                    <button type="button" class="button" data-opcion="">Cancelar</button>
+                </div>
+            </div>`;
+        modal.style.display = 'flex';
+        document.body.append(modal);
+
+        const focoAnterior = document.activeElement;
+        const limpiarTrap = trapFocus(modal);
+
+        const cerrar = (valor) => {
+            limpiarTrap();
+            modal.remove();
+            focoAnterior?.focus?.();
+            resolve(valor || null);
+        };
+
+        modal.addEventListener('click', (e) => {
+            const boton = e.target.closest('[data-opcion]');
+            if (boton) cerrar(boton.dataset.opcion);
+            else if (e.target === modal) cerrar(null);
+        });
+        // Escape cierra solo este diálogo, no el modal que pueda haber debajo
+        modal.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            e.stopPropagation();
+            cerrar(null);
+        });
+
+        modal.querySelector('.button-container [data-opcion]')?.focus();
+    });
+}
+
+/**
+ * Muestra un aviso temporal en la parte inferior de la pantalla, con un botón de acción opcional
+ * (p. ej. "Deshacer"). Solo hay un aviso a la vez: uno nuevo sustituye al anterior.
+ * @param {string} mensaje
+ * @param {Object} [opciones]
+ * @param {string} [opciones.accion] - Texto del botón.
+ * @param {Function} [opciones.alPulsar] - Se llama al pulsar el botón; el aviso se cierra.
+ * @param {number} [opciones.duracion=8000] - Milisegundos hasta que desaparece.
+ * @returns {Function} Función que cierra el aviso.
+ */
+export function mostrarAviso(mensaje, { accion, alPulsar, duracion = 8000 } = {}) {
+    document.querySelector('.toast')?.remove();
+
+    const aviso = document.createElement('div');
+    aviso.className = 'toast';
+    aviso.setAttribute('role', 'status');
+    aviso.innerHTML = `
+        <span class="toast-message">${escapeHTML(mensaje)}</span>
+        ${accion ? `<button type="button" class="toast-action">${escapeHTML(accion)}</button>` : ''}
+        <button type="button" class="toast-close" aria-label="Cerrar aviso">&times;</button>`;
+    document.body.append(aviso);
+
+    const cerrar = () => {
+        clearTimeout(temporizador);
+        aviso.remove();
+    };
+    const temporizador = setTimeout(cerrar, duracion);
+
+    aviso.querySelector('.toast-close').addEventListener('click', cerrar);
+    aviso.querySelector('.toast-action')?.addEventListener('click', () => {
+        cerrar();
+        alPulsar?.();
+    });
+    return cerrar;
+}
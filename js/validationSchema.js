@@ -0,0 +1,228 @@
+/**
+ * js/validationSchema.js
+ * Esquema declarativo de validación de las citas.
+ * El mismo esquema se aplica en el formulario, en las importaciones de datos
+ * y al cargar los registros guardados.
+ */
+
+import { validarFechaHoraCita, validarDNI, validarFechaNoFutura } from './utils.js';
+import { obtenerRecurso, obtenerTratamiento, estadoDia, dentroDeHorario, horaAMinutos } from './scheduling.js';
+import { ESTADOS_CITA } from './appointmentStatus.js';
+
+/**
+ * @typedef {Object} Regla
+ * @property {RegExp} [patron] - Expresión que debe cumplir el valor.
+ * @property {number} [min] - Longitud mínima.
+ * @property {number} [max] - Longitud máxima.
+ * @property {function(string, Object, Object): boolean} [validar] - Comprobación libre (valor, datos, opciones).
+ * @property {string|function(string, Object, Object): string} mensaje - Mensaje si la regla no se cumple
+ *   (o función que lo construye con los mismos argumentos que `validar`).
+ */
+
+/**
+ * @typedef {Object} DefinicionCampo
+ * @property {boolean} obligatorio - Si el campo no puede quedar vacío.
+ * @property {string} [mensajeObligatorio] - Mensaje si falta.
+ * @property {Array<Regla>} reglas - Reglas que se comprueban en orden; solo se informa la primera que falla.
+ */
+
+export const LIMITES = {
+    nombre: 50,
+    apellidos: 80,
+    observaciones: 300,
+    edadMaxima: 120,
+    duracionMinima: 5,
+    duracionMaxima: 480
+};
+
+// Letras (incluidas tildes, diéresis y ñ), espacios, guiones, apóstrofos y puntos
+const PATRON_NOMBRE = /^\p{L}[\p{L}\p{M} '.-]*$/u;
+
+// Se ignoran espacios, guiones, puntos y paréntesis al comprobar teléfonos
+const limpiarTelefono = (telefono) => telefono.replace(/[\s\-.()]/g, '');
+// España: 9 dígitos que empiezan por 6, 7, 8 o 9, con prefijo +34/0034 opcional
+const PATRON_TELEFONO_ES = /^(?:\+34|0034)?[6789]\d{8}$/;
+// Internacional (E.164): + o 00, código de país y hasta 15 dígitos en total
+const PATRON_TELEFONO_INTERNACIONAL = /^(?:\+|00)[1-9]\d{6,14}$/;
+
+/**
+ * Comprueba que la fecha de nacimiento no sea anterior al límite de edad.
+ * @param {string} fechaString - Fecha en formato 'YYYY-MM-DD'.
+ * @returns {boolean}
+ */
+function fechaNacimientoPlausible(fechaString) {
+    const fecha = new Date(`${fechaString}T00:00:00`);
+    if (isNaN(fecha.getTime())) return false;
+    const limite = new Date();
+    limite.setHours(0, 0, 0, 0);
+    limite.setFullYear(limite.getFullYear() - LIMITES.edadMaxima);
+    return fecha >= limite;
+}
+
+/** @type {Object<string, DefinicionCampo>} */
+export const ESQUEMA_PACIENTE = {
+    nombre: {
+        obligatorio: true,
+        mensajeObligatorio: 'El nombre es obligatorio.',
+        reglas: [
+            { min: 2, max: LIMITES.nombre, mensaje: `El nombre debe tener entre 2 y ${LIMITES.nombre} caracteres.` },
+            { patron: PATRON_NOMBRE, mensaje: 'El nombre solo puede contener letras, espacios, guiones y apóstrofos.' }
+        ]
+    },
+    apellidos: {
+        obligatorio: true,
+        mensajeObligatorio: 'Los apellidos son obligatorios.',
+        reglas: [
+            { min: 2, max: LIMITES.apellidos, mensaje: `Los apellidos deben tener entre 2 y ${LIMITES.apellidos} caracteres.` },
+            { patron: PATRON_NOMBRE, mensaje: 'Los apellidos solo pueden contener letras, espacios, guiones y apóstrofos.' }
+        ]
+    },
+    dni: {
+        obligatorio: true,
+        mensajeObligatorio: 'El DNI/NIE es obligatorio.',
+        reglas: [
+            { validar: (valor) => validarDNI(valor), mensaje: 'El DNI/NIE introducido no es válido. Por favor, verifica el número y la letra de control.' }
+        ]
+    },
+    telefono: {
+        obligatorio: true,
+        mensajeObligatorio: 'El teléfono es obligatorio.',
+        reglas: [
+            {
+                validar: (valor) => {
+                    const limpio = limpiarTelefono(valor);
+                    return PATRON_TELEFONO_ES.test(limpio) || PATRON_TELEFONO_INTERNACIONAL.test(limpio);
+                },
+                mensaje: 'El teléfono debe ser un número español de 9 dígitos (p. ej. 612345678) o internacional con prefijo (p. ej. +44 7911 123456).'
+            }
+        ]
+    },
+    fecha_nacimiento: {
+        obligatorio: true,
+        mensajeObligatorio: 'La fecha de nacimiento es obligatoria.',
+        reglas: [
+            { validar: (valor) => validarFechaNoFutura(valor), mensaje: 'La fecha de nacimiento no puede ser una fecha futura.' },
+            { validar: (valor) => fechaNacimientoPlausible(valor), mensaje: `La fecha de nacimiento no es válida (máximo ${LIMITES.edadMaxima} años).` }
+        ]
+    }
+};
+
+/** @type {Object<string, DefinicionCampo>} */
+export const ESQUEMA_CITA = {
+    fecha_reserva: {
+        obligatorio: true,
+        mensajeObligatorio: 'La fecha de la cita es obligatoria.',
+        reglas: [
+            { patron: /^\d{4}-\d{2}-\d{2}$/, mensaje: 'La fecha de la cita no tiene un formato válido.' },
+            {
+                // Las citas ya guardadas o importadas del histórico pueden ser pasadas
+                validar: (valor, datos, opciones) => opciones.historico || !datos.hora_reserva ||
+                    validarFechaHoraCita(valor, datos.hora_reserva),
+                mensaje: 'La fecha y hora de la cita no pueden ser pasadas.'
+            },
+            {
+                // Solo se comprueba cuando se conocen los ajustes de la clínica (formulario e importación)
+                validar: (valor, datos, opciones) => opciones.historico || !opciones.ajustes ||
+                    estadoDia(opciones.ajustes, valor).abierto,
+                mensaje: (valor, datos, opciones) => `La clínica no abre ese día (${estadoDia(opciones.ajustes, valor).motivo.toLowerCase()}).`
+            }
+        ]
+    },
+    hora_reserva: {
+        obligatorio: true,
+        mensajeObligatorio: 'La hora de la cita es obligatoria.',
+        reglas: [
+            { patron: /^([01]\d|2[0-3]):[0-5]\d$/, mensaje: 'La hora de la cita no tiene un formato válido.' },
+            {
+                validar: (valor, datos, opciones) => opciones.historico || !opciones.ajustes ||
+                    !estadoDia(opciones.ajustes, datos.fecha_reserva).abierto ||
+                    dentroDeHorario(opciones.ajustes, datos.fecha_reserva, valor, Number(datos.duracion) || 0),
+                mensaje: 'La cita debe empezar en una franja del horario de apertura y terminar antes del cierre.'
+            }
+        ]
+    },
+    recurso_id: {
+        obligatorio: true,
+        mensajeObligatorio: 'Debe elegir un dentista o sillón.',
+        reglas: [
+            { validar: (valor, datos, opciones) => opciones.historico || Boolean(obtenerRecurso(valor)), mensaje: 'El dentista o sillón elegido no existe.' }
+        ]
+    },
+    tratamiento: {
+        obligatorio: false,
+        reglas: [
+            { validar: (valor, datos, opciones) => opciones.historico || Boolean(obtenerTratamiento(valor)), mensaje: 'El tratamiento elegido no existe.' }
+        ]
+    },
+    duracion: {
+        obligatorio: true,
+        mensajeObligatorio: 'La duración de la cita es obligatoria.',
+        reglas: [
+            { patron: /^\d+$/, mensaje: 'La duración debe ser un número entero de minutos.' },
+            {
+                validar: (valor) => Number(valor) >= LIMITES.duracionMinima && Number(valor) <= LIMITES.duracionMaxima,
+                mensaje: `La duración debe estar entre ${LIMITES.duracionMinima} y ${LIMITES.duracionMaxima} minutos.`
+            },
+            {
+                // La cita no puede pasar de medianoche
+                validar: (valor, datos) => isNaN(horaAMinutos(datos.hora_reserva)) ||
+                    horaAMinutos(datos.hora_reserva) + Number(valor) <= 24 * 60,
+                mensaje: 'La cita no puede terminar después de medianoche.'
+            }
+        ]
+    },
+    estado: {
+        obligatorio: true,
+        mensajeObligatorio: 'El estado de la cita es obligatorio.',
+        reglas: [
+            { validar: (valor) => Object.hasOwn(ESTADOS_CITA, valor), mensaje: 'El estado de la cita no es válido.' }
+        ]
+    },
+    ...ESQUEMA_PACIENTE,
+    observaciones: {
+        obligatorio: false,
+        reglas: [
+            { max: LIMITES.observaciones, mensaje: `Las observaciones no pueden superar los ${LIMITES.observaciones} caracteres.` }
+        ]
+    }
+};
+
+/**
+ * Valida un objeto plano contra un esquema.
+ * @param {Object} datos - Datos a validar (formato plano de cita o paciente).
+ * @param {Object<string, DefinicionCampo>} esquema - Esquema a aplicar.
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.historico=false] - Registros ya guardados o del histórico:
+ *   se aceptan fechas pasadas y recursos que ya no están configurados.
+ * @param {import('./clinicSettings.js').AjustesClinica} [opciones.ajustes] - Si se indican, se comprueba
+ *   que la cita caiga en un día abierto y dentro del horario.
+ * @returns {Array<{campo: string, mensaje: string}>} Errores, como máximo uno por campo.
+ */
+export function validarConEsquema(datos, esquema, opciones = {}) {
+    const errores = [];
+
+    Object.entries(esquema).forEach(([campo, definicion]) => {
+        const bruto = datos?.[campo];
+        const valor = typeof bruto === 'string' ? bruto.trim() : (bruto == null ? '' : String(bruto));
+
+        if (!valor) {
+            if (definicion.obligatorio) errores.push({ campo, mensaje: definicion.mensajeObligatorio });
+            return;
+        }
+
+        const fallida = definicion.reglas.find(regla =>
+            (regla.patron && !regla.patron.test(valor)) ||
+            (regla.min !== undefined && valor.length < regla.min) ||
+            (regla.max !== undefined && valor.length > regla.max) ||
+            (regla.validar && !regla.validar(valor, datos, opciones))
+        );
+        if (fallida) {
+            const mensaje = typeof fallida.mensaje === 'function'
+                ? fallida.mensaje(valor, datos, opciones)
+                : fallida.mensaje;
+            errores.push({ campo, mensaje });
+        }
+    });
+
+    return errores;
+}
@@ -0,0 +1,176 @@
+/**
+ * js/waitlist.js
+ * Lista de espera: pacientes que no encontraron hueco y las fechas y horas que les vienen bien.
+ * Cuando una cita deja libre su hueco (borrado, cancelación o cambio de hora) se ofrece
+ * a los pacientes en espera que encajan en él, para reservarlo en un solo paso.
+ */
+
+import { obtenerListaEspera, quitarDeListaEspera, obtenerCitas, guardarCita } from './storage.js';
+import { obtenerAjustes } from './clinicSettings.js';
+import { Cita } from './models.js';
+import { comprobarReserva, horaAMinutos, nombreRecurso, nombreTratamiento } from './scheduling.js';
+import { formatearFecha, elegirOpcion } from './utils.js';
+
+/** @typedef {import('./clinicSettings.js').AjustesClinica} AjustesClinica */
+
+/**
+ * @typedef {Object} EntradaEspera
+ * @property {string} id
+ * @property {string} fecha_alta - Momento en que se apuntó (ISO 8601); se atiende por orden de llegada.
+ * @property {string} nombre
+ * @property {string} apellidos
+ * @property {string} dni
+ * @property {string} telefono
+ * @property {string} fecha_nacimiento
+ * @property {string} tratamiento
+ * @property {number} duracion - Minutos que necesita la cita.
+ * @property {string} recurso_id - Dentista o sillón preferido ('' = cualquiera).
+ * @property {string} desde - Primer día que le viene bien 'YYYY-MM-DD'.
+ * @property {string} hasta - Último día que le viene bien 'YYYY-MM-DD'.
+ * @property {string} hora_desde - Hora a partir de la cual puede venir ('' = cualquiera).
+ * @property {string} hora_hasta - Hora a la que debe haber terminado ('' = cualquiera).
+ * @property {string} observaciones
+ */
+
+// Pacientes que se ofrecen como mucho para un mismo hueco (los primeros en apuntarse)
+const MAX_CANDIDATOS = 5;
+
+/**
+ * Prepara una entrada de la lista de espera a partir de la cita que no se pudo reservar.
+ * @param {Cita} cita - Cita del formulario (datos del paciente y del tratamiento).
+ * @param {Object} preferencias
+ * @param {string} preferencias.desde
+ * @param {string} preferencias.hasta
+ * @param {string} [preferencias.hora_desde='']
+ * @param {string} [preferencias.hora_hasta='']
+ * @param {boolean} [preferencias.cualquierRecurso=false] - Si vale cualquier dentista o sillón.
+ * @returns {Omit<EntradaEspera, 'id'|'fecha_alta'>}
+ */
+export function entradaDesdeCita(cita, { desde, hasta, hora_desde = '', hora_hasta = '', cualquierRecurso = false }) {
+    return {
+        ...cita.paciente.toJSON(),
+        tratamiento: cita.tratamiento,
+        duracion: Number(cita.duracion),
+        recurso_id: cualquierRecurso ? '' : cita.recurso_id,
+        desde: String(desde ?? '').trim(),
+        hasta: String(hasta ?? '').trim(),
+        hora_desde: String(hora_desde ?? '').trim(),
+        hora_hasta: String(hora_hasta ?? '').trim(),
+        observaciones: cita.observaciones
+    };
+}
+
+/**
+ * Valida las preferencias de fecha y hora de una entrada.
+ * @param {Omit<EntradaEspera, 'id'|'fecha_alta'>} entrada
+ * @returns {Array<{campo: string, mensaje: string}>} Errores (vacío si es válida).
+ */
+export function validarEntradaEspera(entrada) {
+    const errores = [];
+    const esFecha = (valor) => /^\d{4}-\d{2}-\d{2}$/.test(valor);
+    if (!esFecha(entrada.desde)) errores.push({ campo: 'espera_desde', mensaje: 'Indique desde qué día le viene bien la cita.' });
+    if (!esFecha(entrada.hasta)) errores.push({ campo: 'espera_hasta', mensaje: 'Indique hasta qué día le viene bien la cita.' });
+    else if (esFecha(entrada.desde) && entrada.hasta < entrada.desde) {
+        errores.push({ campo: 'espera_hasta', mensaje: 'El último día no puede ser anterior al primero.' });
+    }
+
+    const inicio = entrada.hora_desde ? horaAMinutos(entrada.hora_desde) : 0;
+    const fin = entrada.hora_hasta ? horaAMinutos(entrada.hora_hasta) : 24 * 60;
+    if (isNaN(inicio)) errores.push({ campo: 'espera_hora_desde', mensaje: 'La hora de inicio no es válida.' });
+    if (isNaN(fin)) errores.push({ campo: 'espera_hora_hasta', mensaje: 'La hora de fin no es válida.' });
+    else if (!isNaN(inicio) && fin - inicio < entrada.duracion) {
+        errores.push({ campo: 'espera_hora_hasta', mensaje: `La franja horaria es más corta que la cita (${entrada.duracion} min).` });
+    }
+    return errores;
+}
+
+/**
+ * Indica si una entrada ha dejado de tener sentido porque ya pasó su último día.
+ * @param {EntradaEspera} entrada
+ * @param {string} hoy - 'YYYY-MM-DD'.
+ * @returns {boolean}
+ */
+export function esEntradaCaducada(entrada, hoy) {
+    return entrada.hasta < hoy;
+}
+
+/**
+ * Texto breve de las preferencias de una entrada (p. ej. "del 02/03/2026 al 16/03/2026, 09:00–14:00, cualquier recurso").
+ * @param {EntradaEspera} entrada
+ * @returns {string}
+ */
+export function describirPreferencias(entrada) {
+    const horas = entrada.hora_desde || entrada.hora_hasta
+        ? `${entrada.hora_desde || 'apertura'}–${entrada.hora_hasta || 'cierre'}`
+        : 'cualquier hora';
+    const recurso = entrada.recurso_id ? nombreRecurso(entrada.recurso_id) : 'cualquier recurso';
+    return `del ${formatearFecha(entrada.desde)} al ${formatearFecha(entrada.hasta)}, ${horas}, ${recurso}`;
+}
+
+/**
+ * Pacientes en espera que pueden ocupar un hueco liberado, por orden de llegada.
+ * Cada candidato lleva la cita que se le reservaría: empieza a la hora del hueco, en su
+ * recurso, con la duración que necesita el paciente y sin solaparse con la agenda actual.
+ * @param {Array<EntradaEspera>} entradas
+ * @param {{fecha_reserva: string, hora_reserva: string, recurso_id: string}} hueco - Cita que ha dejado el hueco.
+ * @param {Array<Cita>} citas - Agenda actual (ya sin la cita que ocupaba el hueco).
+ * @param {AjustesClinica} ajustes
+ * @param {Date} [ahora=new Date()]
+ * @returns {Array<{entrada: EntradaEspera, cita: Cita}>}
+ */
+export function candidatosParaHueco(entradas, hueco, citas, ajustes, ahora = new Date()) {
+    if (new Date(`${hueco.fecha_reserva}T${hueco.hora_reserva}`) <= ahora) return [];
+    const inicio = horaAMinutos(hueco.hora_reserva);
+
+    return [...entradas]
+        .sort((a, b) => a.fecha_alta.localeCompare(b.fecha_alta))
+        .filter(e => (!e.recurso_id || e.recurso_id === hueco.recurso_id) &&
+            hueco.fecha_reserva >= e.desde && hueco.fecha_reserva <= e.hasta &&
+            (!e.hora_desde || inicio >= horaAMinutos(e.hora_desde)) &&
+            (!e.hora_hasta || inicio + e.duracion <= horaAMinutos(e.hora_hasta)))
+        .map(entrada => ({
+            entrada,
+            cita: new Cita({
+                ...entrada,
+                id: null,
+                fecha_reserva: hueco.fecha_reserva,
+                hora_reserva: hueco.hora_reserva,
+                recurso_id: hueco.recurso_id
+            })
+        }))
+        .filter(({ cita }) => comprobarReserva(cita, citas, ajustes, { idExcluido: null }).length === 0);
+}
+
+// --- Aviso de huecos liberados ---
+
+/**
+ * Si algún paciente en espera encaja en el hueco que ha dejado una cita, pregunta a recepción
+ * si se le reserva y, en ese caso, guarda la cita y lo quita de la lista.
+ * @param {{fecha_reserva: string, hora_reserva: string, recurso_id: string}} hueco - Cita que ha dejado el hueco.
+ * @returns {Promise<Cita|null>} La cita reservada o null si no hay candidatos o no se elige ninguno.
+ */
+export async function ofrecerHuecoLiberado(hueco) {
+    const [entradas, citas, ajustes] = await Promise.all([obtenerListaEspera(), obtenerCitas(), obtenerAjustes()]);
+    const candidatos = candidatosParaHueco(entradas, hueco, citas, ajustes).slice(0, MAX_CANDIDATOS);
+    if (candidatos.length === 0) return null;
+
+    const elegido = await elegirOpcion({
+        titulo: 'Hueco libre para la lista de espera',
+        mensaje: `Ha quedado libre el ${formatearFecha(hueco.fecha_reserva)} a las ${hueco.hora_reserva} en ${nombreRecurso(hueco.recurso_id)}. ` +
+            `${candidatos.length === 1 ? 'Un paciente en espera puede' : `${candidatos.length} pacientes en espera pueden`} ocuparlo. ¿Para quién se reserva?`,
+        opciones: candidatos.map(({ entrada, cita }) => ({
+            valor: entrada.id,
+            texto: `${cita.nombreCompleto} · ${nombreTratamiento(cita.tratamiento) || 'Sin tratamiento'} (${cita.duracion} min) · Tel. ${cita.paciente.telefono}`
+        }))
+    });
+    const candidato = candidatos.find(c => c.entrada.id === elegido);
+    if (!candidato) return null;
+
+    // Mientras se elegía, otra pestaña puede haber ocupado el hueco
+    const conflictos = comprobarReserva(candidato.cita, await obtenerCitas(), ajustes, { idExcluido: null });
+    if (conflictos.length > 0) throw new Error(conflictos[0].mensaje);
+
+    const guardada = await guardarCita(candidato.cita);
+    await quitarDeListaEspera(candidato.entrada.id);
+    return guardada;
+}